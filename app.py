@@ -1,16 +1,27 @@
 from flask import Flask, render_template, request, jsonify, session, redirect, url_for
 from flask_sqlalchemy import SQLAlchemy
 from werkzeug.security import generate_password_hash, check_password_hash
-import requests
 import json
+import os
+import re
+import time
+from economy import (load_catalog, starting_economy, ensure_economy, economy_snapshot,
+                     keep_economy, apply_action, empty_plot, plot_limits)
+from weather import make_provider
 
 app = Flask(__name__)
 app.config['SECRET_KEY'] = 'your-secret-key-here'  # Change this in production
 app.config['SQLALCHEMY_DATABASE_URI'] = 'sqlite:///discipline_farm.db'
 app.config['SQLALCHEMY_TRACK_MODIFICATIONS'] = False
+# 'wttr' for live weather, 'mock' for the same deterministic weather the client uses offline
+app.config['WEATHER_PROVIDER'] = os.environ.get('WEATHER_PROVIDER', 'wttr')
 
 db = SQLAlchemy(app)
 
+# Item prices and economy rules, shared with the client through the game page
+CATALOG = load_catalog(os.path.join(app.static_folder, 'catalog.json'))
+weather_provider = make_provider(app.config['WEATHER_PROVIDER'], CATALOG['weather'])
+
 class User(db.Model):
     id = db.Column(db.Integer, primary_key=True)
     username = db.Column(db.String(80), unique=True, nullable=False)
@@ -29,6 +40,223 @@ class User(db.Model):
     def set_game_data(self, data):
         self.game_data = json.dumps(data)
 
+# Keep in step with SCHEMA_VERSION in static/script.js
+SCHEMA_VERSION = 18
+
+# Task repeat rules, see Recurrence in static/script.js
+TASK_REPEATS = ('daily', 'weekdays', 'weekly', 'days')
+MAX_REPEAT_DAYS = 365
+TASK_PRIORITIES = ('high', 'medium', 'low')
+TIMER_PHASES = ('focus', 'shortBreak', 'longBreak')
+POMODORO_SETTINGS = ('focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'longBreakEvery')
+
+def is_count(value):
+    return isinstance(value, int) and not isinstance(value, bool) and value >= 0
+
+def is_number(value):
+    return isinstance(value, (int, float)) and not isinstance(value, bool) and value >= 0
+
+def is_repeat(value):
+    if value is None:
+        return True
+    if not isinstance(value, dict) or value.get('rule') not in TASK_REPEATS:
+        return False
+    return value['rule'] != 'days' or (is_count(value.get('interval')) and 1 <= value['interval'] <= MAX_REPEAT_DAYS)
+
+def validate_game_data(data):
+    """Check a save the way SaveSchema.validate does on the client.
+
+    Returns a list of "path: problem" strings; empty when the save is valid.
+    """
+    errors = []
+
+    def expect(path, value, ok, problem):
+        if not ok(value):
+            errors.append(f'{path}: {problem}, got {json.dumps(value)}')
+            return False
+        return True
+
+    def expect_counts(path, value):
+        if expect(path, value, lambda v: isinstance(v, dict), 'expected an object'):
+            for key, count in value.items():
+                expect(f'{path}.{key}', count, is_count, 'expected a whole number >= 0')
+
+    if not expect('save', data, lambda v: isinstance(v, dict), 'expected an object'):
+        return errors
+
+    expect('schemaVersion', data.get('schemaVersion'),
+           lambda v: isinstance(v, int) and 1 <= v <= SCHEMA_VERSION,
+           f'expected a schema version from 1 to {SCHEMA_VERSION}')
+    expect('coins', data.get('coins'), is_count, 'expected a whole number >= 0')
+    expect('totalSeconds', data.get('totalSeconds'), is_number, 'expected a number >= 0')
+    expect('lastSeen', data.get('lastSeen'), is_number, 'expected a timestamp')
+    for key in ('seeds', 'inventory', 'supplies'):
+        expect_counts(key, data.get(key))
+
+    plots = data.get('plots')
+    if expect('plots', plots, lambda v: isinstance(v, list), 'expected a list'):
+        fewest, most = plot_limits(CATALOG)
+        expect('plots', len(plots), lambda n: fewest <= n <= most, f'expected {fewest} to {most} plots')
+        for i, plot in enumerate(plots):
+            path = f'plots[{i}]'
+            if not expect(path, plot, lambda v: isinstance(v, dict), 'expected an object'):
+                continue
+            expect(f'{path}.crop', plot.get('crop'), lambda v: v is None or isinstance(v, str), 'expected empty or a crop')
+            expect(f'{path}.plantedAt', plot.get('plantedAt'), is_number, 'expected a timestamp')
+            expect(f'{path}.ready', plot.get('ready'), lambda v: isinstance(v, bool), 'expected true or false')
+            for key in ('growth', 'growthAt', 'wateredUntil'):
+                expect(f'{path}.{key}', plot.get(key), is_number, 'expected a number >= 0')
+            expect(f'{path}.weatherRate', plot.get('weatherRate'), lambda v: is_number(v) and v > 0, 'expected a number > 0')
+            for key in ('fertilized', 'withered', 'rainWatered'):
+                expect(f'{path}.{key}', plot.get(key), lambda v: isinstance(v, bool), 'expected true or false')
+
+    animals = data.get('animals')
+    if expect('animals', animals, lambda v: isinstance(v, list), 'expected a list'):
+        for i, animal in enumerate(animals):
+            path = f'animals[{i}]'
+            if not expect(path, animal, lambda v: isinstance(v, dict), 'expected an object'):
+                continue
+            expect(f'{path}.type', animal.get('type'), lambda v: isinstance(v, str), 'expected an animal')
+            expect(f'{path}.readyAt', animal.get('readyAt'), is_number, 'expected a timestamp')
+            expect(f'{path}.happiness', animal.get('happiness'), lambda v: is_number(v) and v <= 100, 'expected 0 to 100')
+            for key in ('happinessAt', 'fedUntil'):
+                expect(f'{path}.{key}', animal.get(key), is_number, 'expected a timestamp')
+
+    buildings = data.get('buildings')
+    if expect('buildings', buildings, lambda v: isinstance(v, list), 'expected a list'):
+        for i, building in enumerate(buildings):
+            path = f'buildings[{i}]'
+            if not expect(path, building, lambda v: isinstance(v, dict), 'expected an object'):
+                continue
+            expect(f'{path}.type', building.get('type'), lambda v: isinstance(v, str), 'expected a building')
+            if expect(f'{path}.queue', building.get('queue'), lambda v: isinstance(v, list), 'expected a list'):
+                for j, job in enumerate(building['queue']):
+                    if not expect(f'{path}.queue[{j}]', job, lambda v: isinstance(v, dict), 'expected an object'):
+                        continue
+                    expect(f'{path}.queue[{j}].recipe', job.get('recipe'), lambda v: isinstance(v, str), 'expected a recipe')
+                    for key in ('startedAt', 'readyAt'):
+                        expect(f'{path}.queue[{j}].{key}', job.get(key), is_number, 'expected a timestamp')
+
+    market = data.get('market')
+    if expect('market', market, lambda v: isinstance(v, dict), 'expected an object'):
+        pressure = market.get('pressure')
+        if expect('market.pressure', pressure, lambda v: isinstance(v, dict), 'expected an object'):
+            for good, entry in pressure.items():
+                path = f'market.pressure.{good}'
+                if expect(path, entry, lambda v: isinstance(v, dict), 'expected an object'):
+                    for key in ('units', 'at'):
+                        expect(f'{path}.{key}', entry.get(key), is_number, 'expected a number >= 0')
+    expect('sellOrders', data.get('sellOrders'), lambda v: isinstance(v, list), 'expected a list')
+    expect('xp', data.get('xp'), is_count, 'expected a whole number >= 0')
+    board = data.get('orderBoard')
+    if expect('orderBoard', board, lambda v: isinstance(v, dict), 'expected an object'):
+        expect('orderBoard.orders', board.get('orders'), lambda v: isinstance(v, list), 'expected a list')
+
+    milestones = data.get('milestones')
+    if expect('milestones', milestones, lambda v: isinstance(v, dict), 'expected an object'):
+        expect('milestones.sessions', milestones.get('sessions'), is_count, 'expected a whole number >= 0')
+        expect('milestones.focusSeconds', milestones.get('focusSeconds'), is_number, 'expected seconds >= 0')
+
+    stats = data.get('stats')
+    if expect('stats', stats, lambda v: isinstance(v, dict), 'expected an object'):
+        for key in ('planted', 'harvested', 'sessions', 'tasksCompleted'):
+            expect(f'stats.{key}', stats.get(key), is_count, 'expected a whole number >= 0')
+
+    tasks = data.get('tasks')
+    if expect('tasks', tasks, lambda v: isinstance(v, list), 'expected a list'):
+        for i, task in enumerate(tasks):
+            path = f'tasks[{i}]'
+            if not expect(path, task, lambda v: isinstance(v, dict), 'expected an object'):
+                continue
+            expect(f'{path}.name', task.get('name'), lambda v: isinstance(v, str) and v.strip() != '', 'expected a name')
+            expect(f'{path}.duration', task.get('duration'), lambda v: is_count(v) and v > 0, 'expected minutes > 0')
+            expect(f'{path}.completed', task.get('completed'), lambda v: isinstance(v, bool), 'expected true or false')
+            expect(f'{path}.repeat', task.get('repeat'), is_repeat, 'expected a repeat rule or null')
+            expect(f'{path}.estimate', task.get('estimate'), lambda v: is_count(v) and v > 0, 'expected minutes > 0')
+            expect(f'{path}.focusedSeconds', task.get('focusedSeconds'), is_number, 'expected seconds >= 0')
+            expect(f'{path}.project', task.get('project'), lambda v: v is None or (isinstance(v, str) and v.strip() != ''), 'expected a project name or null')
+            expect(f'{path}.tags', task.get('tags'), lambda v: isinstance(v, list) and all(isinstance(tag, str) for tag in v), 'expected a list of tags')
+            expect(f'{path}.priority', task.get('priority'), lambda v: v in TASK_PRIORITIES, 'expected a priority')
+
+    logs = data.get('logs')
+    if expect('logs', logs, lambda v: isinstance(v, list), 'expected a list'):
+        for i, log in enumerate(logs):
+            path = f'logs[{i}]'
+            if not expect(path, log, lambda v: isinstance(v, dict), 'expected an object'):
+                continue
+            expect(f'{path}.msg', log.get('msg'), lambda v: isinstance(v, str), 'expected text')
+            expect(f'{path}.type', log.get('type'), lambda v: isinstance(v, str), 'expected a log type')
+            expect(f'{path}.ts', log.get('ts'), lambda v: v is None or is_number(v), 'expected a timestamp or null')
+
+    settings = data.get('settings')
+    if expect('settings', settings, lambda v: isinstance(v, dict), 'expected an object'):
+        expect('settings.autoCollect', settings.get('autoCollect'), lambda v: isinstance(v, bool), 'expected true or false')
+        expect('settings.dailyGoalMinutes', settings.get('dailyGoalMinutes'), lambda v: is_count(v) and v >= 1, 'expected minutes >= 1')
+        pomodoro = settings.get('pomodoro')
+        if expect('settings.pomodoro', pomodoro, lambda v: isinstance(v, dict), 'expected an object'):
+            for key in POMODORO_SETTINGS:
+                expect(f'settings.pomodoro.{key}', pomodoro.get(key), lambda v: is_count(v) and v >= 1, 'expected a whole number >= 1')
+        strict = settings.get('strict')
+        if expect('settings.strict', strict, lambda v: isinstance(v, dict), 'expected an object'):
+            expect('settings.strict.enabled', strict.get('enabled'), lambda v: isinstance(v, bool), 'expected true or false')
+            expect('settings.strict.maxDistractions', strict.get('maxDistractions'), is_count, 'expected a whole number >= 0')
+
+    daily = data.get('daily')
+    if expect('daily', daily, lambda v: isinstance(v, dict), 'expected an object'):
+        for day, seconds in daily.items():
+            expect(f'daily.{day}', day, lambda k: re.fullmatch(r'\d{4}-\d{2}-\d{2}', k), 'expected a YYYY-MM-DD date')
+            expect(f'daily.{day}', seconds, is_number, 'expected seconds >= 0')
+
+    streak = data.get('streak')
+    if expect('streak', streak, lambda v: isinstance(v, dict), 'expected an object'):
+        for key in ('current', 'best'):
+            expect(f'streak.{key}', streak.get(key), is_count, 'expected a whole number >= 0')
+        expect('streak.lastGoalDate', streak.get('lastGoalDate'), lambda v: v is None or isinstance(v, str), 'expected a date or null')
+
+    history = data.get('history')
+    if expect('history', history, lambda v: isinstance(v, dict), 'expected an object'):
+        sessions = history.get('sessions')
+        if expect('history.sessions', sessions, lambda v: isinstance(v, list), 'expected a list'):
+            for i, record in enumerate(sessions):
+                path = f'history.sessions[{i}]'
+                if not expect(path, record, lambda v: isinstance(v, dict), 'expected an object'):
+                    continue
+                for key in ('start', 'end', 'duration', 'coins'):
+                    expect(f'{path}.{key}', record.get(key), is_number, 'expected a number >= 0')
+                expect(f'{path}.focusScore', record.get('focusScore'), lambda v: v is None or (is_count(v) and v <= 100), 'expected a score from 0 to 100 or null')
+                expect(f'{path}.abandoned', record.get('abandoned'), lambda v: isinstance(v, bool), 'expected true or false')
+        expect('history.archive', history.get('archive'), lambda v: isinstance(v, dict), 'expected an object')
+
+    timer = data.get('timer')
+    if expect('timer', timer, lambda v: isinstance(v, dict), 'expected an object'):
+        expect('timer.phase', timer.get('phase'), lambda v: v in TIMER_PHASES, 'expected focus, shortBreak or longBreak')
+        expect('timer.duration', timer.get('duration'), lambda v: is_number(v) and v > 0, 'expected seconds > 0')
+        expect('timer.elapsedMs', timer.get('elapsedMs'), is_number, 'expected a number >= 0')
+        expect('timer.running', timer.get('running'), lambda v: isinstance(v, bool), 'expected true or false')
+        expect('timer.cycle', timer.get('cycle'), is_count, 'expected a whole number >= 0')
+        if timer.get('running'):
+            expect('timer.startedAt', timer.get('startedAt'), is_number, 'expected a timestamp while running')
+        expect('timer.strict', timer.get('strict'), lambda v: isinstance(v, bool), 'expected true or false')
+        for key in ('distractions', 'maxDistractions'):
+            expect(f'timer.{key}', timer.get(key), is_count, 'expected a whole number >= 0')
+        expect('timer.awayMs', timer.get('awayMs'), is_number, 'expected a number >= 0')
+        expect('timer.awaySince', timer.get('awaySince'), lambda v: v is None or is_number(v), 'expected a timestamp or null')
+
+    weather = data.get('weather')
+    if expect('weather', weather, lambda v: isinstance(v, dict), 'expected an object'):
+        expect('weather.type', weather.get('type'), lambda v: v is None or v in CATALOG['weather']['types'], 'expected a known weather or null')
+
+    return errors
+
+def client_view(data):
+    """The save as the client sees it, without the server's action ledger."""
+    return {key: value for key, value in data.items() if key != 'ledger'}
+
+def json_body():
+    """The request body if it is a JSON object, else None."""
+    payload = request.get_json(force=True, silent=True)
+    return payload if isinstance(payload, dict) else None
+
 # Create database tables
 with app.app_context():
     db.create_all()
@@ -44,9 +272,9 @@ def game():
     if 'user_id' not in session:
         return redirect(url_for('home'))
     user = db.session.get(User, session['user_id'])
-    game_data = user.get_game_data() if user else {}
+    game_data = client_view(ensure_economy(user.get_game_data(), CATALOG)) if user else {}
     username = user.username if user else 'Guest'
-    return render_template('game.html', game_data=game_data, username=username)
+    return render_template('game.html', game_data=game_data, username=username, catalog=CATALOG)
 
 @app.route('/api/login', methods=['POST'])
 def login():
@@ -71,7 +299,9 @@ def signup():
 
     user = User(username=username)
     user.set_password(password)
-    user.set_game_data({'coins': 0, 'totalSeconds': 0, 'inventory': {'wheat': 0, 'carrot': 0, 'egg': 0, 'milk': 0}, 'plots': [{'crop': None, 'plantedAt': 0, 'progress': 0, 'ready': False} for _ in range(6)], 'animals': [], 'stats': {'planted': 0, 'harvested': 0, 'sessions': 0, 'tasksCompleted': 0}, 'tasks': [], 'currentTaskId': None, 'avatar': '👤', 'logs': []})
+    game_data = {'totalSeconds': 0, 'plots': [empty_plot() for _ in range(CATALOG['land']['startingPlots'])], 'stats': {'planted': 0, 'harvested': 0, 'sessions': 0, 'tasksCompleted': 0}, 'tasks': [], 'currentTaskId': None, 'avatar': '👤', 'logs': []}
+    game_data.update(starting_economy(CATALOG))
+    user.set_game_data(game_data)
     db.session.add(user)
     db.session.commit()
 
@@ -84,10 +314,49 @@ def save_game():
         return jsonify({'success': False, 'message': 'Not logged in'}), 401
 
     user = db.session.get(User, session['user_id'])
-    data = request.get_json()
+    stored = ensure_economy(user.get_game_data(), CATALOG)
+    payload = json_body()
+    if payload is None:
+        return jsonify({'success': False, 'message': 'Expected a JSON object'}), 400
+    data = payload.get('state')
+    # Coins and stock only change through /api/actions
+    if isinstance(data, dict):
+        keep_economy(data, stored)
+    errors = validate_game_data(data)
+    if errors:
+        return jsonify({'success': False, 'message': 'Invalid save data', 'errors': errors}), 400
+
+    # Reject writes based on an older save, e.g. from a second open tab
+    current_version = stored.get('saveVersion', 0)
+    if payload.get('baseVersion', 0) != current_version:
+        return jsonify({'success': False, 'message': 'Stale save', 'version': current_version}), 409
+
+    data['saveVersion'] = current_version + 1
     user.set_game_data(data)
     db.session.commit()
-    return jsonify({'success': True})
+    return jsonify({'success': True, 'version': data['saveVersion']})
+
+@app.route('/api/actions', methods=['POST'])
+def apply_actions():
+    """Apply a batch of game actions in order; see economy.py.
+
+    Refused actions are reported and skipped. The reply carries the economy
+    as it stands afterwards, which the client adopts in place of its own.
+    """
+    if 'user_id' not in session:
+        return jsonify({'success': False, 'message': 'Not logged in'}), 401
+
+    user = db.session.get(User, session['user_id'])
+    actions = (json_body() or {}).get('actions')
+    if not isinstance(actions, list):
+        return jsonify({'success': False, 'message': 'Expected a list of actions'}), 400
+
+    data = ensure_economy(user.get_game_data(), CATALOG)
+    now = int(time.time() * 1000)
+    results = [apply_action(data, action, now, CATALOG, weather_provider.weather_at) for action in actions]
+    user.set_game_data(data)
+    db.session.commit()
+    return jsonify({'success': True, 'results': results, 'economy': economy_snapshot(data)})
 
 @app.route('/api/load', methods=['GET'])
 def load_game():
@@ -95,7 +364,7 @@ def load_game():
         return jsonify({'success': False, 'message': 'Not logged in'}), 401
 
     user = db.session.get(User, session['user_id'])
-    return jsonify({'success': True, 'data': user.get_game_data()})
+    return jsonify({'success': True, 'data': client_view(ensure_economy(user.get_game_data(), CATALOG))})
 
 @app.route('/api/logout', methods=['POST'])
 def logout():
@@ -104,32 +373,8 @@ def logout():
 
 @app.route('/api/weather')
 def weather():
-    try:
-        # Get location
-        loc_res = requests.get('https://ipapi.co/json/')
-        loc_data = loc_res.json()
-        city = loc_data.get('city', 'London')
-
-        # Get weather
-        weather_res = requests.get(f'https://wttr.in/{city}?format=j1')
-        weather_data = weather_res.json()
-        code = int(weather_data['current_condition'][0]['weatherCode'])
-
-        # Map code to type
-        if code == 113:
-            weather_type = 'sunny'
-        elif code in [116, 119, 122]:
-            weather_type = 'cloudy'
-        elif code in [176, 263, 266, 293, 296, 299, 302, 305, 308, 353, 356, 359]:
-            weather_type = 'rainy'
-        elif code in [179, 182, 185, 227, 230, 281, 284, 311, 314, 317, 320, 323, 326, 329, 332, 335, 338, 350, 362, 365, 368, 371, 374, 377]:
-            weather_type = 'snowy'
-        else:
-            weather_type = 'sunny'
-
-        return jsonify({'success': True, 'type': weather_type, 'city': city})
-    except Exception as e:
-        return jsonify({'success': False, 'type': 'sunny', 'city': 'Unknown'})
+    reading = weather_provider.current(int(time.time() * 1000))
+    return jsonify({'success': True, **reading})
 
 if __name__ == '__main__':
     app.run(debug=True, port=5001)
\ No newline at end of file
@@ -0,0 +1,994 @@
+"""Server side of the game economy.
+
+Coins, XP, seeds, produce, supplies, plots, animals, buildings, market
+pressure, the daily goal streak, the order board and the focus milestones that
+unlock land belong to the server (ECONOMY_KEYS). The client changes its own
+copy straight away and sends each change here as an action ({id, op, args,
+at}); apply_action checks it against the catalog prices and the server's clock
+and only then touches the stored save. /api/save keeps these fields from the
+stored save, so editing them on the client does nothing.
+
+Action times come from the client but may be at most MAX_ACTION_AGE_MS old,
+no earlier than the previous action and never in the future. A client cannot
+backdate a planting or a focus session over time it spent idle, so growing
+and focusing can never go faster than real time. Actions queued while offline
+for longer than that take effect when they arrive, and the ones that depend
+on time having passed (a harvest right after its planting, say) are refused.
+"""
+import json
+from datetime import date, datetime, timedelta, timezone
+
+ECONOMY_KEYS = ('coins', 'xp', 'seeds', 'inventory', 'supplies', 'plots', 'animals', 'buildings', 'market', 'weather', 'streak', 'orderBoard', 'milestones')
+
+# Actions that happen when the server receives them, whatever time they carry
+AT_ARRIVAL_OPS = ('sell', 'sell_all')
+# Slack for rounding and for the client's clock running a little ahead
+CLOCK_TOLERANCE_MS = 2000
+# How late an action may arrive and still keep its own time: the client's
+# save debounce plus a retry or two
+MAX_ACTION_AGE_MS = 60 * 1000
+# Action ids remembered so a batch resent after a lost response is not applied twice
+SEEN_ACTIONS_KEPT = 500
+# Tasks whose focus time or bonus the ledger remembers
+TASKS_KEPT = 200
+# Furthest a client's clock may be from UTC, in minutes
+MAX_UTC_OFFSET = 14 * 60
+
+
+class ActionError(Exception):
+    """An action the server refuses; the message says why."""
+
+
+def load_catalog(path):
+    with open(path, encoding='utf-8') as f:
+        return json.load(f)
+
+
+def seeded_random(seed, key):
+    """Pseudo-random number in [0, 1) for an integer key; seededRandom in script.js matches it."""
+    x = (seed ^ key) & 0xFFFFFFFF
+    x = ((x ^ (x >> 16)) * 0x45d9f3b) & 0xFFFFFFFF
+    x = ((x ^ (x >> 16)) * 0x45d9f3b) & 0xFFFFFFFF
+    x = (x ^ (x >> 16)) & 0xFFFFFFFF
+    return x / 4294967296
+
+
+def pick_weighted(options, r):
+    """The key of `options` ({key: {weight}}) that `r` in [0, 1) lands on."""
+    total = sum(o['weight'] for o in options.values())
+    point = r * total
+    for key, option in options.items():
+        point -= option['weight']
+        if point < 0:
+            return key
+    return key
+
+
+def hash_string(text):
+    """32-bit hash of a string; hashString in script.js matches it.
+
+    JavaScript strings are UTF-16, so the hash runs over UTF-16 code units
+    rather than code points; the two differ outside the Basic Multilingual
+    Plane (emoji, for one).
+    """
+    data = text.encode('utf-16-le')
+    h = 0
+    for i in range(0, len(data), 2):
+        h = (h * 31 + int.from_bytes(data[i:i + 2], 'little')) & 0xFFFFFFFF
+    return h
+
+
+def keys_of_type(catalog, item_type):
+    return [k for k, item in catalog['items'].items() if item['type'] == item_type]
+
+
+def goods(catalog):
+    """Sell price of everything that can sit in the inventory, by inventory key."""
+    prices = {k: catalog['items'][k]['sell'] for k in keys_of_type(catalog, 'seed')}
+    for k in keys_of_type(catalog, 'animal'):
+        item = catalog['items'][k]
+        prices[item['product']] = item['productPrice']
+    for k in keys_of_type(catalog, 'good'):
+        prices[k] = catalog['items'][k]['sell']
+    return prices
+
+
+def starting_economy(catalog):
+    """Coins and stores for a new farm (plots are added by the caller)."""
+    return {
+        'coins': 0,
+        'xp': 0,
+        'seeds': {k: 0 for k in keys_of_type(catalog, 'seed')},
+        'inventory': {k: 0 for k in goods(catalog)},
+        'supplies': {k: 0 for k in keys_of_type(catalog, 'supply')},
+        'animals': [],
+        'buildings': [],
+        'market': {'pressure': {}},
+        'streak': {'current': 0, 'best': 0, 'lastGoalDate': None},
+        'orderBoard': {'window': None, 'orders': []},
+        # Rewarded focus sessions and their time, which unlock land
+        'milestones': {'sessions': 0, 'focusSeconds': 0},
+    }
+
+
+def ensure_economy(data, catalog):
+    """Fill in stores and bookkeeping that older saves do not have yet."""
+    stats = data.get('stats') if isinstance(data.get('stats'), dict) else {}
+    if 'milestones' not in data:
+        # The counts used to sit in the ledger; saves from before the ledger
+        # start from the totals they already had
+        old = data.get('ledger') or {}
+        data['milestones'] = {'sessions': old.pop('sessions', stats.get('sessions', 0)),
+                              'focusSeconds': old.pop('focusSeconds', data.get('totalSeconds', 0))}
+    for key, value in starting_economy(catalog).items():
+        data.setdefault(key, value)
+    for key, default in (('seeds', 'seed'), ('supplies', 'supply')):
+        for k in keys_of_type(catalog, default):
+            data[key].setdefault(k, 0)
+    for k in goods(catalog):
+        data['inventory'].setdefault(k, 0)
+    for plot in data.get('plots') or []:
+        if isinstance(plot, dict):
+            ensure_care(plot, catalog)
+    for animal in data['animals']:
+        if isinstance(animal, dict):
+            ensure_animal_care(animal, catalog)
+    data.setdefault('weather', {'type': None, 'since': 0})
+    ledger = data.setdefault('ledger', {'lastActionAt': 0, 'seen': [], 'session': None, 'lastRewardedSession': None})
+    ledger.setdefault('utcOffset', 0)
+    ledger.setdefault('today', {'date': None, 'seconds': 0})
+    ledger.setdefault('taskFocus', {})
+    ledger.setdefault('rewardedTasks', [])
+    if not ledger.get('streakOwned'):
+        # Streaks used to be kept by the client alone, so they start over
+        # here; the best streak is only for show and carries over
+        best = data['streak'].get('best') if isinstance(data['streak'], dict) else 0
+        data['streak'] = {'current': 0, 'best': best if isinstance(best, int) and best >= 0 else 0, 'lastGoalDate': None}
+        ledger['streakOwned'] = True
+    if not ledger.get('ordersOwned'):
+        # The board used to be written by the client; the next action deals
+        # the current window again
+        data['orderBoard'] = {'window': None, 'orders': []}
+        ledger['ordersOwned'] = True
+    if not ledger.get('xpBackfilled'):
+        # XP for what was done before there were levels; the client picks it
+        # up with the rest of the economy
+        data['xp'] += backfill_xp(data['milestones'], catalog)
+        ledger['xpBackfilled'] = True
+    return data
+
+
+def backfill_xp(milestones, catalog):
+    """XP for the focus counted in a save made before levels.
+
+    Only the server's own count of focus time counts: harvest and task counts
+    in `stats` are written by the client and are not rewarded after the fact.
+    """
+    return int(milestones['focusSeconds'] // 60) * catalog['levels']['xp']['focusMinute']
+
+
+def level(data, catalog):
+    """The player's level: how many XP thresholds they have reached."""
+    return sum(1 for need in catalog['levels']['thresholds'] if data['xp'] >= need)
+
+
+def add_xp(data, source, catalog, count=1):
+    data['xp'] += catalog['levels']['xp'][source] * count
+
+
+def economy_snapshot(data):
+    return {key: data.get(key) for key in ECONOMY_KEYS}
+
+
+def keep_economy(data, stored):
+    """Overwrite the economy in a save sent by the client with the stored one."""
+    for key in ECONOMY_KEYS + ('ledger',):
+        if key in stored:
+            data[key] = stored[key]
+        else:
+            data.pop(key, None)
+
+
+def arg_index(args, key, items):
+    i = args.get(key)
+    if not isinstance(i, int) or isinstance(i, bool) or not 0 <= i < len(items):
+        raise ActionError(f'{key}: no such {key} {json.dumps(i)}')
+    return i
+
+
+def arg_item(args, name, catalog, item_type=None):
+    key = args.get(name)
+    item = catalog['items'].get(key) if isinstance(key, str) else None
+    if item is None or (item_type and item['type'] != item_type):
+        raise ActionError(f'unknown {item_type or "item"} {json.dumps(key)}')
+    return key, item
+
+
+def arg_count(args, key='count'):
+    n = args.get(key)
+    if not isinstance(n, int) or isinstance(n, bool) or n < 1:
+        raise ActionError(f'{key}: expected a whole number >= 1, got {json.dumps(n)}')
+    return n
+
+
+def empty_plot():
+    return {'crop': None, 'plantedAt': 0, 'progress': 0, 'ready': False,
+            'growth': 0, 'growthAt': 0, 'wateredUntil': 0, 'fertilized': False, 'withered': False,
+            'weatherRate': 1, 'rainWatered': False}
+
+
+def ensure_care(plot, catalog):
+    """Care fields for plots planted before crops needed water (they grow as they used to)."""
+    item = catalog['items'].get(plot.get('crop'))
+    planted_at = plot.get('plantedAt', 0)
+    plot.setdefault('growth', 0)
+    plot.setdefault('growthAt', planted_at)
+    plot.setdefault('wateredUntil', planted_at + item['growTime'] * 1000 if item else 0)
+    plot.setdefault('fertilized', False)
+    plot.setdefault('withered', False)
+    plot.setdefault('weatherRate', 1)
+    plot.setdefault('rainWatered', False)
+
+
+def ensure_animal_care(animal, catalog):
+    """Happiness for animals bought before they needed feed: the first meal is on the house."""
+    barn = catalog['barn']
+    ready_at = animal.get('readyAt', 0)
+    animal.setdefault('happiness', barn['startingHappiness'])
+    animal.setdefault('happinessAt', ready_at)
+    animal.setdefault('fedUntil', ready_at + barn['feedLastsSeconds'] * 1000)
+
+
+def weather_rules(data, catalog):
+    """Modifiers of the weather the farm is currently under."""
+    return catalog['weather']['types'].get(data['weather']['type'], {})
+
+
+# Crop growth, the same sums as Farm.grownSeconds and Farm.readyAt on the client.
+# Growth is banked whenever watering, fertilizer or the weather changes a
+# crop's speed, so only the stretch since growthAt needs working out.
+
+def growth_rates(plot, catalog):
+    care = catalog['care']
+    wet = (care['fertilizerGrowthRate'] if plot['fertilized'] else 1) * plot['weatherRate']
+    return wet, wet * care['dryGrowthRate']
+
+
+def grown_seconds(plot, t, catalog):
+    wet_rate, dry_rate = growth_rates(plot, catalog)
+    start, watered_until = plot['growthAt'], plot['wateredUntil']
+    if plot['rainWatered']:
+        watered_until = max(t, start)
+    wet = max(0, min(t, watered_until) - start)
+    dry = max(0, t - max(start, watered_until))
+    return plot['growth'] + (wet * wet_rate + dry * dry_rate) / 1000
+
+
+def ready_at(plot, catalog):
+    wet_rate, dry_rate = growth_rates(plot, catalog)
+    need = catalog['items'][plot['crop']]['growTime'] - plot['growth']
+    start, watered_until = plot['growthAt'], plot['wateredUntil']
+    if need <= 0:
+        return start
+    if plot['rainWatered']:
+        return start + need / wet_rate * 1000
+    wet_gain = max(0, watered_until - start) / 1000 * wet_rate
+    if wet_gain >= need:
+        return start + need / wet_rate * 1000
+    return max(start, watered_until) + (need - wet_gain) / dry_rate * 1000
+
+
+def withered_at(plot, catalog):
+    return ready_at(plot, catalog) + catalog['items'][plot['crop']]['witherTime'] * 1000
+
+
+def bank_growth(plot, t, catalog):
+    grow_time = catalog['items'][plot['crop']]['growTime']
+    plot['growth'] = min(grown_seconds(plot, t, catalog), grow_time)
+    plot['growthAt'] = t
+
+
+def growing_plot(data, args, at, catalog):
+    i = arg_index(args, 'plot', data['plots'])
+    plot = data['plots'][i]
+    if not plot.get('crop'):
+        raise ActionError(f'plot {i} is empty')
+    if ready_at(plot, catalog) <= at:
+        raise ActionError(f'plot {i} has finished growing')
+    return plot
+
+
+def plot_limits(catalog):
+    land = catalog['land']
+    return land['startingPlots'], land['startingPlots'] + len(land['expansions'])
+
+
+# Animal happiness, the same sums as Farm.happiness on the client. It rises
+# while the animal is fed and falls once it is hungry, and is banked at each
+# feeding so only the stretch since happinessAt needs working out.
+
+def happiness(animal, t, catalog):
+    barn = catalog['barn']
+    start, fed_until = animal['happinessAt'], animal['fedUntil']
+    fed = max(0, min(t, fed_until) - start)
+    hungry = max(0, t - max(start, fed_until))
+    value = min(100, animal['happiness'] + barn['happinessGainPerHour'] * fed / 3600000)
+    return max(0, value - barn['happinessLossPerHour'] * hungry / 3600000)
+
+
+def mood(animal, t, catalog):
+    value = happiness(animal, t, catalog)
+    return next(m for m in catalog['barn']['moods'] if value >= m['min'])
+
+
+def production_ms(data, item, catalog, animal_mood):
+    """How long an animal in this mood takes to make its next product in the current weather."""
+    speed = weather_rules(data, catalog).get('animalOutput', 1) * animal_mood['speed']
+    return item['produceTime'] * 1000 / speed
+
+
+def storage_used(data):
+    return sum(data['inventory'].values())
+
+
+def buy(data, args, at, catalog):
+    key, item = arg_item(args, 'item', catalog)
+    if 'cost' not in item:
+        raise ActionError(f'{key} is not for sale')
+    if level(data, catalog) < item.get('level', 1):
+        raise ActionError(f'{key} unlocks at level {item["level"]}')
+    if data['coins'] < item['cost']:
+        raise ActionError(f'not enough coins for {key}')
+    data['coins'] -= item['cost']
+    if item['type'] == 'seed':
+        data['seeds'][key] = data['seeds'].get(key, 0) + 1
+    elif item['type'] == 'supply':
+        data['supplies'][key] = data['supplies'].get(key, 0) + 1
+    elif item['type'] == 'building':
+        if any(b['type'] == key for b in data['buildings']):
+            raise ActionError(f'already own a {key}')
+        data['buildings'].append({'type': key, 'queue': []})
+    else:
+        barn = catalog['barn']
+        animal = {'type': key, 'ready': False, 'happiness': barn['startingHappiness'], 'happinessAt': at, 'fedUntil': at}
+        animal['readyAt'] = at + production_ms(data, item, catalog, mood(animal, at, catalog))
+        data['animals'].append(animal)
+
+
+def plant(data, args, at, catalog):
+    i = arg_index(args, 'plot', data['plots'])
+    key, _ = arg_item(args, 'crop', catalog, 'seed')
+    if data['plots'][i].get('crop'):
+        raise ActionError(f'plot {i} is already planted')
+    if data['seeds'].get(key, 0) < 1:
+        raise ActionError(f'no {key} seeds')
+    data['seeds'][key] -= 1
+    rules = weather_rules(data, catalog)
+    data['plots'][i] = {**empty_plot(), 'crop': key, 'plantedAt': at, 'growthAt': at,
+                        'weatherRate': rules.get('cropGrowth', 1), 'rainWatered': bool(rules.get('watersCrops'))}
+
+
+def harvest(data, args, at, catalog):
+    i = arg_index(args, 'plot', data['plots'])
+    plot = data['plots'][i]
+    if not plot.get('crop'):
+        raise ActionError(f'plot {i} is empty')
+    if at < ready_at(plot, catalog) - CLOCK_TOLERANCE_MS:
+        raise ActionError(f'plot {i} is not ready yet')
+    if at > withered_at(plot, catalog) + CLOCK_TOLERANCE_MS:
+        raise ActionError(f'plot {i} has withered')
+    data['inventory'][plot['crop']] = data['inventory'].get(plot['crop'], 0) + 1
+    data['plots'][i] = empty_plot()
+    add_xp(data, 'harvest', catalog)
+
+
+def clear_plot(data, args, at, catalog):
+    """Dig up a withered crop."""
+    i = arg_index(args, 'plot', data['plots'])
+    plot = data['plots'][i]
+    if not plot.get('crop') or at < withered_at(plot, catalog) - CLOCK_TOLERANCE_MS:
+        raise ActionError(f'plot {i} has no withered crop')
+    data['plots'][i] = empty_plot()
+
+
+def water(data, args, at, catalog):
+    plot = growing_plot(data, args, at, catalog)
+    bank_growth(plot, at, catalog)
+    plot['wateredUntil'] = at + catalog['care']['waterLastsSeconds'] * 1000
+
+
+def fertilize(data, args, at, catalog):
+    plot = growing_plot(data, args, at, catalog)
+    if plot['fertilized']:
+        raise ActionError('this crop is already fertilized')
+    if data['supplies'].get('fertilizer', 0) < 1:
+        raise ActionError('no fertilizer')
+    data['supplies']['fertilizer'] -= 1
+    bank_growth(plot, at, catalog)
+    plot['fertilized'] = True
+
+
+def buy_plot(data, args, at, catalog):
+    land = catalog['land']
+    # The client names the plot it is buying, so a replayed action cannot buy a second one
+    if args.get('plot') != len(data['plots']):
+        raise ActionError(f'plot: expected {len(data["plots"])}, got {json.dumps(args.get("plot"))}')
+    index = len(data['plots']) - land['startingPlots']
+    if not 0 <= index < len(land['expansions']):
+        raise ActionError('no more land to buy')
+    expansion = land['expansions'][index]
+    milestones = data['milestones']
+    have = {'sessions': milestones['sessions'], 'focusHours': milestones['focusSeconds'] / 3600, 'level': level(data, catalog)}
+    for key, need in expansion.get('requires', {}).items():
+        if have.get(key, 0) < need:
+            raise ActionError(f'plot {len(data["plots"]) + 1} needs {key} {need}, has {have.get(key, 0):g}')
+    if data['coins'] < expansion['cost']:
+        raise ActionError('not enough coins for land')
+    data['coins'] -= expansion['cost']
+    data['plots'].append(empty_plot())
+
+
+def collect(data, args, at, catalog):
+    i = arg_index(args, 'animal', data['animals'])
+    animal = data['animals'][i]
+    item = catalog['items'][animal['type']]
+    if at < animal['readyAt'] - CLOCK_TOLERANCE_MS:
+        raise ActionError(f'animal {i} has nothing to collect')
+    animal_mood = mood(animal, at, catalog)
+    data['inventory'][item['product']] = data['inventory'].get(item['product'], 0) + animal_mood['yield']
+    animal['readyAt'] = at + production_ms(data, item, catalog, animal_mood)
+    animal['ready'] = False
+    add_xp(data, 'collect', catalog)
+
+
+def auto_collect(data, args, at, catalog):
+    """Several products at once, made back to back while the app was closed.
+
+    `count` is the number of products; the animal's mood when the first was
+    ready sets the pace and the yield of each, and the weather now the pace
+    too, as in Farm.catchUp.
+    """
+    i = arg_index(args, 'animal', data['animals'])
+    count = arg_count(args)
+    animal = data['animals'][i]
+    item = catalog['items'][animal['type']]
+    animal_mood = mood(animal, animal['readyAt'], catalog)
+    cycle_ms = production_ms(data, item, catalog, animal_mood)
+    amount = count * animal_mood['yield']
+    if at < animal['readyAt'] + (count - 1) * cycle_ms - CLOCK_TOLERANCE_MS:
+        raise ActionError(f'animal {i} has not made {count} products yet')
+    if storage_used(data) + amount > catalog['economy']['storageCapacity']:
+        raise ActionError('storage is full')
+    data['inventory'][item['product']] = data['inventory'].get(item['product'], 0) + amount
+    animal['readyAt'] += count * cycle_ms
+    animal['ready'] = at >= animal['readyAt']
+    add_xp(data, 'collect', catalog, count)
+
+
+def feed(data, args, at, catalog):
+    """One crop from the inventory keeps an animal fed for barn.feedLastsSeconds more."""
+    i = arg_index(args, 'animal', data['animals'])
+    animal = data['animals'][i]
+    item = catalog['items'][animal['type']]
+    key, _ = arg_item(args, 'crop', catalog, 'seed')
+    if key not in item.get('feed', []):
+        raise ActionError(f'{animal["type"]} does not eat {key}')
+    if data['inventory'].get(key, 0) < 1:
+        raise ActionError(f'no harvested {key} to feed')
+    barn = catalog['barn']
+    fed_until = max(at, animal['fedUntil']) + barn['feedLastsSeconds'] * 1000
+    if fed_until > at + barn['maxFedSeconds'] * 1000 + CLOCK_TOLERANCE_MS:
+        raise ActionError(f'animal {i} is full')
+    data['inventory'][key] -= 1
+    animal['happiness'] = happiness(animal, at, catalog)
+    animal['happinessAt'] = at
+    animal['fedUntil'] = fed_until
+
+
+def process(data, args, at, catalog):
+    """Queue a recipe in a building; it starts when the job before it is done."""
+    i = arg_index(args, 'building', data['buildings'])
+    building = data['buildings'][i]
+    item = catalog['items'][building['type']]
+    key = args.get('recipe')
+    recipe = item['recipes'].get(key) if isinstance(key, str) else None
+    if recipe is None:
+        raise ActionError(f'{building["type"]} has no recipe {json.dumps(key)}')
+    queue = building['queue']
+    if len(queue) >= item['queueSize']:
+        raise ActionError(f'the {building["type"]} queue is full')
+    for good, count in recipe['inputs'].items():
+        if data['inventory'].get(good, 0) < count:
+            raise ActionError(f'not enough {good} for {key}')
+        data['inventory'][good] -= count
+    started_at = max(at, queue[-1]['readyAt']) if queue else at
+    queue.append({'recipe': key, 'startedAt': started_at, 'readyAt': started_at + recipe['time'] * 1000})
+
+
+def collect_goods(data, args, at, catalog):
+    """Take the first `count` finished jobs out of a building."""
+    i = arg_index(args, 'building', data['buildings'])
+    count = arg_count(args)
+    queue = data['buildings'][i]['queue']
+    if len(queue) < count or at < queue[count - 1]['readyAt'] - CLOCK_TOLERANCE_MS:
+        raise ActionError(f'building {i} has not finished {count} jobs')
+    for job in queue[:count]:
+        data['inventory'][job['recipe']] = data['inventory'].get(job['recipe'], 0) + 1
+    del queue[:count]
+    add_xp(data, 'collect', catalog, count)
+
+
+# Market prices, the same sums as Market in script.js. A good's price for the
+# day drifts around its catalog price by a seeded amount; every unit sold adds
+# to its pressure, which pushes the price down and wears off over time.
+# Sales are priced at the server's time, never at the one the client sends
+# (see apply_action), so a good day cannot be picked after the fact.
+
+DAY_MS = 24 * 3600 * 1000
+
+
+def price_noise(good, day, catalog):
+    market = catalog['market']
+    return 2 * seeded_random(market['seed'] ^ hash_string(good), day) - 1
+
+
+def daily_price(good, day, catalog):
+    """Price of one unit on a UTC day number, before pressure."""
+    drift = catalog['market']['dailyDrift'] * (price_noise(good, day, catalog) + price_noise(good, day - 1, catalog)) / 2
+    return goods(catalog)[good] * (1 + drift)
+
+
+def pressure(data, good, t, catalog):
+    entry = data['market']['pressure'].get(good)
+    if not entry:
+        return 0
+    return max(0, entry['units'] - catalog['market']['recoveryPerHour'] * max(0, t - entry['at']) / 3600000)
+
+
+def unit_price(good, day, units, catalog):
+    """Price of the next unit with `units` of pressure; rounded half up like Math.round."""
+    market = catalog['market']
+    factor = max(market['minPressureFactor'], 1 - market['pressurePerUnit'] * units)
+    return max(1, int(daily_price(good, day, catalog) * factor + 0.5))
+
+
+def sell_goods(data, good, count, at, catalog, min_price=None):
+    """Sell `count` of a good one unit at a time; each unit sold lowers the next one's price."""
+    if data['inventory'].get(good, 0) < count:
+        raise ActionError(f'not enough {good} to sell {count}')
+    day = int(at // DAY_MS)
+    units = pressure(data, good, at, catalog)
+    total = 0
+    for k in range(count):
+        price = unit_price(good, day, units + k, catalog)
+        if min_price is not None and price < min_price:
+            raise ActionError(f'{good} is at {price}, below the order price of {min_price}')
+        total += price
+    data['inventory'][good] -= count
+    data['market']['pressure'][good] = {'units': units + count, 'at': at}
+    data['coins'] += total
+
+
+def sell(data, args, at, catalog):
+    """Sell some of one good, optionally only at or above args['minPrice'] (a sell order)."""
+    good = args.get('good')
+    if good not in goods(catalog):
+        raise ActionError(f'unknown good {json.dumps(good)}')
+    min_price = args.get('minPrice')
+    if min_price is not None and (not isinstance(min_price, (int, float)) or isinstance(min_price, bool)):
+        raise ActionError(f'minPrice: expected a number, got {json.dumps(min_price)}')
+    sell_goods(data, good, arg_count(args), at, catalog, min_price)
+
+
+def sell_all(data, args, at, catalog):
+    for good in goods(catalog):
+        count = data['inventory'].get(good, 0)
+        if count > 0:
+            sell_goods(data, good, count, at, catalog)
+
+
+# Daily goal streaks, worked out the same way as Streaks in script.js. Days
+# are the player's local dates, from the UTC offset their client last sent.
+
+def arg_utc_offset(data, args):
+    offset = args.get('utcOffset')
+    if not isinstance(offset, int) or isinstance(offset, bool) or not -MAX_UTC_OFFSET <= offset <= MAX_UTC_OFFSET:
+        raise ActionError(f'utcOffset: expected minutes from UTC, got {json.dumps(offset)}')
+    data['ledger']['utcOffset'] = offset
+
+
+def local_date(data, at):
+    return datetime.fromtimestamp(at / 1000 + data['ledger']['utcOffset'] * 60, timezone.utc).date()
+
+
+def settle_streak(data, at):
+    """Spend Streak Freezes on the days missed since the goal was last met, or end the streak."""
+    streak = data['streak']
+    if not streak['current'] or not streak['lastGoalDate']:
+        return
+    today = local_date(data, at)
+    missed = (today - date.fromisoformat(streak['lastGoalDate'])).days - 1
+    if missed <= 0:
+        return
+    if data['supplies'].get('freeze', 0) >= missed:
+        data['supplies']['freeze'] -= missed
+        # Yesterday counts as covered so today can extend the streak
+        streak['lastGoalDate'] = (today - timedelta(days=1)).isoformat()
+    else:
+        streak['current'] = 0
+
+
+def streak_multiplier(data, catalog):
+    rules = catalog['economy']
+    return min(1 + data['streak']['current'] * rules['streakBonusPerDay'], rules['maxStreakMultiplier'])
+
+
+def record_focus(data, seconds, at, goal_minutes):
+    """Add a finished session to today's focus; meeting the goal extends the streak once a day."""
+    today = local_date(data, at).isoformat()
+    focus = data['ledger']['today']
+    if focus['date'] != today:
+        focus.update(date=today, seconds=0)
+    focus['seconds'] += seconds
+    streak = data['streak']
+    if streak['lastGoalDate'] != today and focus['seconds'] >= goal_minutes * 60:
+        streak['current'] += 1
+        streak['best'] = max(streak['best'], streak['current'])
+        streak['lastGoalDate'] = today
+
+
+def settle_streak_action(data, args, at, catalog):
+    arg_utc_offset(data, args)
+    settle_streak(data, at)
+
+
+def weather(data, args, at, catalog):
+    """The weather changed: bank every growing crop at the old speed, then apply the new one.
+
+    The new weather is args['observed'], the server's own reading for `at`
+    (see apply_action). What the client says it saw is never used.
+    """
+    new_type = args.get('observed')
+    if new_type not in catalog['weather']['types']:
+        raise ActionError('the server has no weather reading for this time')
+    old_rules = weather_rules(data, catalog)
+    if data['weather']['type'] == new_type:
+        return
+    rules = catalog['weather']['types'][new_type]
+    for plot in data['plots']:
+        if not plot.get('crop') or plot['withered'] or ready_at(plot, catalog) <= at:
+            continue
+        bank_growth(plot, at, catalog)
+        # Soil stays wet for a while after the rain stops
+        if old_rules.get('watersCrops') and not rules.get('watersCrops'):
+            plot['wateredUntil'] = at + catalog['care']['waterLastsSeconds'] * 1000
+        plot['weatherRate'] = rules.get('cropGrowth', 1)
+        plot['rainWatered'] = bool(rules.get('watersCrops'))
+    data['weather'] = {'type': new_type, 'since': at}
+
+
+# Customer orders, generated the same way as OrderBoard.generate in script.js.
+# An order is fixed by the refresh window it appeared in, its slot on the
+# board and the pool of goods the player could make at the time. The server
+# keeps its own board, dealt when each window opens, and only orders still on
+# it can be delivered.
+
+def order_window_ms(catalog):
+    return catalog['orders']['refreshMinutes'] * 60000
+
+
+def unlocked_goods(data, catalog):
+    """Goods the player can make: every unlocked crop, plus products of owned animals and buildings."""
+    owned = {a['type'] for a in data['animals']} | {b['type'] for b in data['buildings']}
+    player_level = level(data, catalog)
+    pool = []
+    for key, item in catalog['items'].items():
+        if item.get('level', 1) > player_level:
+            continue
+        if item['type'] == 'seed':
+            pool.append(key)
+        elif item['type'] == 'animal' and key in owned:
+            pool.append(item['product'])
+        elif item['type'] == 'building' and key in owned:
+            pool.extend(item['recipes'])
+    return pool
+
+
+def generate_order(window, slot, pool, catalog):
+    rules = catalog['orders']
+    prices = goods(catalog)
+
+    def r(k):
+        return seeded_random(rules['seed'] ^ window, slot * 16 + k)
+
+    remaining = list(pool)
+    lines = {}
+    for j in range(1 + int(r(0) * min(rules['maxLines'], len(pool)))):
+        good = remaining.pop(int(r(1 + j) * len(remaining)))
+        lines[good] = 1 + int(r(8 + j) * rules['maxCount'])
+    value = sum(count * prices[good] for good, count in lines.items())
+    created_at = window * order_window_ms(catalog)
+    return {
+        'id': f'{window}-{slot}',
+        'lines': lines,
+        'coins': int(value * rules['coinBonus'] + 0.5),
+        'xp': int(value * rules['xpPerCoin'] + 0.5),
+        'createdAt': created_at,
+        'expiresAt': created_at + rules['expiresHours'] * 3600000,
+    }
+
+
+def refresh_orders(data, at, catalog):
+    """Drop expired orders and fill empty slots once a new window has started (OrderBoard.refresh)."""
+    board = data['orderBoard']
+    board['orders'] = [o for o in board['orders'] if at <= o['expiresAt']]
+    window = int(at // order_window_ms(catalog))
+    if board['window'] == window:
+        return
+    pool = unlocked_goods(data, catalog)
+    taken = {o['slot'] for o in board['orders']}
+    for slot in range(catalog['orders']['slots']):
+        if slot not in taken:
+            board['orders'].append({**generate_order(window, slot, pool, catalog), 'window': window, 'slot': slot, 'pool': pool})
+    board['orders'].sort(key=lambda o: o['slot'])
+    board['window'] = window
+
+
+def board_order(data, args):
+    order_id = args.get('id')
+    for order in data['orderBoard']['orders']:
+        if order['id'] == order_id:
+            return order
+    raise ActionError(f'order {json.dumps(order_id)} is not on the board')
+
+
+def deliver(data, args, at, catalog):
+    order = board_order(data, args)
+    for good, count in order['lines'].items():
+        if data['inventory'].get(good, 0) < count:
+            raise ActionError(f'not enough {good} for order {order["id"]}')
+    for good, count in order['lines'].items():
+        data['inventory'][good] -= count
+    data['coins'] += order['coins']
+    data['xp'] += order['xp']
+    data['orderBoard']['orders'].remove(order)
+
+
+def decline_order(data, args, at, catalog):
+    data['orderBoard']['orders'].remove(board_order(data, args))
+
+
+def start_session(data, args, at, catalog):
+    """A focus session started, on a task with an estimate in minutes or on none,
+    and in strict mode or not. Sessions last at least minFocusMinutes and task
+    estimates are at least minTaskMinutes, as the client asks of the player."""
+    rules = catalog['economy']
+    session_id = args.get('session')
+    duration = args.get('duration')
+    if not isinstance(duration, (int, float)) or isinstance(duration, bool) or duration < rules['minFocusMinutes'] * 60:
+        raise ActionError(f'duration: expected seconds >= {rules["minFocusMinutes"] * 60}, got {json.dumps(duration)}')
+    task = args.get('task')
+    if task is not None:
+        if not isinstance(task, (int, str)) or isinstance(task, bool):
+            raise ActionError(f'task: expected a task id or null, got {json.dumps(task)}')
+        # The bonus goes by the estimate in the stored save (credit_task);
+        # this one only has to be one the client would allow
+        estimate = arg_count(args, 'estimate')
+        if estimate < rules['minTaskMinutes']:
+            raise ActionError(f'estimate: expected minutes >= {rules["minTaskMinutes"]}, got {estimate}')
+    strict = args.get('strict', False)
+    if not isinstance(strict, bool):
+        raise ActionError(f'strict: expected true or false, got {json.dumps(strict)}')
+    ledger = data['ledger']
+    # Starting the same session again (after a pause) keeps its first start
+    if ledger['session'] and ledger['session']['id'] == session_id:
+        return
+    ledger['session'] = {'id': session_id, 'startedAt': at, 'duration': duration,
+                         'task': None if task is None else str(task), 'strict': strict}
+
+
+def add_task_focus(data, session, seconds):
+    """Add focused time to the session's task, however the session ended.
+    Returns the task's time so far, or None without a task to count it for."""
+    task = session.get('task')
+    ledger = data['ledger']
+    if task is None or task in ledger['rewardedTasks']:
+        return None
+    focus = ledger['taskFocus']
+    # Popped and put back so the least recently worked tasks go first
+    focus[task] = focus.pop(task, 0) + seconds
+    for stale in list(focus)[:-TASKS_KEPT]:
+        del focus[stale]
+    return focus[task]
+
+
+def saved_task(data, task_id):
+    """The task with this id in the stored save, or None if it was never saved."""
+    for task in data.get('tasks') or []:
+        if isinstance(task, dict) and str(task.get('id')) == task_id:
+            return task
+    return None
+
+
+def credit_task(data, session, seconds, catalog):
+    """Count a finished session towards its task. True when that brings the
+    task to its estimate, which pays the task bonus once per task.
+
+    Only tasks already in the stored save earn the bonus, going by the
+    estimate saved with them: made-up task ids, or estimates changed after a
+    session started, cannot pay it. A task created offline misses the bonus
+    if its session reaches the server before the save does.
+    """
+    focused = add_task_focus(data, session, seconds)
+    task = saved_task(data, session['task']) if focused is not None else None
+    if task is None:
+        return False
+    estimate = task.get('estimate')
+    if not isinstance(estimate, int) or isinstance(estimate, bool):
+        return False
+    if focused < max(estimate, catalog['economy']['minTaskMinutes']) * 60:
+        return False
+    ledger = data['ledger']
+    del ledger['taskFocus'][session['task']]
+    ledger['rewardedTasks'] = (ledger['rewardedTasks'] + [session['task']])[-TASKS_KEPT:]
+    return True
+
+
+def open_session(data, args):
+    session = data['ledger']['session']
+    if session is None or session['id'] != args.get('session'):
+        raise ActionError('no such focus session was started')
+    return session
+
+
+def arg_focus_score(args, session):
+    """A strict mode session must send its focus score; other sessions earn in full."""
+    score = args.get('focusScore')
+    strict = session.get('strict')
+    if score is None:
+        if strict:
+            raise ActionError('focusScore: a strict session needs its focus score')
+        return None
+    # Sessions started before the server kept `strict` may send either
+    if strict is False:
+        raise ActionError('focusScore: only strict sessions have a focus score')
+    if not isinstance(score, int) or isinstance(score, bool) or not 0 <= score <= 100:
+        raise ActionError(f'focusScore: expected 0 to 100, got {json.dumps(score)}')
+    return score
+
+
+def by_focus_score(value, score):
+    """Scale a reward by the focus score, if any, and round half up like Math.round on the client."""
+    if score is not None:
+        value = value * score / 100
+    return int(value + 0.5)
+
+
+def finish_session(data, args, at, catalog):
+    ledger = data['ledger']
+    session = open_session(data, args)
+    if at - session['startedAt'] < session['duration'] * 1000 - CLOCK_TOLERANCE_MS:
+        raise ActionError('focus session finished too early')
+    score = arg_focus_score(args, session)
+    goal_minutes = arg_count(args, 'goalMinutes')
+    arg_utc_offset(data, args)
+    rules = catalog['economy']
+    minutes = int(session['duration'] // 60)
+    coins = minutes * rules['coinsPerFocusMinute']
+    add_xp(data, 'focusMinute', catalog, by_focus_score(minutes, score))
+    if credit_task(data, session, session['duration'], catalog):
+        coins += rules['taskBonus']
+        add_xp(data, 'task', catalog)
+    # The streak bonus goes by the streak before this session counts towards it
+    settle_streak(data, at)
+    data['coins'] += by_focus_score(coins * streak_multiplier(data, catalog), score)
+    record_focus(data, session['duration'], at, goal_minutes)
+    ledger['session'] = None
+    ledger['lastRewardedSession'] = session['id']
+    data['milestones']['sessions'] += 1
+    data['milestones']['focusSeconds'] += session['duration']
+
+
+def abandon_session(data, args, at, catalog):
+    """Give up on a focus session. Minutes focused from abandonMinMinutes on
+    still pay, without the streak or task bonus; fewer pay nothing.
+
+    args['focused'] is every second focused, paid or not, which counts
+    towards the session's task like a finished session's time does.
+    """
+    ledger = data['ledger']
+    session = open_session(data, args)
+    minutes = args.get('minutes', 0)
+    if not isinstance(minutes, int) or isinstance(minutes, bool) or minutes < 0:
+        raise ActionError(f'minutes: expected a whole number >= 0, got {json.dumps(minutes)}')
+    focused = args.get('focused', minutes * 60)
+    if not isinstance(focused, int) or isinstance(focused, bool) or focused < minutes * 60:
+        raise ActionError(f'focused: expected seconds >= the minutes paid, got {json.dumps(focused)}')
+    if focused > session['duration'] or focused * 1000 > at - session['startedAt'] + CLOCK_TOLERANCE_MS:
+        raise ActionError('more minutes claimed than were focused')
+    rules = catalog['economy']
+    if 0 < minutes < rules['abandonMinMinutes']:
+        raise ActionError(f'sessions abandoned before {rules["abandonMinMinutes"]} minutes earn nothing')
+    score = arg_focus_score(args, session)
+    add_xp(data, 'focusMinute', catalog, by_focus_score(minutes, score))
+    data['coins'] += by_focus_score(minutes * rules['coinsPerFocusMinute'], score)
+    add_task_focus(data, session, focused)
+    ledger['session'] = None
+    ledger['lastRewardedSession'] = session['id']
+
+
+HANDLERS = {
+    'buy': buy,
+    'plant': plant,
+    'harvest': harvest,
+    'clear_plot': clear_plot,
+    'water': water,
+    'fertilize': fertilize,
+    'buy_plot': buy_plot,
+    'collect': collect,
+    'auto_collect': auto_collect,
+    'feed': feed,
+    'process': process,
+    'collect_goods': collect_goods,
+    'sell': sell,
+    'sell_all': sell_all,
+    'settle_streak': settle_streak_action,
+    'deliver': deliver,
+    'decline_order': decline_order,
+    'weather': weather,
+    'start_session': start_session,
+    'finish_session': finish_session,
+    'abandon_session': abandon_session,
+}
+
+
+def apply_action(data, action, now, catalog, weather_at=lambda ts: None):
+    """Apply one client action to a stored save (already run through ensure_economy).
+
+    `weather_at(ts)` gives the server's weather reading for a time; without
+    one, weather actions are refused.
+    Returns {id, ok} and an `error` when the action was refused. A refused
+    action leaves the save untouched.
+    """
+    if not isinstance(action, dict):
+        return {'id': None, 'ok': False, 'error': 'expected an object'}
+    action_id = action.get('id')
+    ledger = data['ledger']
+    if action_id is not None and action_id in ledger['seen']:
+        return {'id': action_id, 'ok': True, 'duplicate': True}
+
+    handler = HANDLERS.get(action.get('op'))
+    args = action.get('args') or {}
+    if handler is None or not isinstance(args, dict):
+        return {'id': action_id, 'ok': False, 'error': f'unknown action {json.dumps(action.get("op"))}'}
+
+    at = action.get('at')
+    if not isinstance(at, (int, float)) or isinstance(at, bool):
+        at = now
+    at = min(max(at, ledger['lastActionAt'], now - MAX_ACTION_AGE_MS), now)
+    if action.get('op') in AT_ARRIVAL_OPS:
+        at = now
+    if action.get('op') == 'weather':
+        args = {**args, 'observed': weather_at(at)}
+
+    # Handlers may fail half way, so they work on a copy
+    draft = json.loads(json.dumps(economy_snapshot(data)))
+    draft['ledger'] = json.loads(json.dumps(ledger))
+    # Read only: the task bonus goes to tasks in the stored save
+    draft['tasks'] = data.get('tasks')
+    try:
+        # The board follows the clock, so it is brought up to date first
+        refresh_orders(draft, at, catalog)
+        handler(draft, args, at, catalog)
+    except ActionError as e:
+        return {'id': action_id, 'ok': False, 'error': str(e)}
+    except (KeyError, TypeError) as e:
+        return {'id': action_id, 'ok': False, 'error': f'malformed save or action ({e})'}
+
+    del draft['tasks']
+    data.update(draft)
+    ledger = data['ledger']
+    ledger['lastActionAt'] = at
+    if action_id is not None:
+        ledger['seen'] = (ledger['seen'] + [action_id])[-SEEN_ACTIONS_KEPT:]
+    return {'id': action_id, 'ok': True}
@@ -1,31 +1,1056 @@
 /**
  * DISCIPLINE FARM APP
- * Logic split into: Config, State, Timer, Farm, Shop, UI
+ * Logic split into: Config, Catalog, Schema, Sync, Weather, Recurrence, State, Timer, Streaks, History, Levels, Farm, Workshop, Market, Orders, Shop, UI
  */
 
 const CONFIG = {
-    plots: 6,
     timerDuration: 25 * 60, // 25 mins
     timerReward: 50,
-    items: {
-        wheat: { type: 'seed', name: 'Wheat', cost: 10, sell: 15, growTime: 10, icon: '🌾' },
-        carrot: { type: 'seed', name: 'Carrot', cost: 25, sell: 40, growTime: 20, icon: '🥕' },
-        chicken: { type: 'animal', name: 'Chicken', cost: 100, product: 'Egg', productPrice: 15, produceTime: 60, icon: '🐔', productIcon: '🥚' },
-        cow: { type: 'animal', name: 'Cow', cost: 300, product: 'Milk', productPrice: 40, produceTime: 120, icon: '🐮', productIcon: '🥛' }
-    }
+    coinsPerFocusMinute: CATALOG.economy.coinsPerFocusMinute,
+    taskBonus: CATALOG.economy.taskBonus, // extra coins when a session completes its task
+    abandonMinMinutes: CATALOG.economy.abandonMinMinutes, // an abandoned session pays for its focused minutes from this many on
+    minFocusMinutes: CATALOG.economy.minFocusMinutes, // shortest focus session the server pays for
+    minTaskMinutes: CATALOG.economy.minTaskMinutes, // shortest session length, and so estimate, a task may have
+    abandonReasons: ['Interrupted', 'Too tired', 'Finished early', 'Something urgent came up'], // suggestions; any reason can be typed
+    maxReasonLength: 100,
+    abandonReasonRows: 5, // most common reasons shown on the dashboard
+    pomodoro: {
+        focusMinutes: 25,
+        shortBreakMinutes: 5,
+        longBreakMinutes: 15,
+        longBreakEvery: 4 // focus sessions per long break
+    },
+    streak: {
+        defaultGoalMinutes: 50,
+        bonusPerDay: CATALOG.economy.streakBonusPerDay, // extra reward per streak day...
+        maxMultiplier: CATALOG.economy.maxStreakMultiplier // ...up to this multiple of the base reward
+    },
+    strict: {
+        penaltyPerDistraction: 5, // focus score points lost each time the page is left...
+        defaultMaxDistractions: 0 // ...and how many times it may be left before the session fails (0 = never)
+    },
+    taskRepeats: { daily: 'Daily', weekdays: 'Weekdays', weekly: 'Weekly', days: 'Every N days' }, // see Recurrence
+    maxRepeatDays: 365,
+    taskPriorities: { // highest first
+        high: { label: 'High', icon: '🔴' },
+        medium: { label: 'Medium', icon: '🟡' },
+        low: { label: 'Low', icon: '🟢' }
+    },
+    maxProjectLength: 40,
+    maxTags: 10,
+    estimateTolerance: 0.2, // a task that took within 20% of its estimate was estimated well
+    estimateReportRows: 10, // finished tasks shown in the estimate report
+    historyKeepDays: 90, // older sessions are folded into per-day totals
+    logRetention: 1000, // activity log entries kept in the save
+    logTypes: {
+        system: 'System', session: 'Focus', task: 'Tasks', purchase: 'Purchases', sale: 'Sales',
+        harvest: 'Harvests', collect: 'Animals', farm: 'Farm', order: 'Orders', level: 'Levels', weather: 'Weather', streak: 'Streaks', settings: 'Settings'
+    },
+    storageCapacity: CATALOG.economy.storageCapacity, // produce items auto-collection may fill
+    awayReportMinSeconds: 60, // shorter absences get no "While you were away" report
+    weather: CATALOG.weather, // weather types with their farm modifiers, see Weather
+    care: CATALOG.care, // crop watering and fertilizer speeds, see Farm.grownSeconds
+    barn: CATALOG.barn, // feeding, happiness and the moods it puts animals in, see Farm.happiness
+    market: CATALOG.market, // daily price drift, selling pressure and sell orders, see Market
+    orders: CATALOG.orders, // customer order board, see OrderBoard
+    levels: CATALOG.levels, // XP per activity and the XP each level needs, see Levels
+    avatars: CATALOG.avatars, // avatar sets and the level that unlocks each
+    land: CATALOG.land, // starting plots and the plots that can be bought after them
+    items: CATALOG.items // static/catalog.json, shared with the server
 };
 
+/**
+ * Read-only view over CONFIG.items, which comes from static/catalog.json.
+ * Anything that lists crops, animals or sellable goods asks the catalog, so a
+ * new entry in the catalog shows up in the shop, planting modal, inventory
+ * and sell logic without touching those functions.
+ */
+class Catalog {
+    constructor(items, land) {
+        this.items = items;
+        this.land = land;
+    }
+
+    get(key) { return this.items[key]; }
+
+    keysOfType(type) {
+        return Object.keys(this.items).filter(k => this.items[k].type === type);
+    }
+
+    seeds() { return this.keysOfType('seed'); }
+
+    animals() { return this.keysOfType('animal'); }
+
+    supplies() { return this.keysOfType('supply'); }
+
+    buildings() { return this.keysOfType('building'); }
+
+    // Everything that can sit in the inventory, keyed by inventory key:
+    // harvested crops, animal products and goods made in buildings.
+    goods() {
+        const goods = {};
+        this.seeds().forEach(k => {
+            const item = this.items[k];
+            goods[k] = { name: item.name, icon: item.icon, price: item.sell };
+        });
+        this.animals().forEach(k => {
+            const item = this.items[k];
+            goods[item.product] = { name: item.productName, icon: item.productIcon, price: item.productPrice };
+        });
+        this.keysOfType('good').forEach(k => {
+            const item = this.items[k];
+            goods[k] = { name: item.name, icon: item.icon, price: item.sell };
+        });
+        return goods;
+    }
+
+    emptyInventory() {
+        const inv = {};
+        Object.keys(this.goods()).forEach(k => { inv[k] = 0; });
+        return inv;
+    }
+
+    emptySeeds() {
+        const seeds = {};
+        this.seeds().forEach(k => { seeds[k] = 0; });
+        return seeds;
+    }
+
+    emptySupplies() {
+        const supplies = {};
+        this.supplies().forEach(k => { supplies[k] = 0; });
+        return supplies;
+    }
+
+    maxPlots() { return this.land.startingPlots + this.land.expansions.length; }
+
+    // The land for sale once the farm has `plotCount` plots, or null
+    expansion(plotCount) {
+        return this.land.expansions[plotCount - this.land.startingPlots] || null;
+    }
+}
+
+// Pseudo-random number in [0, 1) for an integer key, the same for the same
+// seed and key every time. seeded_random in economy.py matches it.
+function seededRandom(seed, key) {
+    let x = (seed ^ key) >>> 0;
+    x = Math.imul(x ^ (x >>> 16), 0x45d9f3b) >>> 0;
+    x = Math.imul(x ^ (x >>> 16), 0x45d9f3b) >>> 0;
+    return ((x ^ (x >>> 16)) >>> 0) / 4294967296;
+}
+
+// 32-bit hash of a string, for seeding per-item randomness; hash_string in
+// economy.py matches it
+function hashString(text) {
+    let h = 0;
+    for (let i = 0; i < text.length; i++) h = (Math.imul(h, 31) + text.charCodeAt(i)) >>> 0;
+    return h;
+}
+
+// The key of `options` ({ key: { weight } }) that `r` in [0, 1) lands on
+function pickWeighted(options, r) {
+    const keys = Object.keys(options);
+    const total = keys.reduce((sum, k) => sum + options[k].weight, 0);
+    let point = r * total;
+    for (const k of keys) {
+        point -= options[k].weight;
+        if (point < 0) return k;
+    }
+    return keys[keys.length - 1];
+}
+
+/**
+ * Save schema migrations, oldest first. Each one upgrades a save from the
+ * version before it to `version`; `SaveSchema.migrate` runs whichever a save
+ * still needs, on load and on import. Add new fields with a new entry here
+ * rather than patching the state elsewhere.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        describe: 'Fields added before saves were versioned',
+        up(state) {
+            if (!state.tasks) state.tasks = [];
+            if (state.stats && !state.stats.tasksCompleted) state.stats.tasksCompleted = 0;
+            if (!state.avatar) state.avatar = '👤';
+            if (state.currentTaskId === undefined) state.currentTaskId = null;
+            if (!state.logs) state.logs = [];
+        }
+    },
+    {
+        version: 2,
+        describe: 'Seeds get their own store, separate from harvested produce',
+        up(state, app) {
+            // Seeds and harvested crops used to share one counter. Those counts
+            // were plantable, so they move over as seeds.
+            if (state.seeds || !state.inventory) return;
+            state.seeds = {};
+            app.catalog.seeds().forEach(k => {
+                state.seeds[k] = state.inventory[k] || 0;
+                state.inventory[k] = 0;
+            });
+        }
+    },
+    {
+        version: 3,
+        describe: 'Typed, timestamped activity log entries',
+        up(state) {
+            // Older entries only had a display time and a message
+            if (!Array.isArray(state.logs)) return;
+            state.logs = state.logs.map(l => (l && l.type ? l : { ts: null, type: 'system', msg: String(l && l.msg), meta: {}, time: l && l.time }));
+        }
+    },
+    {
+        version: 4,
+        describe: 'Settings, timer session, streaks, history and sync bookkeeping',
+        up(state, app) {
+            if (!state.supplies) state.supplies = app.catalog.emptySupplies();
+            if (!state.settings) state.settings = {};
+            if (!state.daily) state.daily = {};
+            if (!state.streak) state.streak = { current: 0, best: 0, lastGoalDate: null };
+            if (!state.history) state.history = { sessions: [], archive: {} };
+            if (!state.timer) state.timer = Timer.emptySession();
+            if (!state.timer.phase) state.timer.phase = 'focus';
+            if (!state.timer.cycle) state.timer.cycle = 0;
+            if (!state.saveVersion) state.saveVersion = 0;
+            if (!state.lastSeen) state.lastSeen = app.now();
+        }
+    },
+    {
+        version: 5,
+        describe: 'Plots can be bought, so the grid is no longer a fixed six',
+        up(state) {
+            // Bought plots are simply extra entries; only short grids need fixing
+            if (!Array.isArray(state.plots)) return;
+            while (state.plots.length < CONFIG.land.startingPlots) state.plots.push(Farm.emptyPlot());
+        }
+    },
+    {
+        version: 6,
+        describe: 'Crops need water, can be fertilized and wither',
+        up(state, app) {
+            if (!Array.isArray(state.plots)) return;
+            // Crops already in the ground count as watered until they are grown,
+            // so they finish when they always would have
+            state.plots.forEach(p => {
+                if (!p || typeof p !== 'object') return;
+                const item = p.crop ? app.catalog.get(p.crop) : null;
+                p.growth = p.growth || 0;
+                if (p.growthAt === undefined) p.growthAt = p.plantedAt || 0;
+                if (p.wateredUntil === undefined) p.wateredUntil = item ? p.plantedAt + item.growTime * 1000 : 0;
+                p.fertilized = !!p.fertilized;
+                p.withered = !!p.withered;
+            });
+        }
+    },
+    {
+        version: 7,
+        describe: 'Weather modifies the farm',
+        up(state) {
+            if (!state.weather) state.weather = { type: null, since: 0 };
+            if (!Array.isArray(state.plots)) return;
+            state.plots.forEach(p => {
+                if (!p || typeof p !== 'object') return;
+                if (p.weatherRate === undefined) p.weatherRate = 1;
+                p.rainWatered = !!p.rainWatered;
+            });
+        }
+    },
+    {
+        version: 8,
+        describe: 'Animals are fed and have a happiness',
+        up(state) {
+            // economy.py gives the server's copy the same first free meal
+            if (!Array.isArray(state.animals)) return;
+            state.animals.forEach(a => {
+                if (!a || typeof a !== 'object') return;
+                if (a.happiness === undefined) a.happiness = CONFIG.barn.startingHappiness;
+                if (a.happinessAt === undefined) a.happinessAt = a.readyAt;
+                if (a.fedUntil === undefined) a.fedUntil = a.readyAt + CONFIG.barn.feedLastsSeconds * 1000;
+            });
+        }
+    },
+    {
+        version: 9,
+        describe: 'Processing buildings',
+        up(state) {
+            if (!state.buildings) state.buildings = [];
+        }
+    },
+    {
+        version: 10,
+        describe: 'Market prices move with selling pressure; sell orders',
+        up(state) {
+            if (!state.market) state.market = { pressure: {} };
+            if (!state.sellOrders) state.sellOrders = [];
+        }
+    },
+    {
+        version: 11,
+        describe: 'Customer order board and XP',
+        up(state) {
+            if (state.xp === undefined) state.xp = 0;
+            if (!state.orderBoard) state.orderBoard = { orders: [], window: null };
+        }
+    },
+    {
+        version: 12,
+        describe: 'Recurring tasks',
+        up(state) {
+            state.tasks.forEach(t => { if (t.repeat === undefined) t.repeat = null; });
+        }
+    },
+    {
+        version: 13,
+        describe: 'Tasks estimate their total effort and add up focused time',
+        up(state) {
+            // Time already focused on a task comes from the session history
+            const history = state.history || { sessions: [], archive: {} };
+            state.tasks.forEach(t => {
+                if (t.estimate === undefined) t.estimate = t.duration;
+                if (t.focusedSeconds !== undefined) return;
+                t.focusedSeconds = history.sessions.filter(s => s.taskId === t.id).reduce((sum, s) => sum + s.duration, 0)
+                    + Object.values(history.archive).reduce((sum, day) => sum + (day.tasks[String(t.id)] || 0), 0);
+            });
+        }
+    },
+    {
+        version: 14,
+        describe: 'Task projects, tags and priorities; focus time per project',
+        up(state) {
+            state.tasks.forEach(t => {
+                if (t.project === undefined) t.project = null;
+                if (!t.tags) t.tags = [];
+                if (!t.priority) t.priority = 'medium';
+            });
+            // Past sessions take the project of their task, where it still exists
+            const projectOf = (taskKey) => {
+                const task = state.tasks.find(t => String(t.id) === String(taskKey));
+                return task && task.project ? task.project : null;
+            };
+            state.history.sessions.forEach(s => { if (s.project === undefined) s.project = projectOf(s.taskId); });
+            Object.values(state.history.archive).forEach(day => {
+                if (day.projects) return;
+                day.projects = {};
+                Object.keys(day.tasks).forEach(taskKey => {
+                    const projectKey = projectOf(taskKey) || 'none';
+                    day.projects[projectKey] = (day.projects[projectKey] || 0) + day.tasks[taskKey];
+                });
+            });
+        }
+    },
+    {
+        version: 15,
+        describe: 'Strict focus mode counts distractions during a session',
+        up(state) {
+            const timer = state.timer;
+            if (timer && timer.strict === undefined) Object.assign(timer, { strict: false, distractions: 0, awayMs: 0, awaySince: null });
+            state.history.sessions.forEach(s => { if (s.focusScore === undefined) s.focusScore = null; });
+        }
+    },
+    {
+        version: 16,
+        describe: 'Abandoned sessions are kept in the history',
+        up(state) {
+            state.history.sessions.forEach(s => { if (s.abandoned === undefined) s.abandoned = false; });
+            Object.values(state.history.archive).forEach(day => { if (day.abandoned === undefined) day.abandoned = 0; });
+        }
+    },
+    {
+        version: 17,
+        describe: 'Strict sessions keep the distraction limit they started with',
+        up(state) {
+            const timer = state.timer;
+            if (timer && timer.maxDistractions === undefined) {
+                const strict = state.settings && state.settings.strict;
+                timer.maxDistractions = timer.strict && strict ? strict.maxDistractions : 0;
+            }
+        }
+    },
+    {
+        version: 18,
+        describe: 'Land unlocks by the focus milestones the server counts',
+        up(state) {
+            if (!state.milestones) state.milestones = { sessions: (state.stats && state.stats.sessions) || 0, focusSeconds: state.totalSeconds || 0 };
+        }
+    }
+];
+
+const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Migration, validation and repair of save data.
+ * `validate` is strict: it returns one "path: problem" line for everything
+ * wrong with a save, and an empty list when the save is usable as-is.
+ * validate_game_data in app.py makes the same checks before storing a save.
+ */
+class SaveSchema {
+    static migrate(state, app) {
+        const from = state.schemaVersion || 0;
+        // Saves from a newer version are left alone; validate() flags them
+        if (from >= SCHEMA_VERSION) return state;
+        MIGRATIONS.slice(from).forEach(migration => {
+            migration.up(state, app);
+            state.schemaVersion = migration.version;
+        });
+        return state;
+    }
+
+    static validate(state, catalog) {
+        const errors = [];
+        const fail = (path, problem) => errors.push(`${path}: ${problem}`);
+        const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const isCount = v => Number.isInteger(v) && v >= 0;
+        const isTime = v => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+        const expect = (path, value, test, problem) => {
+            if (!test(value)) fail(path, `${problem}, got ${JSON.stringify(value)}`);
+            return test(value);
+        };
+        const expectObject = (path, value) => expect(path, value, isObject, 'expected an object');
+        const expectArray = (path, value) => expect(path, value, Array.isArray, 'expected a list');
+        const expectCounts = (path, value) => {
+            if (!expectObject(path, value)) return;
+            Object.keys(value).forEach(k => expect(`${path}.${k}`, value[k], isCount, 'expected a whole number ≥ 0'));
+        };
+
+        if (!expectObject('save', state)) return errors;
+
+        expect('schemaVersion', state.schemaVersion, v => Number.isInteger(v) && v >= 1 && v <= SCHEMA_VERSION,
+            `expected a schema version from 1 to ${SCHEMA_VERSION}`);
+        expect('coins', state.coins, isCount, 'expected a whole number ≥ 0');
+        expect('xp', state.xp, isCount, 'expected a whole number ≥ 0');
+        expect('totalSeconds', state.totalSeconds, isTime, 'expected a number ≥ 0');
+        expect('saveVersion', state.saveVersion, isCount, 'expected a whole number ≥ 0');
+        expect('lastSeen', state.lastSeen, isTime, 'expected a timestamp');
+        expect('avatar', state.avatar, v => typeof v === 'string' && v.length > 0, 'expected an emoji');
+        expectCounts('seeds', state.seeds);
+        expectCounts('inventory', state.inventory);
+        expectCounts('supplies', state.supplies);
+
+        if (expectArray('plots', state.plots)) {
+            expect('plots', state.plots.length, n => n >= CONFIG.land.startingPlots && n <= catalog.maxPlots(),
+                `expected ${CONFIG.land.startingPlots} to ${catalog.maxPlots()} plots`);
+            state.plots.forEach((p, i) => {
+                const path = `plots[${i}]`;
+                if (!expectObject(path, p)) return;
+                expect(`${path}.crop`, p.crop, v => v === null || catalog.seeds().includes(v), 'expected empty or a known crop');
+                expect(`${path}.plantedAt`, p.plantedAt, isTime, 'expected a timestamp');
+                expect(`${path}.progress`, p.progress, v => typeof v === 'number' && v >= 0 && v <= 100, 'expected 0 to 100');
+                expect(`${path}.ready`, p.ready, v => typeof v === 'boolean', 'expected true or false');
+                ['growth', 'growthAt', 'wateredUntil'].forEach(k => expect(`${path}.${k}`, p[k], isTime, 'expected a number ≥ 0'));
+                expect(`${path}.weatherRate`, p.weatherRate, v => typeof v === 'number' && v > 0, 'expected a number > 0');
+                ['fertilized', 'withered', 'rainWatered'].forEach(k => expect(`${path}.${k}`, p[k], v => typeof v === 'boolean', 'expected true or false'));
+            });
+        }
+
+        if (expectArray('animals', state.animals)) {
+            state.animals.forEach((a, i) => {
+                const path = `animals[${i}]`;
+                if (!expectObject(path, a)) return;
+                expect(`${path}.type`, a.type, v => catalog.animals().includes(v), 'expected a known animal');
+                expect(`${path}.readyAt`, a.readyAt, isTime, 'expected a timestamp');
+                expect(`${path}.ready`, a.ready, v => typeof v === 'boolean', 'expected true or false');
+                expect(`${path}.happiness`, a.happiness, v => typeof v === 'number' && v >= 0 && v <= 100, 'expected 0 to 100');
+                ['happinessAt', 'fedUntil'].forEach(k => expect(`${path}.${k}`, a[k], isTime, 'expected a timestamp'));
+            });
+        }
+
+        if (expectArray('buildings', state.buildings)) {
+            state.buildings.forEach((b, i) => {
+                const path = `buildings[${i}]`;
+                if (!expectObject(path, b)) return;
+                if (!expect(`${path}.type`, b.type, v => catalog.buildings().includes(v), 'expected a known building')) return;
+                if (!expectArray(`${path}.queue`, b.queue)) return;
+                const recipes = catalog.get(b.type).recipes;
+                b.queue.forEach((job, j) => {
+                    if (!expectObject(`${path}.queue[${j}]`, job)) return;
+                    expect(`${path}.queue[${j}].recipe`, job.recipe, v => v in recipes, `expected a ${b.type} recipe`);
+                    ['startedAt', 'readyAt'].forEach(k => expect(`${path}.queue[${j}].${k}`, job[k], isTime, 'expected a timestamp'));
+                });
+            });
+        }
+
+        if (expectObject('market', state.market) && expectObject('market.pressure', state.market.pressure)) {
+            Object.keys(state.market.pressure).forEach(k => {
+                const path = `market.pressure.${k}`;
+                if (!expectObject(path, state.market.pressure[k])) return;
+                ['units', 'at'].forEach(f => expect(`${path}.${f}`, state.market.pressure[k][f], isTime, 'expected a number ≥ 0'));
+            });
+        }
+
+        if (expectArray('sellOrders', state.sellOrders)) {
+            const goods = catalog.goods();
+            state.sellOrders.forEach((o, i) => {
+                const path = `sellOrders[${i}]`;
+                if (!expectObject(path, o)) return;
+                expect(`${path}.good`, o.good, v => v in goods, 'expected a known good');
+                expect(`${path}.count`, o.count, v => Number.isInteger(v) && v >= 1, 'expected a whole number ≥ 1');
+                expect(`${path}.minPrice`, o.minPrice, v => Number.isInteger(v) && v >= 1, 'expected a price ≥ 1');
+            });
+        }
+
+        if (expectObject('orderBoard', state.orderBoard)) {
+            expect('orderBoard.window', state.orderBoard.window, v => v === null || Number.isInteger(v), 'expected a window number or null');
+            if (expectArray('orderBoard.orders', state.orderBoard.orders)) {
+                const goods = catalog.goods();
+                state.orderBoard.orders.forEach((o, i) => {
+                    const path = `orderBoard.orders[${i}]`;
+                    if (!expectObject(path, o)) return;
+                    expect(`${path}.slot`, o.slot, v => Number.isInteger(v) && v >= 0 && v < CONFIG.orders.slots, `expected a slot below ${CONFIG.orders.slots}`);
+                    expect(`${path}.pool`, o.pool, v => Array.isArray(v) && v.length > 0 && v.every(g => g in goods), 'expected a list of known goods');
+                    expectCounts(`${path}.lines`, o.lines);
+                    ['createdAt', 'expiresAt'].forEach(k => expect(`${path}.${k}`, o[k], isTime, 'expected a timestamp'));
+                });
+            }
+        }
+
+        if (expectObject('milestones', state.milestones)) {
+            expect('milestones.sessions', state.milestones.sessions, isCount, 'expected a whole number ≥ 0');
+            expect('milestones.focusSeconds', state.milestones.focusSeconds, isTime, 'expected seconds ≥ 0');
+        }
+
+        if (expectObject('stats', state.stats)) {
+            ['planted', 'harvested', 'sessions', 'tasksCompleted'].forEach(k =>
+                expect(`stats.${k}`, state.stats[k], isCount, 'expected a whole number ≥ 0'));
+        }
+
+        if (expectArray('tasks', state.tasks)) {
+            state.tasks.forEach((t, i) => {
+                const path = `tasks[${i}]`;
+                if (!expectObject(path, t)) return;
+                expect(`${path}.id`, t.id, Number.isFinite, 'expected a numeric id');
+                expect(`${path}.name`, t.name, v => typeof v === 'string' && v.trim().length > 0, 'expected a name');
+                expect(`${path}.date`, t.date, v => typeof v === 'string' && !isNaN(Date.parse(v)), 'expected a date');
+                expect(`${path}.duration`, t.duration, v => Number.isInteger(v) && v > 0, 'expected minutes > 0');
+                expect(`${path}.completed`, t.completed, v => typeof v === 'boolean', 'expected true or false');
+                expect(`${path}.repeat`, t.repeat, v => v === null || Recurrence.isValid(v), 'expected a repeat rule or null');
+                expect(`${path}.estimate`, t.estimate, v => Number.isInteger(v) && v > 0, 'expected minutes > 0');
+                expect(`${path}.focusedSeconds`, t.focusedSeconds, isTime, 'expected seconds ≥ 0');
+                expect(`${path}.project`, t.project, v => v === null || (typeof v === 'string' && v.trim().length > 0), 'expected a project name or null');
+                expect(`${path}.tags`, t.tags, v => Array.isArray(v) && v.every(tag => typeof tag === 'string'), 'expected a list of tags');
+                expect(`${path}.priority`, t.priority, v => v in CONFIG.taskPriorities, 'expected a priority');
+            });
+        }
+        expect('currentTaskId', state.currentTaskId, v => v === null || Number.isFinite(v), 'expected a task id or null');
+
+        if (expectArray('logs', state.logs)) {
+            state.logs.forEach((l, i) => {
+                const path = `logs[${i}]`;
+                if (!expectObject(path, l)) return;
+                expect(`${path}.msg`, l.msg, v => typeof v === 'string', 'expected text');
+                expect(`${path}.type`, l.type, v => typeof v === 'string', 'expected a log type');
+                expect(`${path}.ts`, l.ts, v => v === null || isTime(v), 'expected a timestamp or null');
+            });
+        }
+
+        if (expectObject('settings', state.settings)) {
+            const settings = state.settings;
+            expect('settings.autoCollect', settings.autoCollect, v => typeof v === 'boolean', 'expected true or false');
+            expect('settings.dailyGoalMinutes', settings.dailyGoalMinutes, v => Number.isInteger(v) && v >= 1, 'expected minutes ≥ 1');
+            if (expectObject('settings.pomodoro', settings.pomodoro)) {
+                ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'longBreakEvery'].forEach(k =>
+                    expect(`settings.pomodoro.${k}`, settings.pomodoro[k], v => Number.isInteger(v) && v >= 1, 'expected a whole number ≥ 1'));
+            }
+            if (expectObject('settings.strict', settings.strict)) {
+                expect('settings.strict.enabled', settings.strict.enabled, v => typeof v === 'boolean', 'expected true or false');
+                expect('settings.strict.maxDistractions', settings.strict.maxDistractions, isCount, 'expected a whole number ≥ 0');
+            }
+        }
+
+        if (expectObject('daily', state.daily)) {
+            Object.keys(state.daily).forEach(k => {
+                expect(`daily.${k}`, k, key => /^\d{4}-\d{2}-\d{2}$/.test(key), 'expected a YYYY-MM-DD date');
+                expect(`daily.${k}`, state.daily[k], isTime, 'expected seconds ≥ 0');
+            });
+        }
+
+        if (expectObject('streak', state.streak)) {
+            expect('streak.current', state.streak.current, isCount, 'expected a whole number ≥ 0');
+            expect('streak.best', state.streak.best, isCount, 'expected a whole number ≥ 0');
+            expect('streak.lastGoalDate', state.streak.lastGoalDate, v => v === null || typeof v === 'string', 'expected a date or null');
+        }
+
+        if (expectObject('history', state.history)) {
+            if (expectArray('history.sessions', state.history.sessions)) {
+                state.history.sessions.forEach((h, i) => {
+                    const path = `history.sessions[${i}]`;
+                    if (!expectObject(path, h)) return;
+                    ['start', 'end', 'duration', 'coins'].forEach(k => expect(`${path}.${k}`, h[k], isTime, 'expected a number ≥ 0'));
+                    expect(`${path}.focusScore`, h.focusScore, v => v === null || (isCount(v) && v <= 100), 'expected a score from 0 to 100 or null');
+                    expect(`${path}.abandoned`, h.abandoned, v => typeof v === 'boolean', 'expected true or false');
+                });
+            }
+            expectObject('history.archive', state.history.archive);
+        }
+
+        if (expectObject('weather', state.weather)) {
+            expect('weather.type', state.weather.type, v => v === null || v in CONFIG.weather.types, 'expected a known weather or null');
+        }
+
+        if (expectObject('timer', state.timer)) {
+            const timer = state.timer;
+            expect('timer.phase', timer.phase, v => ['focus', 'shortBreak', 'longBreak'].includes(v), 'expected focus, shortBreak or longBreak');
+            expect('timer.duration', timer.duration, v => typeof v === 'number' && v > 0, 'expected seconds > 0');
+            expect('timer.elapsedMs', timer.elapsedMs, isTime, 'expected a number ≥ 0');
+            expect('timer.running', timer.running, v => typeof v === 'boolean', 'expected true or false');
+            expect('timer.cycle', timer.cycle, isCount, 'expected a whole number ≥ 0');
+            if (timer.running) expect('timer.startedAt', timer.startedAt, isTime, 'expected a timestamp while running');
+            expect('timer.strict', timer.strict, v => typeof v === 'boolean', 'expected true or false');
+            expect('timer.distractions', timer.distractions, isCount, 'expected a whole number ≥ 0');
+            expect('timer.maxDistractions', timer.maxDistractions, isCount, 'expected a whole number ≥ 0');
+            expect('timer.awayMs', timer.awayMs, isTime, 'expected a number ≥ 0');
+            expect('timer.awaySince', timer.awaySince, v => v === null || isTime(v), 'expected a timestamp or null');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Put right what validate() found, so the save is accepted again. A bad
+     * entry in a list is dropped (a bad plot becomes an empty one); anything
+     * else is reset to its value in `fresh`, a new game. Server-owned parts
+     * come back from the server with its next answer. Returns what was
+     * repaired, as paths like "tasks[2]" or "settings".
+     */
+    static repair(state, errors, fresh) {
+        const drops = new Map();
+        const resets = new Set();
+        const repaired = new Set();
+        errors.forEach(error => {
+            const keys = error.slice(0, error.indexOf(': ')).match(/[^.[\]]+/g);
+            // The deepest list entry on the path is the one to drop
+            let list = null, index = -1, entry = '', path = '', value = state;
+            keys.forEach(k => {
+                const inList = Array.isArray(value) && /^\d+$/.test(k);
+                path += inList ? `[${k}]` : (path ? `.${k}` : k);
+                if (inList) [list, index, entry] = [value, Number(k), path];
+                value = value !== null && typeof value === 'object' ? value[k] : undefined;
+            });
+            if (list) drops.set(list, new Set([...(drops.get(list) || []), index]));
+            else resets.add(keys[0]);
+            repaired.add(list ? entry : keys[0]);
+        });
+        drops.forEach((indexes, list) => [...indexes].sort((a, b) => b - a).forEach(i => {
+            if (list === state.plots) list[i] = Farm.emptyPlot();
+            else list.splice(i, 1);
+        }));
+        resets.forEach(key => { state[key] = fresh[key]; });
+        return [...repaired];
+    }
+}
+
+// Parts of the save owned by the server. They change only through actions
+// (see SaveManager.enqueue) and /api/save ignores them.
+const ECONOMY_KEYS = ['coins', 'xp', 'seeds', 'inventory', 'supplies', 'plots', 'animals', 'buildings', 'market', 'weather', 'streak', 'orderBoard', 'milestones'];
+
+/**
+ * Keeps the save on this device and on the server.
+ * Every change is mirrored to localStorage straight away, so the game stays
+ * playable while the connection is down and nothing is lost if the page
+ * closes before the server has it (see reconcile). Server writes are
+ * batched: changes only mark the state dirty, one request goes out after a
+ * short quiet period, and never more than one at a time, so writes cannot
+ * land out of order. Since each write sends the whole state, the queue of
+ * unsynced changes collapses into the local copy plus its `pending` flag.
+ *
+ * Each write carries the `saveVersion` it was based on and the server refuses
+ * it if another tab or device has saved since. Failed writes retry with
+ * exponential backoff (and right away when the browser comes back online),
+ * and pending changes go out with sendBeacon when the page closes, as far as
+ * it takes them (see flushOnUnload).
+ *
+ * Coins and stock are the exception: the server owns them. Buying, planting,
+ * harvesting, collecting, selling and finishing a session each queue an
+ * action ({ id, op, args, at }) that the server checks against its catalog
+ * and clock. The game applies the action locally straight away; once the
+ * server has answered every queued action, its copy of the economy replaces
+ * ours. Actions sit in the local copy too, so offline play syncs later, but
+ * the server only honours an action's own time for about a minute: anything
+ * older counts as happening when it arrives, and may be refused.
+ */
+class SaveManager {
+    constructor(app, { debounceMs = 1000, maxBackoffMs = 30000 } = {}) {
+        this.app = app;
+        this.debounceMs = debounceMs;
+        this.maxBackoffMs = maxBackoffMs;
+        this.dirty = false;
+        this.actions = [];
+        this.inFlight = null;
+        this.savingFrom = null; // saveVersion of the write on its way to /api/save
+        this.timeout = null;
+        this.failures = 0;
+        this.status = navigator.onLine === false ? 'offline' : 'online';
+        window.addEventListener('beforeunload', () => this.flushOnUnload());
+        window.addEventListener('online', () => {
+            this.failures = 0;
+            this.flush();
+        });
+        window.addEventListener('offline', () => this.setStatus('offline'));
+    }
+
+    get mirrorKey() { return `discipline-farm:${this.app.user}`; }
+
+    readMirror() {
+        try {
+            return JSON.parse(localStorage.getItem(this.mirrorKey));
+        } catch (e) {
+            console.error('Failed to read local save:', e);
+            return null;
+        }
+    }
+
+    writeMirror(pending) {
+        try {
+            localStorage.setItem(this.mirrorKey, JSON.stringify({ state: this.app.state, pending, actions: this.actions, savedAt: this.app.now() }));
+        } catch (e) {
+            console.error('Failed to write local save:', e);
+        }
+    }
+
+    /**
+     * Pick the state to start from, given the server save (null when it could
+     * not be loaded) and the local copy. Unsynced local progress wins when it
+     * was built on the server's current version; when the server has moved on
+     * as well, the player chooses.
+     *
+     * The game page comes from the server with the save built in, so a reload
+     * needs the server to be up; there it restores changes made while the
+     * connection was down. Starting from the local copy alone only happens
+     * when the App is created without a save and /api/load fails.
+     */
+    reconcile(server) {
+        const local = this.readMirror();
+        // Unsent actions go out whichever save wins; the server refuses any
+        // that no longer fit
+        if (local && Array.isArray(local.actions)) this.actions = local.actions;
+        if (!server) {
+            this.setStatus('offline');
+            if (local) {
+                this.app.ui.toast("Can't reach the server. Playing from this device's save.", 'orange');
+                return local.state;
+            }
+            return this.app.getInitialState();
+        }
+        if (!local || !local.pending) return server;
+        const serverVersion = server.saveVersion || 0;
+        if ((local.state.saveVersion || 0) === serverVersion) {
+            this.dirty = true;
+            return local.state;
+        }
+        if (confirm('Your farm was also saved from another tab or device. Keep the progress on this one instead? (Cancel loads the other save.)')) {
+            local.state.saveVersion = serverVersion;
+            this.dirty = true;
+            return local.state;
+        }
+        return server;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.app.ui.renderSyncStatus(status);
+    }
+
+    markDirty() {
+        this.dirty = true;
+        this.writeMirror(true);
+        // Leave a pending retry alone so backoff is not cut short
+        if (this.failures === 0) this.schedule(this.debounceMs);
+    }
+
+    // Queue an action for the server. `at` is when it happened, so a save
+    // that is retried after a short outage is checked against the right time.
+    enqueue(op, args = {}, at = this.app.now()) {
+        const id = `${at}-${Math.random().toString(36).slice(2, 10)}`;
+        this.actions.push({ id, op, args, at });
+        this.writeMirror(true);
+        if (this.failures === 0) this.schedule(this.debounceMs);
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timeout);
+        this.timeout = setTimeout(() => this.flush(), delay);
+    }
+
+    payload(baseVersion = this.app.state.saveVersion) {
+        return JSON.stringify({ baseVersion, state: this.app.state });
+    }
+
+    async flush() {
+        clearTimeout(this.timeout);
+        if (this.inFlight) {
+            // Go again once the current write settles
+            await this.inFlight;
+            return this.flush();
+        }
+        if (!this.dirty && this.actions.length === 0) return;
+        if (navigator.onLine === false) {
+            // The 'online' event flushes once the connection is back
+            this.setStatus('offline');
+            return;
+        }
+        this.setStatus('syncing');
+        this.inFlight = this.sync();
+        try {
+            await this.inFlight;
+        } finally {
+            this.inFlight = null;
+        }
+        if ((this.dirty || this.actions.length > 0) && this.failures === 0) this.schedule(this.debounceMs);
+    }
+
+    // Actions first, then the rest of the state
+    async sync() {
+        if (this.actions.length > 0 && !(await this.sendActions())) return;
+        if (!this.dirty) {
+            this.setStatus('online');
+            return;
+        }
+        this.dirty = false;
+        this.savingFrom = this.app.state.saveVersion;
+        try {
+            await this.send(this.payload());
+        } finally {
+            this.savingFrom = null;
+        }
+    }
+
+    async sendActions() {
+        const batch = this.actions.slice();
+        try {
+            const response = await fetch('/api/actions', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ actions: batch })
+            });
+            if (!response.ok) throw new Error(`Actions rejected with status ${response.status}`);
+            const data = await response.json();
+            // Actions queued while this batch was out stay for the next one
+            this.actions = this.actions.slice(batch.length);
+            this.failures = 0;
+            const rejected = data.results.filter(r => !r.ok);
+            if (rejected.length > 0) console.error('Server refused actions:', rejected);
+            // Until the server has seen everything, its economy is behind ours
+            if (this.actions.length === 0) this.app.applyEconomy(data.economy, rejected);
+            this.writeMirror(this.dirty);
+            return true;
+        } catch (e) {
+            console.error('Failed to send actions:', e);
+            this.retryLater();
+            return false;
+        }
+    }
+
+    async send(body) {
+        try {
+            const response = await fetch('/api/save', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body
+            });
+            if (response.status === 409) {
+                this.failures = 0;
+                this.setStatus('online');
+                await this.app.onSaveConflict();
+                return;
+            }
+            if (response.status === 400) {
+                // The server found the save invalid; retrying will not help
+                const data = await response.json();
+                console.error('Server rejected the save:', data.errors || data.message);
+                this.failures = 0;
+                this.setStatus('error');
+                this.app.ui.toast(`Save rejected: ${(data.errors || [data.message])[0]}`, 'red');
+                return;
+            }
+            if (!response.ok) throw new Error(`Save rejected with status ${response.status}`);
+            const data = await response.json();
+            this.app.state.saveVersion = data.version;
+            this.failures = 0;
+            // The local copy is in sync unless something changed meanwhile
+            this.writeMirror(this.dirty);
+            this.setStatus(this.dirty || this.actions.length > 0 ? 'syncing' : 'online');
+        } catch (e) {
+            console.error('Failed to save state:', e);
+            this.dirty = true;
+            this.retryLater();
+        }
+    }
+
+    retryLater() {
+        this.failures++;
+        const delay = Math.min(this.maxBackoffMs, 1000 * 2 ** (this.failures - 1));
+        if (this.failures === 1) this.app.ui.toast("Offline. Progress is kept on this device and will sync later.", 'orange');
+        this.setStatus('offline');
+        this.schedule(delay);
+    }
+
+    // Last try at sending what is pending as the page closes. Browsers turn
+    // down beacons over about 64 KB, which a save with a long log or history
+    // easily is. Whatever does not go stays pending in the local copy, and
+    // reconcile picks it up on the next visit.
+    flushOnUnload() {
+        if (navigator.onLine === false) return;
+        const beacon = (url, body) => navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+        // The actions also stay queued locally; the server skips ids it has seen
+        if (this.actions.length > 0 && !beacon('/api/actions', JSON.stringify({ actions: this.actions }))) {
+            console.error('Could not send actions on unload; they stay queued on this device.');
+        }
+        if (!this.dirty) return;
+        // A write still on its way will move the server one version on, so
+        // the last changes go on top of it rather than clash with it
+        const baseVersion = this.savingFrom === null ? this.app.state.saveVersion : this.savingFrom + 1;
+        if (!beacon('/api/save', this.payload(baseVersion))) {
+            console.error('Could not send the save on unload; it stays pending on this device.');
+            this.writeMirror(true);
+        }
+    }
+}
+
+/**
+ * Weather providers. `current()` resolves to { type, city, source } and
+ * rejects when the provider has no answer.
+ */
+class ServerWeatherProvider {
+    async current() {
+        const response = await fetch('/api/weather');
+        const data = await response.json();
+        if (!data.success || !CONFIG.weather.types[data.type]) throw new Error('The server sent no usable weather');
+        return { type: data.type, city: data.city, source: data.source };
+    }
+}
+
+// Weather with no network: each hour gets a seeded pick from the catalog
+// weights, the same pick the server's mock provider makes
+class LocalWeatherProvider {
+    constructor(rules, clock) {
+        this.rules = rules;
+        this.clock = clock;
+    }
+
+    weatherAt(ts) {
+        return pickWeighted(this.rules.types, seededRandom(this.rules.seed, Math.floor(ts / 3600000)));
+    }
+
+    async current() {
+        return { type: this.weatherAt(this.clock()), city: 'Local', source: 'local' };
+    }
+}
+
+/**
+ * Weather as a game modifier. Each type in CONFIG.weather.types may set
+ * `cropGrowth` (crop growth speed), `watersCrops` (keeps crops watered) and
+ * `animalOutput` (animal production speed). The weather in force is part of
+ * the server-owned economy, `state.weather`; when it changes, growing crops
+ * are switched over (Farm.applyWeather) and the server gets a `weather`
+ * action, which it checks against its own provider.
+ */
+class Weather {
+    constructor(app) {
+        this.app = app;
+        // Tried in order; the local provider always answers
+        this.providers = [new ServerWeatherProvider(), new LocalWeatherProvider(CONFIG.weather, () => app.now())];
+        this.city = null;
+    }
+
+    get type() { return this.app.state.weather.type; }
+
+    rules(type = this.type) { return CONFIG.weather.types[type] || {}; }
+
+    async refresh() {
+        for (const provider of this.providers) {
+            try {
+                const reading = await provider.current();
+                this.city = reading.city;
+                this.change(reading.type);
+                break;
+            } catch (e) {
+                console.error('Weather provider failed:', e);
+            }
+        }
+        this.app.ui.renderWeather();
+    }
+
+    change(type) {
+        if (type === this.type) return;
+        const now = this.app.now();
+        this.app.farm.applyWeather(type, now);
+        this.app.state.weather = { type, since: now };
+        this.app.act('weather', { weather: type }, now);
+        const rules = this.rules(type);
+        this.app.log(`Weather: ${rules.icon} ${rules.name}. ${rules.effect}.`, 'weather', { weather: type });
+        this.app.ui.renderPlots();
+        this.app.saveState();
+    }
+}
+
+/**
+ * Repeat rules for tasks. A task's `repeat` is null or one of
+ *   { rule: 'daily' | 'weekdays' | 'weekly' } or { rule: 'days', interval: N }
+ * Completing a repeating task adds its next instance, due on the first
+ * date the rule gives after both its own date and today.
+ */
+class Recurrence {
+    static isValid(repeat) {
+        if (!repeat || typeof repeat !== 'object' || !(repeat.rule in CONFIG.taskRepeats)) return false;
+        if (repeat.rule !== 'days') return true;
+        return Number.isInteger(repeat.interval) && repeat.interval >= 1 && repeat.interval <= CONFIG.maxRepeatDays;
+    }
+
+    // A repeat rule from the form fields, or null when the task does not repeat
+    static fromForm(rule, interval) {
+        if (!(rule in CONFIG.taskRepeats)) return null;
+        return rule === 'days' ? { rule, interval: parseInt(interval) } : { rule };
+    }
+
+    static describe(repeat) {
+        if (!repeat) return '';
+        if (repeat.rule === 'days') return repeat.interval === 1 ? 'Daily' : `Every ${repeat.interval} days`;
+        return CONFIG.taskRepeats[repeat.rule];
+    }
+
+    // The date (YYYY-MM-DD) the rule gives after `date`
+    static step(date, repeat) {
+        if (repeat.rule === 'weekly') return Streaks.addDays(date, 7);
+        if (repeat.rule === 'days') return Streaks.addDays(date, repeat.interval);
+        let next = Streaks.addDays(date, 1);
+        if (repeat.rule === 'weekdays') {
+            while ([0, 6].includes(new Date(`${next}T00:00:00`).getDay())) next = Streaks.addDays(next, 1);
+        }
+        return next;
+    }
+
+    static next(date, repeat, today) {
+        let next = Recurrence.step(date, repeat);
+        while (next <= today) next = Recurrence.step(next, repeat);
+        return next;
+    }
+}
+
 class App {
-    constructor(initialData = null) {
+    // `clock` returns the current time in ms; swap it out to drive the game
+    // from a fixed time in tests. `user` names the local copy of the save.
+    constructor(initialData = null, { clock = () => Date.now(), user = 'guest' } = {}) {
+        this.clock = clock;
+        this.user = user;
         this.timerInterval = null;
         this.gameLoopInterval = null;
+        this.weatherInterval = null;
         this.selectedPlotIndex = null;
         this.currentTaskId = null;
 
+        this.catalog = new Catalog(CONFIG.items, CONFIG.land);
+        this.saves = new SaveManager(this);
         this.ui = new UI(this);
         this.timer = new Timer(this);
         this.farm = new Farm(this);
+        this.workshop = new Workshop(this);
+        this.market = new Market(this);
+        this.orders = new OrderBoard(this);
         this.shop = new Shop(this);
+        this.streaks = new Streaks(this);
+        this.history = new History(this);
+        this.levels = new Levels(this);
+        this.weather = new Weather(this);
 
         this.init(initialData);
     }
@@ -33,80 +1058,283 @@ class App {
     getInitialState() {
         return {
             coins: 0,
+            xp: 0,
             totalSeconds: 0,
-            inventory: { wheat: 0, carrot: 0, egg: 0, milk: 0 },
-            plots: Array(CONFIG.plots).fill(null).map(() => ({ crop: null, plantedAt: 0, progress: 0, ready: false })),
+            seeds: this.catalog.emptySeeds(),
+            inventory: this.catalog.emptyInventory(),
+            supplies: this.catalog.emptySupplies(),
+            plots: Array(CONFIG.land.startingPlots).fill(null).map(() => Farm.emptyPlot()),
             animals: [],
+            buildings: [],
+            market: { pressure: {} },
+            sellOrders: [],
+            orderBoard: { orders: [], window: null },
+            milestones: { sessions: 0, focusSeconds: 0 },
             stats: { planted: 0, harvested: 0, sessions: 0, tasksCompleted: 0 },
             tasks: [],
             currentTaskId: null,
             avatar: '👤',
-            logs: []
+            logs: [],
+            settings: {
+                autoCollect: true, dailyGoalMinutes: CONFIG.streak.defaultGoalMinutes,
+                pomodoro: { enabled: false, autoStart: false, ...CONFIG.pomodoro },
+                strict: { enabled: false, maxDistractions: CONFIG.strict.defaultMaxDistractions }
+            },
+            daily: {},
+            streak: { current: 0, best: 0, lastGoalDate: null },
+            history: { sessions: [], archive: {} },
+            timer: Timer.emptySession(),
+            weather: { type: null, since: 0 },
+            lastSeen: this.now(),
+            saveVersion: 0,
+            schemaVersion: SCHEMA_VERSION
         };
     }
 
+    now() { return this.clock(); }
+
     async init(initialData) {
-        this.state = initialData || await this.loadState();
-        // Ensure tasks array exists
-        if (!this.state.tasks) this.state.tasks = [];
-        if (!this.state.stats.tasksCompleted) this.state.stats.tasksCompleted = 0;
-        if (!this.state.avatar) this.state.avatar = '👤';
+        this.state = initialData ? this.saves.reconcile(initialData) : await this.loadState();
+        this.normalizeState();
+        this.catchUp();
+        this.streaks.settle();
+        this.orders.refresh();
+        this.restoreSession();
+        await this.weather.refresh();
+        this.ui.renderAll();
+        this.startGameLoop();
+        this.timer.resume();
+        this.log("System initialized. Welcome to Discipline Farm.");
+        this.saveState();
+    }
+
+    // Bring a loaded save up to the current schema and catalog. Problems are
+    // repaired, since the server refuses every save that has them.
+    normalizeState() {
+        this.fillDefaults(this.state);
+        const errors = SaveSchema.validate(this.state, this.catalog);
+        if (errors.length === 0) return;
+        console.error('Save data problems:', errors);
+        const repaired = SaveSchema.repair(this.state, errors, this.getInitialState());
+        this.log(`Save data had ${errors.length} problem${errors.length > 1 ? 's' : ''}; repaired ${repaired.join(', ')}. See the console for details.`,
+            'system', { errors, repaired });
+        const left = SaveSchema.validate(this.state, this.catalog);
+        if (left.length === 0) return;
+        // The server refuses saves with these, so nothing syncs until they go
+        console.error('Save data problems left after repair:', left);
+        this.log(`Save data still has ${left.length} problem${left.length > 1 ? 's' : ''} after repair: ${left[0]}`, 'system', { errors: left });
+        this.ui.toast(`Your save has problems that could not be repaired (${left[0]}), so it cannot sync with the server.`, 'red');
+    }
+
+    // Migrate a save, then add catalog entries and settings that appeared
+    // since it was made
+    fillDefaults(state) {
+        SaveSchema.migrate(state, this);
+        state.seeds = { ...this.catalog.emptySeeds(), ...state.seeds };
+        state.inventory = { ...this.catalog.emptyInventory(), ...state.inventory };
+        state.supplies = { ...this.catalog.emptySupplies(), ...state.supplies };
+        state.settings = { autoCollect: true, dailyGoalMinutes: CONFIG.streak.defaultGoalMinutes, ...state.settings };
+        state.settings.pomodoro = { enabled: false, autoStart: false, ...CONFIG.pomodoro, ...state.settings.pomodoro };
+        state.settings.strict = { enabled: false, maxDistractions: CONFIG.strict.defaultMaxDistractions, ...state.settings.strict };
+        return state;
+    }
+
+    // Line the timer up with the saved task and session
+    restoreSession() {
         // Load current task ID from state
         this.currentTaskId = this.state.currentTaskId || null;
-        // Set timer duration based on current task or default
-        if (this.currentTaskId) {
+        // A session saved mid-way, or a break that is up next, keeps its own
+        // duration and picks up below
+        if (this.timer.inProgress() || this.timer.onBreak()) {
+            const task = this.state.tasks.find(t => t.id === this.currentTaskId);
+            if (!task || task.completed) this.currentTaskId = null;
+        } else if (this.currentTaskId) {
+            // Set timer duration based on current task or default
             const task = this.state.tasks.find(t => t.id === this.currentTaskId);
             if (task && !task.completed) {
-                this.timer.setDuration(task.duration * 60);
+                this.timer.setDuration(this.taskSessionSeconds(task));
             } else {
-                this.timer.setDuration(CONFIG.timerDuration);
                 this.currentTaskId = null;
+                this.timer.setDuration(this.defaultFocusDuration());
             }
         } else {
-            this.timer.setDuration(CONFIG.timerDuration);
+            this.timer.setDuration(this.defaultFocusDuration());
         }
-        await this.ui.loadWeather();
+    }
+
+    // Swap in a save that replaced ours on the server (another tab or device
+    // got there first)
+    adoptState(state) {
+        this.timer.stopTicking();
+        this.state = state;
+        this.normalizeState();
+        this.catchUp();
+        this.restoreSession();
         this.ui.renderAll();
-        this.startGameLoop();
-        this.log("System initialized. Welcome to Discipline Farm.");
+        this.timer.resume();
+    }
+
+    // Advance the farm over the time the app was closed and tell the player
+    // what happened, if anything did.
+    catchUp() {
+        const now = this.now();
+        const since = this.state.lastSeen || now;
+        const report = this.farm.catchUp(since, now);
+        this.state.lastSeen = now;
+        if (report.elapsed < CONFIG.awayReportMinSeconds * 1000 || !report.eventful) return;
+        this.ui.showAwayReport(report);
+        const parts = [];
+        Object.keys(report.crops).forEach(k => parts.push(`${report.crops[k]} ${this.catalog.get(k).icon}`));
+        Object.keys(report.products).forEach(k => parts.push(`${report.products[k]} ${this.catalog.goods()[k].icon}`));
+        Object.keys(report.processed).forEach(k => parts.push(`${report.processed[k]} ${this.catalog.goods()[k].icon}`));
+        const withered = Object.keys(report.withered).map(k => `${report.withered[k]} ${this.catalog.get(k).icon}`);
+        let msg = parts.length > 0 ? `While you were away: ${parts.join(', ')} ready.` : 'While you were away:';
+        if (withered.length > 0) msg += ` ${withered.join(', ')} withered.`;
+        this.log(msg, 'farm', { crops: report.crops, withered: report.withered, products: report.products, collected: report.collected, processed: report.processed });
+    }
+
+    setAutoCollect(enabled) {
+        this.state.settings.autoCollect = enabled;
+        this.saveState();
+    }
+
+    // Length in seconds of a focus session with no task selected
+    defaultFocusDuration() {
+        const pomodoro = this.state.settings.pomodoro;
+        return pomodoro.enabled ? pomodoro.focusMinutes * 60 : CONFIG.timerDuration;
+    }
+
+    updatePomodoroSettings(changes) {
+        const pomodoro = { ...this.state.settings.pomodoro, ...changes };
+        const minutes = ['focusMinutes', 'shortBreakMinutes', 'longBreakMinutes', 'longBreakEvery'];
+        if (minutes.some(k => !Number.isInteger(pomodoro[k]) || pomodoro[k] < 1)) {
+            this.ui.toast("Pomodoro lengths must be whole numbers of at least 1.", "red");
+            this.ui.renderPomodoroSettings();
+            return;
+        }
+        this.state.settings.pomodoro = pomodoro;
+
+        // Sessions that have not started yet pick up the new lengths
+        if (this.timer.onBreak() && !pomodoro.enabled) {
+            this.timer.skipBreak();
+        } else if (!this.timer.inProgress()) {
+            this.timer.applyPhaseDuration();
+        }
+        this.ui.renderAll();
+        this.saveState();
+    }
+
+    // Takes effect from the next focus session; one already started keeps its rules
+    updateStrictSettings(changes) {
+        const strict = { ...this.state.settings.strict, ...changes };
+        if (!Number.isInteger(strict.maxDistractions) || strict.maxDistractions < 0) {
+            this.ui.toast("Distraction limit must be a whole number (0 for no limit).", "red");
+            this.ui.renderStrictSettings();
+            return;
+        }
+        this.state.settings.strict = strict;
+        if (changes.enabled !== undefined) this.log(`Strict focus mode ${strict.enabled ? 'on' : 'off'}.`, 'settings', { strict });
+        this.ui.renderStrictSettings();
+        this.ui.renderStrictStatus();
+        this.saveState();
+    }
+
+    setDailyGoal(minutes) {
+        if (!Number.isInteger(minutes) || minutes < 1) {
+            this.ui.toast("Daily goal must be at least 1 minute.", "red");
+            this.ui.renderStreak();
+            return;
+        }
+        this.state.settings.dailyGoalMinutes = minutes;
+        this.log(`Daily focus goal set to ${minutes} min.`, 'settings', { dailyGoalMinutes: minutes });
+        this.ui.renderStreak();
+        this.saveState();
     }
 
     setAvatar(avatar) {
+        if (!this.levels.isUnlocked(this.levels.avatarLevel(avatar))) return;
         this.state.avatar = avatar;
         this.ui.renderAvatar();
         this.saveState();
-        this.log(`Avatar changed to ${avatar}`);
+        this.log(`Avatar changed to ${avatar}`, 'settings', { avatar });
     }
 
     startGameLoop() {
         this.gameLoopInterval = setInterval(() => {
+            this.state.lastSeen = this.now();
             this.farm.update();
+            this.market.checkOrders();
+            this.orders.refresh();
             this.ui.renderLiveUpdates();
         }, 1000);
+        this.weatherInterval = setInterval(() => this.weather.refresh(), CONFIG.weather.refreshMinutes * 60000);
     }
 
+    // Load the server save, or this device's copy when the server is out of
+    // reach or behind it
     async loadState() {
+        let server = null;
         try {
             const response = await fetch('/api/load');
             const data = await response.json();
-            return data.success ? data.data : this.getInitialState();
+            if (data.success) server = data.data;
         } catch (e) {
             console.error('Failed to load state:', e);
-            return this.getInitialState();
         }
+        return this.saves.reconcile(server);
     }
 
-    async saveState() {
-        try {
-            await fetch('/api/save', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(this.state)
-            });
-            this.ui.updateHeader();
-        } catch (e) {
-            console.error('Failed to save state:', e);
-            this.ui.toast('Save failed!', 'red');
+    // Mark the state as changed; the save manager batches the actual write
+    saveState() {
+        this.state.lastSeen = this.now();
+        this.ui.updateHeader();
+        this.saves.markDirty();
+    }
+
+    // Send an economy action to the server; see SaveManager
+    act(op, args = {}, at = this.now()) {
+        this.saves.enqueue(op, args, at);
+    }
+
+    /**
+     * Take the server's coins and stock in place of ours. Growth and
+     * production flags are worked out locally, so they are kept for plots and
+     * animals the server has the same way.
+     */
+    applyEconomy(economy, rejected = []) {
+        const state = this.state;
+        const before = JSON.stringify(ECONOMY_KEYS.map(k => state[k]));
+        economy.plots = economy.plots.map((p, i) => {
+            const local = state.plots[i];
+            const same = local && local.crop === p.crop && local.plantedAt === p.plantedAt;
+            return same ? { ...p, progress: local.progress, ready: local.ready } : p;
+        });
+        economy.animals = economy.animals.map((a, i) => {
+            const local = state.animals[i];
+            const same = local && local.type === a.type && local.readyAt === a.readyAt;
+            return same ? { ...a, ready: local.ready } : a;
+        });
+        ECONOMY_KEYS.forEach(k => { state[k] = economy[k]; });
+        this.fillDefaults(state);
+
+        if (rejected.length > 0) {
+            this.log(`The server refused ${rejected.length} action${rejected.length > 1 ? 's' : ''}: ${rejected[0].error}`, 'system', { rejected });
+            this.ui.toast('Some changes were refused by the server. Your farm was corrected.', 'red');
+        }
+        if (JSON.stringify(ECONOMY_KEYS.map(k => state[k])) !== before) this.ui.renderAll();
+    }
+
+    async onSaveConflict() {
+        // reconcile() asks the player which save to keep when this one has
+        // unsaved changes; either way they hear what became of them
+        const latest = await this.loadState();
+        const keptOurs = this.saves.dirty;
+        this.adoptState(latest);
+        if (keptOurs) {
+            this.ui.toast('Your farm was also saved from another tab. Kept the changes made here.', 'orange');
+        } else {
+            this.ui.toast('Your farm was saved from another tab, so that save was loaded. Unsaved changes made here were lost.', 'red');
+            this.log('Loaded a save made in another tab; unsaved changes made here were lost.', 'system');
         }
     }
 
@@ -136,35 +1364,119 @@ class App {
         return false;
     }
 
-    log(msg) {
-        const time = new Date().toLocaleTimeString();
-        this.state.logs.unshift({ time, msg });
-        if (this.state.logs.length > 50) this.state.logs.pop();
+    /**
+     * Add an entry to the activity log. Entries are { ts, type, msg, meta };
+     * `type` is one of CONFIG.logTypes and `meta` carries the ids and amounts
+     * behind the message. Logging does not save on its own: whatever action
+     * is being logged saves its state change.
+     */
+    log(msg, type = 'system', meta = {}) {
+        this.state.logs.unshift({ ts: this.now(), type, msg, meta });
+        if (this.state.logs.length > CONFIG.logRetention) this.state.logs.length = CONFIG.logRetention;
         this.ui.renderLogs();
-        this.saveState();
     }
 
-    clearLogs() { this.state.logs = []; this.ui.renderLogs(); this.saveState(); }
-
-    addTask(name, date, duration) {
-        if (!name || !date || !duration || duration < 20) {
-            this.ui.toast("Please fill all fields. Duration must be at least 20 minutes.", "red");
+    clearLogs() { this.state.logs = []; this.ui.renderLogs(); this.saveState(); }
+
+    // Download the log entries matching the Activity Log filter as CSV
+    exportLogs() {
+        const entries = this.ui.filteredLogs();
+        if (entries.length === 0) {
+            this.ui.toast("No log entries to export.", "orange");
+            return;
+        }
+        // Spreadsheets run a cell starting with = + - @ (or a tab or CR) as a
+        // formula, and task names are free text, so those get a leading '
+        const cell = (value) => {
+            let text = String(value);
+            if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return `"${text.replace(/"/g, '""')}"`;
+        };
+        const rows = [['timestamp', 'type', 'message', 'details'].join(',')];
+        entries.forEach(l => {
+            const when = l.ts ? new Date(l.ts).toISOString() : (l.time || '');
+            rows.push([when, l.type, l.msg, JSON.stringify(l.meta || {})].map(cell).join(','));
+        });
+        const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'discipline-farm-log.csv';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        this.ui.toast('Log exported!');
+    }
+
+    // `duration` is the length of one session on the task; `estimate` is the
+    // total effort it is expected to take, over as many sessions as needed
+    addTask(name, date, duration, { repeat = null, estimate = null, project = '', tags = '', priority = 'medium' } = {}) {
+        if (!name || !date || !duration || duration < CONFIG.minTaskMinutes) {
+            this.ui.toast(`Please fill all fields. Duration must be at least ${CONFIG.minTaskMinutes} minutes.`, "red");
+            return;
+        }
+        const estimateMinutes = estimate ? parseInt(estimate) : parseInt(duration);
+        if (isNaN(estimateMinutes) || estimateMinutes < parseInt(duration)) {
+            this.ui.toast("The estimate must be at least one session long.", "red");
             return;
         }
+        if (repeat && !Recurrence.isValid(repeat)) {
+            this.ui.toast(`Repeat every 1 to ${CONFIG.maxRepeatDays} days.`, "red");
+            return;
+        }
+        if (!(priority in CONFIG.taskPriorities)) return;
         const task = {
-            id: Date.now(),
+            id: this.nextTaskId(),
             name: name.trim(),
             date: date,
             duration: parseInt(duration),
+            estimate: estimateMinutes,
+            focusedSeconds: 0,
             completed: false,
+            repeat,
+            project: App.parseProject(project),
+            tags: App.parseTags(tags),
+            priority,
             createdAt: Date.now()
         };
         this.state.tasks.push(task);
-        this.log(`Added task: ${task.name} (${task.duration} min)`);
+        const repeatNote = repeat ? `, ${Recurrence.describe(repeat).toLowerCase()}` : '';
+        this.log(`Added task: ${task.name} (${task.estimate} min in ${task.duration} min sessions${repeatNote})`, 'task', { taskId: task.id, estimate: task.estimate, repeat, project: task.project, priority });
         this.ui.renderTasks();
         this.saveState();
     }
 
+    // A project name from a text field, or null for none
+    static parseProject(text) {
+        const project = (text || '').trim().slice(0, CONFIG.maxProjectLength);
+        return project || null;
+    }
+
+    // Tags from "exam, #reading week": trimmed, lowercase, without '#', once each
+    static parseTags(text) {
+        const tags = (text || '').split(',').map(tag => tag.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean);
+        return [...new Set(tags)].slice(0, CONFIG.maxTags);
+    }
+
+    projects() {
+        return [...new Set(this.state.tasks.map(t => t.project).filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    }
+
+    // Task ids are creation times, bumped past any id already taken
+    nextTaskId() {
+        return this.state.tasks.reduce((id, t) => Math.max(id, t.id + 1), Date.now());
+    }
+
+    today() { return Streaks.dateKey(this.now()); }
+
+    // The next session on a task: its usual length, or what is left of the
+    // estimate if that is less, but never shorter than the server pays for
+    taskSessionSeconds(task) {
+        const left = task.estimate * 60 - task.focusedSeconds;
+        return left > 0 ? Math.min(task.duration * 60, Math.max(left, CONFIG.minFocusMinutes * 60)) : task.duration * 60;
+    }
+
     selectTask(taskId) {
         const task = this.state.tasks.find(t => t.id === taskId);
         if (!task) return;
@@ -174,17 +1486,11 @@ class App {
             return;
         }
         
-        // Check if task date has passed
-        if (this.isTaskDatePassed(task)) {
-            this.ui.toast("Cannot select task: The task date has passed!", "red");
-            return;
-        }
-        
         // If already selected and timer is not running, unselect it
         if (this.currentTaskId === taskId && !this.timer.running) {
             this.currentTaskId = null;
             this.state.currentTaskId = null;
-            this.timer.setDuration(CONFIG.timerDuration);
+            this.timer.setDuration(this.defaultFocusDuration());
             this.ui.toast(`Unselected task: ${task.name}`, "blue");
             this.ui.updateTaskDisplay();
             this.ui.updateTimerControls();
@@ -195,7 +1501,7 @@ class App {
         
         this.currentTaskId = taskId;
         this.state.currentTaskId = taskId;
-        this.timer.setDuration(task.duration * 60); // Convert minutes to seconds
+        this.timer.setDuration(this.taskSessionSeconds(task));
         this.ui.toast(`Selected task: ${task.name}`, "blue");
         this.ui.updateTaskDisplay();
         this.ui.updateTimerControls();
@@ -203,13 +1509,19 @@ class App {
         this.saveState();
     }
 
-    isTaskDatePassed(task) {
-        if (!task.date) return false;
-        const taskDate = new Date(task.date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        taskDate.setHours(0, 0, 0, 0);
-        return taskDate < today;
+    // Unfinished and due before today; it stays workable and can be rescheduled
+    isTaskOverdue(task) {
+        return !task.completed && task.date < this.today();
+    }
+
+    moveOverdueToToday() {
+        const overdue = this.state.tasks.filter(t => this.isTaskOverdue(t));
+        if (overdue.length === 0) return;
+        const today = this.today();
+        overdue.forEach(t => { t.date = today; });
+        this.log(`Moved ${overdue.length} overdue task${overdue.length > 1 ? 's' : ''} to today`, 'task', { taskIds: overdue.map(t => t.id), date: today });
+        this.ui.renderTasks();
+        this.saveState();
     }
 
     deleteTask(taskId) {
@@ -226,9 +1538,9 @@ class App {
             if (this.currentTaskId === taskId) {
                 this.currentTaskId = null;
                 this.state.currentTaskId = null;
-                this.timer.setDuration(CONFIG.timerDuration);
+                this.timer.setDuration(this.defaultFocusDuration());
             }
-            this.log(`Deleted task: ${task.name}`);
+            this.log(`Deleted task: ${task.name}`, 'task', { taskId: task.id });
             this.ui.updateTaskDisplay();
             this.ui.updateTimerControls();
             this.ui.renderTasks();
@@ -248,7 +1560,8 @@ class App {
         this.ui.openEditTaskModal(task);
     }
 
-    saveTaskChanges(taskId, newName, newDuration) {
+    // Fields left out of `changes` keep their current value
+    saveTaskChanges(taskId, newName, newDuration, changes = {}) {
         const task = this.state.tasks.find(t => t.id === taskId);
         if (!task) return;
         
@@ -258,28 +1571,61 @@ class App {
         }
         
         const duration = parseInt(newDuration);
-        if (isNaN(duration) || duration < 20) {
-            this.ui.toast("Invalid duration. Must be at least 20 minutes.", "red");
+        if (isNaN(duration) || duration < CONFIG.minTaskMinutes) {
+            this.ui.toast(`Invalid duration. Must be at least ${CONFIG.minTaskMinutes} minutes.`, "red");
             return;
         }
+        const estimate = changes.estimate ? parseInt(changes.estimate) : task.estimate;
+        if (isNaN(estimate) || estimate < duration) {
+            this.ui.toast("The estimate must be at least one session long.", "red");
+            return;
+        }
+
+        const date = changes.date || task.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+            this.ui.toast("Pick a date for the task.", "red");
+            return;
+        }
+        // An overdue task may keep its date, but cannot be moved further back
+        if (date !== task.date && date < this.today()) {
+            this.ui.toast("Reschedule to today or a later date.", "red");
+            return;
+        }
+        const repeat = changes.repeat === undefined ? task.repeat : changes.repeat;
+        if (repeat && !Recurrence.isValid(repeat)) {
+            this.ui.toast(`Repeat every 1 to ${CONFIG.maxRepeatDays} days.`, "red");
+            return;
+        }
+        const priority = changes.priority || task.priority;
+        if (!(priority in CONFIG.taskPriorities)) return;
         
         const oldName = task.name;
         const oldDuration = task.duration;
+        const oldDate = task.date;
         
         task.name = newName.trim();
         task.duration = duration;
+        task.estimate = estimate;
+        task.date = date;
+        task.repeat = repeat;
+        if (changes.project !== undefined) task.project = App.parseProject(changes.project);
+        if (changes.tags !== undefined) task.tags = App.parseTags(changes.tags);
+        task.priority = priority;
         
         if (this.currentTaskId === taskId) {
-            this.timer.setDuration(duration * 60);
+            this.timer.setDuration(this.taskSessionSeconds(task));
         }
         
-        this.log(`Modified task: "${oldName}" → "${task.name}" (${oldDuration} min → ${duration} min)`);
+        const dateNote = date !== oldDate ? `, moved to ${date}` : '';
+        this.log(`Modified task: "${oldName}" → "${task.name}" (${oldDuration} min → ${duration} min${dateNote})`, 'task', { taskId: task.id, estimate, date, repeat, project: task.project, tags: task.tags, priority });
         this.ui.closeEditTaskModal();
         this.ui.updateTaskDisplay();
         this.ui.renderTasks();
         this.saveState();
     }
 
+    // Close a task. Only a finished session that reaches the estimate pays
+    // the task bonus (see Timer.finish); closing it any other way pays nothing.
     completeTask(taskId) {
         const task = this.state.tasks.find(t => t.id === taskId);
         if (!task) return;
@@ -290,46 +1636,53 @@ class App {
         
         task.completed = true;
         this.state.stats.tasksCompleted++;
-        this.log(`Task completed: ${task.name}`);
+        const focused = Math.round(task.focusedSeconds / 60);
+        this.log(`Task completed: ${task.name} (${focused} of ${task.estimate} min estimated)`, 'task', { taskId: task.id, estimate: task.estimate, focusedSeconds: task.focusedSeconds });
+        if (task.repeat) this.scheduleNext(task);
         this.ui.renderTasks();
         this.ui.renderStats();
         this.saveState();
     }
 
-    sellAll() {
-        // Calculate total before modifying inventory
-        let total = 0;
-        const wheatCount = this.state.inventory.wheat || 0;
-        const carrotCount = this.state.inventory.carrot || 0;
-        const eggCount = this.state.inventory.egg || 0;
-        const milkCount = this.state.inventory.milk || 0;
-        
-        if (wheatCount > 0) { 
-            total += wheatCount * CONFIG.items.wheat.sell; 
-        }
-        if (carrotCount > 0) { 
-            total += carrotCount * CONFIG.items.carrot.sell; 
-        }
-        if (eggCount > 0) { 
-            total += eggCount * CONFIG.items.chicken.productPrice; 
+    // Mark a task done by hand, however much of its estimate was used. It
+    // earns no task bonus or XP, as the server has no session to pay it for.
+    finishTask(taskId) {
+        if (this.currentTaskId === taskId && this.timer.running) {
+            this.ui.toast("Finish or stop the running session first!", "red");
+            return;
         }
-        if (milkCount > 0) { 
-            total += milkCount * CONFIG.items.cow.productPrice; 
+        if (this.currentTaskId === taskId) {
+            this.currentTaskId = null;
+            this.state.currentTaskId = null;
+            this.timer.setDuration(this.defaultFocusDuration());
+            this.ui.updateTaskDisplay();
+            this.ui.updateTimerControls();
         }
+        this.completeTask(taskId);
+    }
 
-        if (total > 0) {
-            // Clear inventory after calculation
-            this.state.inventory.wheat = 0;
-            this.state.inventory.carrot = 0;
-            this.state.inventory.egg = 0;
-            this.state.inventory.milk = 0;
-            
-            this.addCoins(total);
-            this.log(`Sold all resources for ${total} coins.`);
-            this.ui.renderInventory();
-        } else {
-            this.ui.toast("Nothing to sell!", "orange");
-        }
+    // The next instance of a repeating task, as a fresh task of its own
+    scheduleNext(task) {
+        const next = {
+            id: this.nextTaskId(),
+            name: task.name,
+            date: Recurrence.next(task.date, task.repeat, this.today()),
+            duration: task.duration,
+            estimate: task.estimate,
+            focusedSeconds: 0,
+            completed: false,
+            repeat: { ...task.repeat },
+            project: task.project,
+            tags: [...task.tags],
+            priority: task.priority,
+            createdAt: Date.now()
+        };
+        this.state.tasks.push(next);
+        this.log(`Next "${next.name}" is due ${next.date}`, 'task', { taskId: next.id, after: task.id, date: next.date });
+    }
+
+    sellAll() {
+        this.market.sellAll();
     }
 
     exportData() {
@@ -351,181 +1704,1044 @@ class App {
         if (!file) return;
         const reader = new FileReader();
         reader.onload = (e) => {
+            let imported;
             try {
-                const importedState = JSON.parse(e.target.result);
-                this.state = { ...this.getInitialState(), ...importedState };
-                this.saveState();
-                this.ui.renderAll();
-                this.ui.toast('Data imported!');
+                imported = JSON.parse(e.target.result);
             } catch (err) {
                 console.error('Import failed:', err);
-                this.ui.toast('Import failed!', 'red');
+                this.ui.toast('Import failed: the file is not valid JSON.', 'red');
+                return;
             }
+            // Migrate and check a copy; the current farm is only replaced
+            // once the whole file has passed
+            const isObject = imported !== null && typeof imported === 'object' && !Array.isArray(imported);
+            const errors = isObject
+                ? SaveSchema.validate(this.fillDefaults(imported), this.catalog)
+                : ['save: expected an object'];
+            if (errors.length > 0) {
+                console.error('Import rejected:', errors);
+                const shown = errors.slice(0, 10).join('\n');
+                const more = errors.length > 10 ? `\n...and ${errors.length - 10} more (see console)` : '';
+                alert(`Import rejected. Nothing was changed.\n\n${shown}${more}`);
+                return;
+            }
+            // Replace the server save rather than conflicting with it. Coins and
+            // stock stay as the server has them.
+            imported.saveVersion = this.state.saveVersion;
+            ECONOMY_KEYS.forEach(k => { imported[k] = this.state[k]; });
+            this.adoptState(imported);
+            this.log('Imported save data.', 'system');
+            this.saveState();
+            this.ui.toast('Data imported!');
         };
         reader.readAsText(file);
+        event.target.value = '';
     }
 }
 
+/**
+ * Focus countdown driven by wall-clock timestamps.
+ * The session lives in `state.timer` rather than on this object, so a reload
+ * or another device picks up a running session where it left off:
+ *   { id, phase, duration, startedAt, elapsedMs, running, cycle, lastRewardedId }
+ * `elapsedMs` holds time banked before the last pause and `startedAt` marks
+ * the start of the current running stretch. `phase` is 'focus', 'shortBreak'
+ * or 'longBreak'; with Pomodoro mode on, finishing one phase queues the next
+ * and `cycle` counts focus sessions since the last long break. The interval only redraws;
+ * remaining time always comes from the clock, so throttled background tabs
+ * still finish on time.
+ */
 class Timer {
     constructor(app) {
         this.app = app;
-        this.left = CONFIG.timerDuration;
-        this.originalDuration = CONFIG.timerDuration;
-        this.running = false;
-        this.finished = false; // Prevent multiple finish calls
+        this.interval = null;
+    }
+
+    static emptySession(duration = CONFIG.timerDuration, phase = 'focus') {
+        return {
+            id: null, phase, duration, startedAt: null, elapsedMs: 0, running: false, cycle: 0, lastRewardedId: null,
+            strict: false, maxDistractions: 0, distractions: 0, awayMs: 0, awaySince: null
+        };
+    }
+
+    // 100 for a session spent entirely on the page, less the share of it
+    // spent away and a penalty for each time the page was left
+    static focusScore(s) {
+        const awayShare = s.awayMs / (s.duration * 1000);
+        const score = Math.round(100 * (1 - awayShare) - s.distractions * CONFIG.strict.penaltyPerDistraction);
+        return Math.min(100, Math.max(0, score));
+    }
+
+    // Scale a reward by a strict mode focus score, if there is one; economy.py
+    // rounds the same way in by_focus_score
+    static byFocusScore(value, focusScore) {
+        return focusScore === null ? Math.round(value) : Math.round(value * focusScore / 100);
+    }
+
+    static phaseLabel(phase) {
+        return { focus: 'Focus', shortBreak: 'Short Break', longBreak: 'Long Break' }[phase];
+    }
+
+    // Replace the session with a fresh one, keeping the bookkeeping that
+    // outlives a single session
+    nextSession(duration, phase, cycle = this.session.cycle) {
+        const lastRewardedId = this.session.lastRewardedId;
+        this.app.state.timer = { ...Timer.emptySession(duration, phase), cycle, lastRewardedId };
+    }
+
+    onBreak() { return this.session.phase !== 'focus'; }
+
+    phaseDuration(phase) {
+        const pomodoro = this.app.state.settings.pomodoro;
+        if (phase === 'shortBreak') return pomodoro.shortBreakMinutes * 60;
+        if (phase === 'longBreak') return pomodoro.longBreakMinutes * 60;
+        const task = this.app.state.tasks.find(t => t.id === this.app.currentTaskId);
+        return task ? this.app.taskSessionSeconds(task) : this.app.defaultFocusDuration();
+    }
+
+    // Resize a session that has not started yet to its phase's current length
+    applyPhaseDuration() {
+        if (this.inProgress()) return;
+        this.nextSession(this.phaseDuration(this.session.phase), this.session.phase);
+        this.app.ui.renderTimer(this.left);
+    }
+
+    get session() { return this.app.state.timer; }
+
+    get running() { return !!(this.app.state && this.session.running); }
+
+    get duration() { return this.session.duration; }
+
+    elapsedMs() {
+        const s = this.session;
+        return s.elapsedMs + (s.running ? Math.max(0, this.app.now() - s.startedAt) : 0);
     }
-    
+
+    get left() {
+        return Math.max(0, Math.ceil((this.session.duration * 1000 - this.elapsedMs()) / 1000));
+    }
+
+    // Started and not yet finished or reset, whether running or paused
+    inProgress() { return this.session.id !== null; }
+
+    // Set up the next focus session. A pending break is dropped.
     setDuration(seconds) {
         if (this.running) {
             this.app.ui.toast("Cannot change duration while timer is running!", "red");
             return;
         }
-        this.originalDuration = seconds;
-        this.left = seconds;
+        if (this.onBreak()) this.app.log(`Skipped ${Timer.phaseLabel(this.session.phase).toLowerCase()}.`, 'session', { phase: this.session.phase, skipped: true });
+        this.nextSession(seconds, 'focus', this.session.phase === 'longBreak' ? 0 : this.session.cycle);
         this.app.ui.renderTimer(this.left);
     }
-    
+
     start() {
         if (this.running) return;
-        this.running = true;
-        this.finished = false; // Reset finished flag when starting
-        this.app.log("Focus session started.");
-        this.app.ui.updateTimerControls();
-        this.interval = setInterval(() => {
-            if (this.left > 0) {
-                this.left--;
-                this.app.ui.renderTimer(this.left);
-            } else {
-                this.finish();
+        const s = this.session;
+        if (s.id === null) {
+            s.id = this.app.now();
+            s.strict = !this.onBreak() && this.app.state.settings.strict.enabled;
+            // Changing the setting mid-session does not move the goalposts
+            s.maxDistractions = s.strict ? this.app.state.settings.strict.maxDistractions : 0;
+            // The server times focus sessions from here to pay for them
+            if (!this.onBreak()) {
+                const task = this.app.state.tasks.find(t => t.id === this.app.currentTaskId);
+                this.app.act('start_session', {
+                    session: s.id, duration: s.duration, task: task ? task.id : null, estimate: task ? task.estimate : null, strict: s.strict
+                }, s.id);
             }
-        }, 1000);
+        }
+        s.running = true;
+        s.startedAt = this.app.now();
+        this.app.log(this.onBreak() ? `${Timer.phaseLabel(s.phase)} started.` : "Focus session started.", 'session', { phase: s.phase, sessionId: s.id });
+        this.app.ui.updateTimerControls();
+        this.startTicking();
+        this.app.saveState();
     }
-    stop() {
-        if (!this.running) return; // Prevent multiple stops
-        this.running = false;
+
+    // Pick a running session back up after a reload. If it ran out while the
+    // page was closed it finishes straight away.
+    resume() {
+        if (!this.running) {
+            this.app.ui.renderTimer(this.left);
+            return;
+        }
+        if (this.left <= 0) {
+            this.finish();
+            return;
+        }
+        // Time spent reloading counts as time away
+        this.endAway();
+        this.app.log(`Resumed ${Timer.phaseLabel(this.session.phase).toLowerCase()} (${Math.ceil(this.left / 60)} min left).`, 'session', { phase: this.session.phase, sessionId: this.session.id });
+        this.startTicking();
+    }
+
+    startTicking() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = setInterval(() => this.tick(), 1000);
+        this.tick();
+    }
+
+    stopTicking() {
         if (this.interval) {
             clearInterval(this.interval);
             this.interval = null;
         }
-        this.app.log("Focus paused.");
+    }
+
+    tick() {
+        const left = this.left;
+        this.app.ui.renderTimer(left);
+        if (left <= 0) this.finish();
+    }
+
+    // Strict mode watches running focus sessions that started with it on
+    watched() { return this.running && this.session.strict; }
+
+    // The page was hidden or lost focus: one more distraction, and the clock
+    // on time away starts
+    leavePage() {
+        const s = this.session;
+        if (!this.watched() || s.awaySince !== null) return;
+        s.awaySince = this.app.now();
+        s.distractions++;
+        if (s.maxDistractions > 0 && s.distractions > s.maxDistractions) {
+            this.fail();
+            return;
+        }
+        this.app.ui.renderStrictStatus();
+        this.app.saveState();
+    }
+
+    returnToPage() {
+        if (this.session.awaySince === null) return;
+        this.endAway();
+        this.app.ui.renderStrictStatus();
+        this.app.saveState();
+    }
+
+    endAway() {
+        const s = this.session;
+        if (s.awaySince === null) return;
+        s.awayMs += Math.max(0, this.app.now() - s.awaySince);
+        s.awaySince = null;
+    }
+
+    // Too many distractions: the session is abandoned with nothing earned
+    fail() {
+        const distractions = this.session.distractions;
+        this.app.ui.toast(`Session failed: you left the page ${distractions} times.`, "red");
+        this.abandon('Too many distractions', { failed: true });
+    }
+
+    // What giving up on the focus session now would earn. Focused minutes pay
+    // once there are CONFIG.abandonMinMinutes of them, without the streak or
+    // task bonus, and strict mode scales them by the focus score.
+    partialCredit() {
+        const s = this.session;
+        const focused = Math.floor(Math.min(this.elapsedMs(), s.duration * 1000) / 1000);
+        const minutes = Math.floor(focused / 60);
+        const paidMinutes = minutes >= CONFIG.abandonMinMinutes ? minutes : 0;
+        const focusScore = s.strict ? Timer.focusScore(s) : null;
+        return { focused, minutes, paidMinutes, focusScore, coins: Timer.byFocusScore(paidMinutes * CONFIG.coinsPerFocusMinute, focusScore) };
+    }
+
+    // End the focus session early and keep a record of it. The same length
+    // is lined up again; a session strict mode failed earns nothing. Either
+    // way the time focused counts towards the task, but the task bonus waits
+    // for a finished session to reach its estimate.
+    abandon(reason = '', { failed = false } = {}) {
+        if (!this.inProgress() || this.onBreak()) return;
+        const s = this.session;
+        this.stopTicking();
+        this.endAway();
+        const credit = this.partialCredit();
+        const paidMinutes = failed ? 0 : credit.paidMinutes;
+        const coins = failed ? 0 : credit.coins;
+        const task = this.app.state.tasks.find(t => t.id === this.app.currentTaskId);
+        this.nextSession(s.duration, 'focus');
+        this.session.lastRewardedId = s.id;
+
+        if (task && !task.completed) task.focusedSeconds += credit.focused;
+        if (coins > 0) this.app.addCoins(coins);
+        this.app.act('abandon_session', { session: s.id, minutes: paidMinutes, focused: credit.focused, ...(credit.focusScore === null ? {} : { focusScore: credit.focusScore }) });
+        this.app.levels.award('focusMinute', Timer.byFocusScore(paidMinutes, credit.focusScore));
+        this.app.history.record({
+            start: s.id, end: this.app.now(), duration: credit.focused, taskId: this.app.currentTaskId, project: task ? task.project : null, coins,
+            focusScore: credit.focusScore, abandoned: true, reason, ...(s.strict ? { distractions: s.distractions, awaySeconds: Math.round(s.awayMs / 1000) } : {})
+        });
+
+        const meta = { sessionId: s.id, abandoned: true, failed, reason, focusedSeconds: credit.focused, coins };
+        if (failed) {
+            this.app.log(`Focus session failed: left the page ${s.distractions} times.`, 'session', { ...meta, distractions: s.distractions });
+        } else {
+            const earned = coins > 0 ? `+${coins} Coins` : `no coins under ${CONFIG.abandonMinMinutes} min`;
+            this.app.log(`Focus session abandoned after ${credit.minutes} min${reason ? ` (${reason})` : ''}: ${earned}.`, 'session', meta);
+        }
+        this.app.ui.renderAll();
+        this.app.saveState();
+    }
+
+    stop() {
+        if (!this.running) return; // Prevent multiple stops
+        const s = this.session;
+        s.elapsedMs = this.elapsedMs();
+        s.startedAt = null;
+        s.running = false;
+        this.stopTicking();
+        this.app.log(this.onBreak() ? "Break paused." : "Focus paused.", 'session', { phase: s.phase, sessionId: s.id });
         this.app.ui.updateTimerControls();
+        this.app.saveState();
     }
+
     reset() {
         this.stop();
-        this.finished = false; // Reset finished flag
-        this.left = this.originalDuration;
+        this.nextSession(this.session.duration, this.session.phase);
         this.app.ui.renderTimer(this.left);
+        this.app.saveState();
+    }
+
+    // Leave a break early, running or not, and line up the next focus session
+    skipBreak() {
+        if (!this.onBreak()) return;
+        this.app.log(`Skipped ${Timer.phaseLabel(this.session.phase).toLowerCase()}.`, 'session', { phase: this.session.phase, skipped: true });
+        this.endBreak();
+    }
+
+    endBreak() {
+        this.stopTicking();
+        const cycle = this.session.phase === 'longBreak' ? 0 : this.session.cycle;
+        this.nextSession(this.phaseDuration('focus'), 'focus', cycle);
+        this.app.ui.renderAll();
+        if (this.app.state.settings.pomodoro.autoStart) this.start();
+        else this.app.saveState();
+    }
+
+    // Queue the break that follows a finished focus session
+    beginBreak() {
+        const pomodoro = this.app.state.settings.pomodoro;
+        const cycle = this.session.cycle + 1;
+        const phase = cycle >= pomodoro.longBreakEvery ? 'longBreak' : 'shortBreak';
+        this.nextSession(this.phaseDuration(phase), phase, cycle);
+        this.app.log(`Time for a ${Timer.phaseLabel(phase).toLowerCase()}!`, 'session', { phase });
+        if (pomodoro.autoStart) this.start();
     }
+
     finish() {
-        // Prevent multiple finish calls (race condition protection)
-        if (this.finished || !this.running) return;
-        
-        // Clear interval FIRST to prevent race conditions
-        if (this.interval) {
-            clearInterval(this.interval);
-            this.interval = null;
+        const s = this.session;
+        if (!s.running) return;
+        this.stopTicking();
+
+        // Breaks pay nothing; they just lead into the next focus session
+        if (this.onBreak()) {
+            this.app.log(`${Timer.phaseLabel(s.phase)} over. Back to focus!`, 'session', { phase: s.phase });
+            this.endBreak();
+            return;
         }
-        
-        this.running = false;
-        this.finished = true;
-        
+
+        // Rewards go out once per session id, even if a second tab or device
+        // that still had this session running gets here too
+        this.endAway();
+        const focusScore = s.strict ? Timer.focusScore(s) : null;
+        const alreadyRewarded = s.lastRewardedId === s.id;
+        const duration = s.duration;
+        const sessionTaskId = this.app.currentTaskId;
+        this.app.state.timer = { ...Timer.emptySession(duration), cycle: s.cycle, lastRewardedId: s.id };
+        if (alreadyRewarded) {
+            this.app.ui.renderAll();
+            return;
+        }
+
         // Calculate rewards: 1 coin per minute
-        const minutes = Math.floor(this.originalDuration / 60);
-        let coinsEarned = minutes;
-        
-        // Check if there's a current task and automatically complete it
+        const minutes = Math.floor(duration / 60);
+        let coinsEarned = minutes * CONFIG.coinsPerFocusMinute;
+
+        // The session counts towards the current task, which completes itself
+        // once its estimate is reached
         let taskCompleted = false;
-        if (this.app.currentTaskId) {
-            const task = this.app.state.tasks.find(t => t.id === this.app.currentTaskId);
-            if (task && !task.completed) {
-                // Automatically mark task as completed
-                this.app.completeTask(this.app.currentTaskId);
+        const task = this.app.state.tasks.find(t => t.id === this.app.currentTaskId);
+        if (task && !task.completed) {
+            task.focusedSeconds += duration;
+            if (task.focusedSeconds >= task.estimate * 60) {
+                this.app.completeTask(task.id);
                 taskCompleted = true;
-                this.app.state.stats.tasksCompleted++;
-                coinsEarned += 20; // Bonus for completing task
-                this.app.log(`Task completed: ${task.name}! +20 bonus coins`);
+                coinsEarned += CONFIG.taskBonus;
+                this.app.log(`Task completed: ${task.name}! +${CONFIG.taskBonus} bonus coins`, 'task', { taskId: task.id, coins: CONFIG.taskBonus });
+            } else {
+                this.app.log(`${task.name}: ${Math.round(task.focusedSeconds / 60)} of ${task.estimate} min done`, 'task', { taskId: task.id, focusedSeconds: task.focusedSeconds });
             }
         }
-        
+
+        // Streak bonus scales the whole reward, once missed days are settled.
+        // In strict mode the focus score scales it back down.
+        this.app.streaks.settle();
+        const multiplier = this.app.streaks.multiplier();
+        coinsEarned = Timer.byFocusScore(coinsEarned * multiplier, focusScore);
+        const focusMinutes = Timer.byFocusScore(minutes, focusScore);
+        const streakNote = (multiplier > 1 ? `, ×${multiplier.toFixed(1)} streak` : '') + (focusScore === null ? '' : `, focus score ${focusScore}`);
+        const sessionMeta = { sessionId: s.id, duration, taskId: sessionTaskId, coins: coinsEarned, multiplier, focusScore };
+
         this.app.addCoins(coinsEarned);
-        this.app.state.totalSeconds += this.originalDuration;
+        this.app.act('finish_session', {
+            session: s.id, goalMinutes: this.app.state.settings.dailyGoalMinutes, utcOffset: Streaks.utcOffset(this.app.now()),
+            ...(focusScore === null ? {} : { focusScore })
+        });
+        this.app.levels.award('focusMinute', focusMinutes);
+        if (taskCompleted) this.app.levels.award('task');
+        this.app.state.totalSeconds += duration;
         this.app.state.stats.sessions++;
-        
+        this.app.state.milestones.sessions++;
+        this.app.state.milestones.focusSeconds += duration;
+        this.app.streaks.recordFocus(duration);
+        this.app.history.record({
+            start: s.id, end: this.app.now(), duration, taskId: sessionTaskId, project: task ? task.project : null, coins: coinsEarned,
+            focusScore, abandoned: false, ...(s.strict ? { distractions: s.distractions, awaySeconds: Math.round(s.awayMs / 1000) } : {})
+        });
+
+        if (taskCompleted) {
+            this.app.log(`Focus session complete! +${coinsEarned} Coins (${minutes} base + ${CONFIG.taskBonus} task bonus${streakNote})`, 'session', sessionMeta);
+        } else {
+            this.app.log(`Focus session complete! +${coinsEarned} Coins (${minutes} minutes${streakNote})`, 'session', sessionMeta);
+        }
+
+        // Clear current task after completion; otherwise line up its next session
         if (taskCompleted) {
-            this.app.log(`Focus session complete! +${coinsEarned} Coins (${minutes} base + 20 task bonus)`);
+            this.app.currentTaskId = null;
+            this.app.state.currentTaskId = null;
+            // Reset to default duration
+            this.setDuration(this.app.defaultFocusDuration());
+        } else if (task && !task.completed) {
+            this.setDuration(this.app.taskSessionSeconds(task));
+        }
+        if (this.app.state.settings.pomodoro.enabled) this.beginBreak();
+        this.app.ui.updateTaskDisplay();
+        this.app.ui.updateTimerControls();
+        this.app.ui.renderAll();
+        this.app.saveState();
+    }
+}
+
+/**
+ * Daily focus records and the goal streak.
+ * `state.daily` maps local dates (YYYY-MM-DD) to focused seconds. The streak
+ * goes up once per day the goal is met and resets after a missed day, unless
+ * a Streak Freeze from the shop covers it. The streak is part of the economy:
+ * economy.py keeps the same count from the sessions it pays for, and its copy
+ * replaces this one whenever actions are synced.
+ */
+class Streaks {
+    constructor(app) { this.app = app; }
+
+    static dateKey(ts) {
+        const d = new Date(ts);
+        const pad = (n) => n.toString().padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    static addDays(key, days) {
+        const d = new Date(`${key}T00:00:00`);
+        d.setDate(d.getDate() + days);
+        return Streaks.dateKey(d.getTime());
+    }
+
+    // Minutes the local clock is ahead of UTC, so the server can tell local dates apart
+    static utcOffset(ts) {
+        return -new Date(ts).getTimezoneOffset();
+    }
+
+    // Whole days from one date key to another
+    static daysBetween(fromKey, toKey) {
+        return Math.round((Date.parse(toKey) - Date.parse(fromKey)) / 86400000);
+    }
+
+    goalSeconds() { return this.app.state.settings.dailyGoalMinutes * 60; }
+
+    todaySeconds() { return this.app.state.daily[Streaks.dateKey(this.app.now())] || 0; }
+
+    multiplier() {
+        const bonus = 1 + this.app.state.streak.current * CONFIG.streak.bonusPerDay;
+        return Math.min(bonus, CONFIG.streak.maxMultiplier);
+    }
+
+    // Deal with days missed since the goal was last met: spend freezes to
+    // cover them, or end the streak if there are not enough.
+    settle() {
+        const streak = this.app.state.streak;
+        if (!streak.current || !streak.lastGoalDate) return;
+        const today = Streaks.dateKey(this.app.now());
+        const missed = Streaks.daysBetween(streak.lastGoalDate, today) - 1;
+        if (missed <= 0) return;
+
+        // The server settles its own copy of the streak the same way
+        this.app.act('settle_streak', { utcOffset: Streaks.utcOffset(this.app.now()) });
+        const supplies = this.app.state.supplies;
+        if (supplies.freeze >= missed) {
+            supplies.freeze -= missed;
+            // Treat yesterday as covered so today can extend the streak
+            streak.lastGoalDate = Streaks.addDays(today, -1);
+            this.app.log(`🧊 Used ${missed} Streak Freeze${missed > 1 ? 's' : ''} to keep your ${streak.current}-day streak.`, 'streak', { freezesUsed: missed, streak: streak.current });
         } else {
-            this.app.log(`Focus session complete! +${coinsEarned} Coins (${minutes} minutes)`);
+            this.app.log(`Streak of ${streak.current} day${streak.current > 1 ? 's' : ''} ended after ${missed} missed day${missed > 1 ? 's' : ''}.`, 'streak', { streak: streak.current, missed });
+            streak.current = 0;
+        }
+    }
+
+    recordFocus(seconds) {
+        const state = this.app.state;
+        const today = Streaks.dateKey(this.app.now());
+        this.settle();
+        state.daily[today] = (state.daily[today] || 0) + seconds;
+
+        const streak = state.streak;
+        if (streak.lastGoalDate !== today && state.daily[today] >= this.goalSeconds()) {
+            streak.current++;
+            streak.best = Math.max(streak.best, streak.current);
+            streak.lastGoalDate = today;
+            this.app.log(`🎯 Daily goal reached! Streak: ${streak.current} day${streak.current > 1 ? 's' : ''}.`, 'streak', { streak: streak.current });
+            this.app.ui.toast(`🔥 ${streak.current}-day streak!`);
+        }
+    }
+}
+
+/**
+ * Structured record of completed focus sessions.
+ * `state.history.sessions` keeps one entry per session:
+ *   { start, end, duration, taskId, project, coins, focusScore, abandoned }
+ * Strict mode sessions add `distractions` and `awaySeconds`; other sessions
+ * have a null focusScore. An abandoned session's duration is the time focused
+ * before it was given up, and it keeps the `reason` given.
+ * Sessions older than CONFIG.historyKeepDays are folded into
+ * `state.history.archive`, keyed by date, so the save stays small while the
+ * charts keep their long-range totals.
+ */
+class History {
+    constructor(app) { this.app = app; }
+
+    static emptyDay() { return { sessions: 0, abandoned: 0, seconds: 0, coins: 0, tasks: {}, projects: {} }; }
+
+    // Abandoned sessions only add their partial coins; focus totals count
+    // finished sessions alone
+    static addToDay(day, session) {
+        if (session.abandoned) {
+            day.abandoned++;
+            day.coins += session.coins;
+            return;
+        }
+        const taskKey = session.taskId === null ? 'none' : session.taskId;
+        const projectKey = session.project || 'none';
+        day.sessions++;
+        day.seconds += session.duration;
+        day.coins += session.coins;
+        day.tasks[taskKey] = (day.tasks[taskKey] || 0) + session.duration;
+        day.projects[projectKey] = (day.projects[projectKey] || 0) + session.duration;
+    }
+
+    record(session) {
+        this.app.state.history.sessions.push(session);
+        this.compact();
+    }
+
+    compact() {
+        const history = this.app.state.history;
+        const cutoff = this.app.now() - CONFIG.historyKeepDays * 86400000;
+        const keep = [];
+        history.sessions.forEach(session => {
+            if (session.end >= cutoff) {
+                keep.push(session);
+                return;
+            }
+            const key = Streaks.dateKey(session.end);
+            if (!history.archive[key]) history.archive[key] = History.emptyDay();
+            History.addToDay(history.archive[key], session);
+        });
+        history.sessions = keep;
+    }
+
+    // Totals per date key, archived days and recent sessions combined
+    byDay() {
+        const days = {};
+        const archive = this.app.state.history.archive;
+        Object.keys(archive).forEach(key => {
+            const day = archive[key];
+            days[key] = { ...day, tasks: { ...day.tasks }, projects: { ...day.projects } };
+        });
+        this.app.state.history.sessions.forEach(session => {
+            const key = Streaks.dateKey(session.end);
+            if (!days[key]) days[key] = History.emptyDay();
+            History.addToDay(days[key], session);
+        });
+        return days;
+    }
+
+    // Focused seconds for each of the last `count` days, oldest first
+    lastDays(count) {
+        const days = this.byDay();
+        const today = Streaks.dateKey(this.app.now());
+        const result = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const key = Streaks.addDays(today, -i);
+            result.push({ date: key, seconds: days[key] ? days[key].seconds : 0 });
+        }
+        return result;
+    }
+
+    // Focused seconds for each of the last `count` weeks (Monday to Sunday),
+    // oldest first
+    lastWeeks(count) {
+        const daily = this.lastDays(count * 7 + 6);
+        const today = new Date(this.app.now());
+        const sinceMonday = (today.getDay() + 6) % 7;
+        const thisMonday = Streaks.addDays(Streaks.dateKey(this.app.now()), -sinceMonday);
+        const weeks = [];
+        for (let i = count - 1; i >= 0; i--) {
+            const start = Streaks.addDays(thisMonday, -7 * i);
+            const end = Streaks.addDays(start, 6);
+            const seconds = daily
+                .filter(d => d.date >= start && d.date <= end)
+                .reduce((sum, d) => sum + d.seconds, 0);
+            weeks.push({ start, seconds });
+        }
+        return weeks;
+    }
+
+    /**
+     * Finished tasks, newest first, with their estimate and the minutes they
+     * actually took. `ratio` is actual / estimate; a task is on target when
+     * that is within CONFIG.estimateTolerance of 1.
+     * @returns {{rows: Array, averageRatio: number, onTarget: number}}
+     */
+    estimateReport() {
+        const rows = this.app.state.tasks
+            .filter(t => t.completed && t.estimate > 0)
+            .sort((a, b) => b.id - a.id)
+            .slice(0, CONFIG.estimateReportRows)
+            .map(t => {
+                const actual = Math.round(t.focusedSeconds / 60);
+                return { taskId: t.id, name: t.name, estimate: t.estimate, actual, ratio: actual / t.estimate };
+            });
+        const averageRatio = rows.length > 0 ? rows.reduce((sum, r) => sum + r.ratio, 0) / rows.length : 0;
+        const onTarget = rows.filter(r => Math.abs(r.ratio - 1) <= CONFIG.estimateTolerance).length;
+        return { rows, averageRatio, onTarget };
+    }
+
+    /**
+     * How often focus sessions were abandoned, in all history and over the
+     * last `days` days, with the most common reasons. Archived days keep only
+     * their counts, so reasons come from recent sessions.
+     * @returns {{overall: {started: number, abandoned: number}, recent: {started: number, abandoned: number}, reasons: Array}}
+     */
+    abandonRates(days = 7) {
+        const since = Streaks.addDays(Streaks.dateKey(this.app.now()), -(days - 1));
+        const overall = { started: 0, abandoned: 0 };
+        const recent = { started: 0, abandoned: 0 };
+        const byDay = this.byDay();
+        Object.keys(byDay).forEach(key => {
+            const day = byDay[key];
+            overall.started += day.sessions + day.abandoned;
+            overall.abandoned += day.abandoned;
+            if (key < since) return;
+            recent.started += day.sessions + day.abandoned;
+            recent.abandoned += day.abandoned;
+        });
+        const counts = {};
+        this.app.state.history.sessions.filter(s => s.abandoned).forEach(s => {
+            const reason = s.reason || 'No reason given';
+            counts[reason] = (counts[reason] || 0) + 1;
+        });
+        const reasons = Object.keys(counts).map(reason => ({ reason, count: counts[reason] }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, CONFIG.abandonReasonRows);
+        return { overall, recent, reasons };
+    }
+
+    // Focused seconds per project across all history, largest first
+    projectBreakdown() {
+        const totals = {};
+        Object.values(this.byDay()).forEach(day => {
+            Object.keys(day.projects).forEach(projectKey => {
+                totals[projectKey] = (totals[projectKey] || 0) + day.projects[projectKey];
+            });
+        });
+        return Object.keys(totals).map(projectKey => ({
+            projectKey, name: projectKey === 'none' ? 'No project' : projectKey, seconds: totals[projectKey]
+        })).sort((a, b) => b.seconds - a.seconds);
+    }
+
+    // Focused seconds per task across all history, largest first
+    taskBreakdown() {
+        const totals = {};
+        const days = this.byDay();
+        Object.values(days).forEach(day => {
+            Object.keys(day.tasks).forEach(taskKey => {
+                totals[taskKey] = (totals[taskKey] || 0) + day.tasks[taskKey];
+            });
+        });
+        return Object.keys(totals).map(taskKey => {
+            const task = this.app.state.tasks.find(t => String(t.id) === taskKey);
+            let name = task ? task.name : 'Deleted task';
+            if (taskKey === 'none') name = 'No task';
+            return { taskKey, name, seconds: totals[taskKey] };
+        }).sort((a, b) => b.seconds - a.seconds);
+    }
+}
+
+/**
+ * XP and levels. Focus minutes, harvests, collections, completed tasks and
+ * delivered orders earn XP (CONFIG.levels.xp); the player's level is how many
+ * of CONFIG.levels.thresholds their XP has reached. Items, land expansions
+ * and avatar sets name the level that unlocks them in the catalog, and
+ * economy.py checks the same levels before a purchase.
+ */
+class Levels {
+    constructor(app) { this.app = app; }
+
+    static level(xp) {
+        return CONFIG.levels.thresholds.filter(need => xp >= need).length;
+    }
+
+    static maxLevel() { return CONFIG.levels.thresholds.length; }
+
+    level() { return Levels.level(this.app.state.xp); }
+
+    // XP gained within the current level, and what the next level needs on top
+    progress() {
+        const xp = this.app.state.xp;
+        const level = Levels.level(xp);
+        const thresholds = CONFIG.levels.thresholds;
+        if (level >= thresholds.length) return { level, xp, into: 0, span: 0, max: true };
+        const floor = thresholds[level - 1];
+        return { level, xp, into: xp - floor, span: thresholds[level] - floor, max: false };
+    }
+
+    isUnlocked(requiredLevel = 1) { return this.level() >= requiredLevel; }
+
+    // What reaching `level` opens up: items, land and avatar sets
+    unlocksAt(level) {
+        const unlocks = Object.keys(CONFIG.items)
+            .filter(key => CONFIG.items[key].level === level)
+            .map(key => `${CONFIG.items[key].icon} ${CONFIG.items[key].name}`);
+        if (CONFIG.land.expansions.some(e => (e.requires || {}).level === level)) unlocks.push('🪧 more land');
+        CONFIG.avatars.filter(set => set.level === level && level > 1).forEach(set => unlocks.push(`${set.icons[0]} avatars`));
+        return unlocks;
+    }
+
+    avatarLevel(avatar) {
+        const set = CONFIG.avatars.find(s => s.icons.includes(avatar));
+        return set ? set.level : 1;
+    }
+
+    // Adds the XP for `count` of an activity in CONFIG.levels.xp
+    award(source, count = 1) {
+        this.addXp(CONFIG.levels.xp[source] * count);
+    }
+
+    addXp(amount) {
+        if (amount <= 0) return;
+        const before = this.level();
+        this.app.state.xp += amount;
+        const after = this.level();
+        for (let level = before + 1; level <= after; level++) {
+            const unlocks = this.unlocksAt(level);
+            const note = unlocks.length > 0 ? ` Unlocked: ${unlocks.join(', ')}` : '';
+            this.app.log(`Reached level ${level}!${note}`, 'level', { level, unlocks });
+            this.app.ui.toast(`⭐ Level ${level}!${note}`);
         }
-        
-        // Reset to original duration
-        this.left = this.originalDuration;
-        // Clear current task after completion
-        if (taskCompleted) {
-            this.app.currentTaskId = null;
-            this.app.state.currentTaskId = null;
-            // Reset to default duration
-            this.originalDuration = CONFIG.timerDuration;
-            this.left = CONFIG.timerDuration;
+        if (after > before) {
+            this.app.ui.renderShop();
+            this.app.ui.renderPlots();
         }
-        this.app.ui.updateTaskDisplay();
-        this.app.ui.updateTimerControls();
-        this.app.ui.renderAll();
+        this.app.ui.renderLevel();
     }
 }
 
 class Farm {
     constructor(app) { this.app = app; }
 
+    static emptyPlot() {
+        return {
+            crop: null, plantedAt: 0, progress: 0, ready: false,
+            growth: 0, growthAt: 0, wateredUntil: 0, fertilized: false, withered: false, weatherRate: 1, rainWatered: false
+        };
+    }
+
+    /**
+     * Seconds of growth a crop has at time `t`. Crops grow at full speed while
+     * watered (until `wateredUntil`, or all along while it rains) and at
+     * CONFIG.care.dryGrowthRate of it once dry; fertilizer and the weather's
+     * `weatherRate` multiply both. Watering, fertilizing and weather changes
+     * bank the growth so far into `growth`/`growthAt`, so only the stretch
+     * since then needs working out and the result depends on timestamps
+     * alone. The server does the same sums in economy.py.
+     */
+    grownSeconds(p, t) {
+        const { wet, dry } = this.growthRates(p);
+        const wateredUntil = p.rainWatered ? Math.max(t, p.growthAt) : p.wateredUntil;
+        const wetMs = Math.max(0, Math.min(t, wateredUntil) - p.growthAt);
+        const dryMs = Math.max(0, t - Math.max(p.growthAt, wateredUntil));
+        return p.growth + (wetMs * wet + dryMs * dry) / 1000;
+    }
+
+    growthRates(p) {
+        const wet = (p.fertilized ? CONFIG.care.fertilizerGrowthRate : 1) * p.weatherRate;
+        return { wet, dry: wet * CONFIG.care.dryGrowthRate };
+    }
+
+    // When the crop is (or was) fully grown, given no further care
+    readyAt(p) {
+        const { wet, dry } = this.growthRates(p);
+        const need = this.app.catalog.get(p.crop).growTime - p.growth;
+        if (need <= 0) return p.growthAt;
+        if (p.rainWatered) return p.growthAt + need / wet * 1000;
+        const wetGain = Math.max(0, p.wateredUntil - p.growthAt) / 1000 * wet;
+        if (wetGain >= need) return p.growthAt + need / wet * 1000;
+        return Math.max(p.growthAt, p.wateredUntil) + (need - wetGain) / dry * 1000;
+    }
+
+    witheredAt(p) {
+        return this.readyAt(p) + this.app.catalog.get(p.crop).witherTime * 1000;
+    }
+
+    isWatered(p) { return p.rainWatered || this.app.now() < p.wateredUntil; }
+
+    isGrowing(p) { return !!p.crop && !p.ready && !p.withered; }
+
+    /**
+     * An animal's happiness (0 to 100) at time `t`. It rises by
+     * CONFIG.barn.happinessGainPerHour while the animal is fed (until
+     * `fedUntil`) and falls by happinessLossPerHour once it is hungry. Feeding
+     * banks it into `happiness`/`happinessAt`, like crop growth. economy.py
+     * does the same sums.
+     */
+    happiness(a, t) {
+        const barn = CONFIG.barn;
+        const fedMs = Math.max(0, Math.min(t, a.fedUntil) - a.happinessAt);
+        const hungryMs = Math.max(0, t - Math.max(a.happinessAt, a.fedUntil));
+        const value = Math.min(100, a.happiness + barn.happinessGainPerHour * fedMs / 3600000);
+        return Math.max(0, value - barn.happinessLossPerHour * hungryMs / 3600000);
+    }
+
+    // The CONFIG.barn.moods entry for an animal's happiness at time `t`
+    mood(a, t) {
+        const value = this.happiness(a, t);
+        return CONFIG.barn.moods.find(m => value >= m.min);
+    }
+
+    isFed(a) { return this.app.now() < a.fedUntil; }
+
+    // Whether another meal fits before the animal reaches CONFIG.barn.maxFedSeconds
+    canEat(a) {
+        const now = this.app.now();
+        return Math.max(now, a.fedUntil) + CONFIG.barn.feedLastsSeconds * 1000 <= now + CONFIG.barn.maxFedSeconds * 1000;
+    }
+
+    // How long an animal in `mood` takes to make its next product in the current weather
+    productionMs(item, mood) {
+        return item.produceTime * 1000 / ((this.app.weather.rules().animalOutput || 1) * mood.speed);
+    }
+
+    // Bank growing crops at the old weather's speed and switch them to the
+    // new weather's; economy.py does the same for the `weather` action
+    applyWeather(type, now) {
+        const before = this.app.weather.rules();
+        const rules = this.app.weather.rules(type);
+        this.app.state.plots.forEach(p => {
+            if (!p.crop || p.withered || this.readyAt(p) <= now) return;
+            this.bankGrowth(p, now);
+            // Soil stays wet for a while after the rain stops
+            if (before.watersCrops && !rules.watersCrops) p.wateredUntil = now + CONFIG.care.waterLastsSeconds * 1000;
+            p.weatherRate = rules.cropGrowth || 1;
+            p.rainWatered = !!rules.watersCrops;
+        });
+    }
+
+    bankGrowth(p, t) {
+        p.growth = Math.min(this.grownSeconds(p, t), this.app.catalog.get(p.crop).growTime);
+        p.growthAt = t;
+    }
+
     update() {
+        const now = this.app.now();
+        const onPlots = this.app.ui.currentView === 'plots';
         // Crops
         this.app.state.plots.forEach((p, i) => {
-            if (p.crop && !p.ready) {
-                const item = CONFIG.items[p.crop];
-                const elapsed = (Date.now() - p.plantedAt) / 1000;
-                const pct = Math.min((elapsed / item.growTime) * 100, 100);
+            if (!p.crop || p.withered) return;
+            const item = this.app.catalog.get(p.crop);
+            if (!p.ready) {
+                const pct = Math.min((this.grownSeconds(p, now) / item.growTime) * 100, 100);
 
                 if (pct !== p.progress) {
                     p.progress = pct;
-                    if (this.app.ui.currentView === 'plots') this.app.ui.updatePlotProgress(i, pct);
+                    if (onPlots) this.app.ui.updatePlotProgress(i, pct);
                     if (pct >= 100) {
                         p.ready = true;
-                        if (this.app.ui.currentView === 'plots') this.app.ui.updatePlotIcon(i, item.icon);
-                        this.app.log(`Crop ready: ${item.icon} at Plot ${i+1}`);
+                        if (onPlots) this.app.ui.renderPlots();
+                        this.app.log(`Crop ready: ${item.icon} at Plot ${i+1}`, 'farm', { crop: p.crop, plot: i });
                     }
                 }
+            } else if (now >= this.witheredAt(p)) {
+                p.withered = true;
+                p.ready = false;
+                if (onPlots) this.app.ui.renderPlots();
+                this.app.log(`Crop withered: ${item.icon} at Plot ${i+1}`, 'farm', { crop: p.crop, plot: i });
             }
+            if (onPlots) this.app.ui.updatePlotCare(i);
         });
 
         // Animals
+        const inBarn = this.app.ui.currentView === 'barn';
         this.app.state.animals.forEach((a, i) => {
+            if (inBarn) this.app.ui.updateAnimalCare(i);
             if (!a.ready) {
-                const item = CONFIG.items[a.type];
-                if (Date.now() >= a.readyAt) {
+                const item = this.app.catalog.get(a.type);
+                if (this.app.now() >= a.readyAt) {
                     a.ready = true;
-                    if (this.app.ui.currentView === 'barn') this.app.ui.updateAnimalStatus(i, true);
-                    this.app.log(`${item.icon} produced ${item.productIcon}`);
+                    if (inBarn) this.app.ui.updateAnimalStatus(i, true);
+                    this.app.log(`${item.icon} produced ${item.productIcon}`, 'farm', { animal: a.type, product: item.product });
                 }
             }
         });
     }
 
+    storageUsed() {
+        return Object.values(this.app.state.inventory).reduce((sum, n) => sum + n, 0);
+    }
+
+    /**
+     * Catch the farm up from `since` to `now` (both ms timestamps) in one pass.
+     * Crops that matured are marked ready, or withered if left too long. Animals produce once per cycle,
+     * at the pace and yield of their mood when the first product was ready
+     * and at the current weather's pace, as they do while the app is open;
+     * with auto-collect on, products go straight to the inventory until it
+     * reaches CONFIG.storageCapacity, and whatever does not fit stays waiting
+     * in the barn (and the server is sent an auto_collect action). Building
+     * jobs keep their own times; the report just counts those that finished. Only reads
+     * the times it is given, so the result is the same for the same save and
+     * timestamps.
+     * @returns {{elapsed: number, crops: Object, withered: Object, products: Object, collected: Object, processed: Object, storageFull: boolean, eventful: boolean}}
+     */
+    catchUp(since, now) {
+        const state = this.app.state;
+        const report = { elapsed: Math.max(0, now - since), crops: {}, withered: {}, products: {}, collected: {}, processed: {}, storageFull: false, eventful: false };
+        const bump = (counts, key, n) => { counts[key] = (counts[key] || 0) + n; };
+
+        state.plots.forEach(p => {
+            if (!p.crop || p.withered) return;
+            if (now >= this.witheredAt(p)) {
+                p.withered = true;
+                p.ready = false;
+                p.progress = 100;
+                bump(report.withered, p.crop, 1);
+            } else if (!p.ready && now >= this.readyAt(p)) {
+                p.ready = true;
+                p.progress = 100;
+                bump(report.crops, p.crop, 1);
+            }
+        });
+
+        state.animals.forEach((a, i) => {
+            // A product already waiting blocks the animal, so nothing new was made
+            if (a.ready || now < a.readyAt) return;
+            const item = this.app.catalog.get(a.type);
+            const mood = this.mood(a, a.readyAt);
+            const cycleMs = this.productionMs(item, mood);
+            const cycles = state.settings.autoCollect ? 1 + Math.floor((now - a.readyAt) / cycleMs) : 1;
+            const room = Math.max(0, CONFIG.storageCapacity - this.storageUsed());
+            const take = state.settings.autoCollect ? Math.min(cycles, Math.floor(room / mood.yield)) : 0;
+
+            if (take > 0) {
+                state.inventory[item.product] = (state.inventory[item.product] || 0) + take * mood.yield;
+                bump(report.collected, item.product, take * mood.yield);
+                this.app.act('auto_collect', { animal: i, count: take }, now);
+                this.app.levels.award('collect', take);
+            }
+            if (take < cycles) {
+                // Storage ran out (or auto-collect is off): the next product
+                // waits in the barn and the animal stops until it is collected
+                a.readyAt += take * cycleMs;
+                a.ready = true;
+                if (state.settings.autoCollect) report.storageFull = true;
+                bump(report.products, item.product, (take + 1) * mood.yield);
+            } else {
+                a.readyAt += cycles * cycleMs;
+                bump(report.products, item.product, take * mood.yield);
+            }
+        });
+
+        state.buildings.forEach(b => b.queue.forEach(job => {
+            if (job.readyAt > since && job.readyAt <= now) bump(report.processed, job.recipe, 1);
+        }));
+
+        report.eventful = [report.crops, report.withered, report.products, report.processed].some(counts => Object.keys(counts).length > 0);
+        return report;
+    }
+
     clickPlot(i) {
         this.app.selectedPlotIndex = i;
         const p = this.app.state.plots[i];
         if (!p.crop) this.app.ui.openModal();
+        else if (p.withered) this.clearPlot(i);
         else if (p.ready) this.harvest(i);
+        else if (!this.isWatered(p)) this.water(i);
         else this.app.ui.toast("Growing...", "blue");
     }
 
+    water(i) {
+        const p = this.app.state.plots[i];
+        if (!this.isGrowing(p)) return;
+        const now = this.app.now();
+        this.bankGrowth(p, now);
+        p.wateredUntil = now + CONFIG.care.waterLastsSeconds * 1000;
+        this.app.act('water', { plot: i }, now);
+        this.app.log(`Watered ${this.app.catalog.get(p.crop).icon} at Plot ${i+1}`, 'farm', { crop: p.crop, plot: i });
+        this.app.saveState();
+        this.app.ui.renderPlots();
+    }
+
+    fertilize(i) {
+        const p = this.app.state.plots[i];
+        const supplies = this.app.state.supplies;
+        if (!this.isGrowing(p) || p.fertilized) return;
+        if (!supplies.fertilizer) {
+            this.app.ui.toast("No fertilizer! Buy some in the Seed Market.", "red");
+            return;
+        }
+        const now = this.app.now();
+        supplies.fertilizer--;
+        this.bankGrowth(p, now);
+        p.fertilized = true;
+        this.app.act('fertilize', { plot: i }, now);
+        this.app.log(`Fertilized ${this.app.catalog.get(p.crop).icon} at Plot ${i+1}`, 'farm', { crop: p.crop, plot: i });
+        this.app.saveState();
+        this.app.ui.renderPlots();
+        this.app.ui.renderShop();
+    }
+
+    // Dig up a withered crop so the plot can be planted again
+    clearPlot(i) {
+        const p = this.app.state.plots[i];
+        if (!p.withered) return;
+        this.app.log(`Cleared withered ${this.app.catalog.get(p.crop).icon} from Plot ${i+1}`, 'farm', { crop: p.crop, plot: i });
+        this.app.state.plots[i] = Farm.emptyPlot();
+        this.app.act('clear_plot', { plot: i });
+        this.app.saveState();
+        this.app.ui.renderPlots();
+    }
+
     plant(type) {
-        if (this.app.state.inventory[type] > 0) {
-            this.app.state.inventory[type]--;
+        if (this.app.state.seeds[type] > 0) {
+            const plantedAt = this.app.now();
+            const weather = this.app.weather.rules();
+            this.app.state.seeds[type]--;
             this.app.state.plots[this.app.selectedPlotIndex] = {
-                crop: type, plantedAt: Date.now(), progress: 0, ready: false
+                ...Farm.emptyPlot(), crop: type, plantedAt, growthAt: plantedAt,
+                weatherRate: weather.cropGrowth || 1, rainWatered: !!weather.watersCrops
             };
+            this.app.act('plant', { plot: this.app.selectedPlotIndex, crop: type }, plantedAt);
             this.app.state.stats.planted++;
+            this.app.saveState();
             this.app.ui.closeModal();
             this.app.ui.renderPlots();
+            this.app.ui.renderShop();
             this.app.ui.renderInventory();
         } else {
             this.app.ui.toast("No seeds!", "red");
@@ -535,46 +2751,487 @@ class Farm {
     harvest(i) {
         const p = this.app.state.plots[i];
         const type = p.crop;
-        this.app.state.inventory[type]++;
+        this.app.state.inventory[type] = (this.app.state.inventory[type] || 0) + 1;
         this.app.state.stats.harvested++;
-        this.app.log(`Harvested ${CONFIG.items[type].icon}`);
-        this.app.state.plots[i] = { crop: null, plantedAt: 0, progress: 0, ready: false };
+        this.app.log(`Harvested ${this.app.catalog.get(type).icon}`, 'harvest', { crop: type, plot: i });
+        this.app.state.plots[i] = Farm.emptyPlot();
+        this.app.act('harvest', { plot: i });
+        this.app.levels.award('harvest');
+        this.app.saveState();
+        this.app.ui.renderPlots();
+        this.app.ui.renderInventory();
+    }
+
+    // Each requirement of a land expansion with how far the player is towards
+    // it, counted the way buy_plot in economy.py counts
+    landRequirements(expansion) {
+        const milestones = this.app.state.milestones;
+        const have = { sessions: milestones.sessions, focusHours: milestones.focusSeconds / 3600, level: this.app.levels.level() };
+        return Object.keys(expansion.requires || {}).map(key => {
+            const need = expansion.requires[key];
+            return { key, have: have[key] || 0, need, met: (have[key] || 0) >= need };
+        });
+    }
+
+    buyPlot() {
+        const plots = this.app.state.plots;
+        const expansion = this.app.catalog.expansion(plots.length);
+        if (!expansion) return;
+        if (this.landRequirements(expansion).some(r => !r.met)) {
+            this.app.ui.toast("Keep focusing to unlock this plot!", "orange");
+            return;
+        }
+        const now = this.app.now();
+        if (!this.app.spendCoins(expansion.cost)) return;
+        this.app.act('buy_plot', { plot: plots.length }, now);
+        plots.push(Farm.emptyPlot());
+        this.app.log(`Bought Plot ${plots.length} for ${expansion.cost} coins`, 'purchase', { plot: plots.length - 1, cost: expansion.cost });
+        this.app.saveState();
         this.app.ui.renderPlots();
+    }
+
+    // Give an animal one harvested crop it eats
+    feed(i, crop) {
+        const a = this.app.state.animals[i];
+        const item = this.app.catalog.get(a.type);
+        const inventory = this.app.state.inventory;
+        if (!(item.feed || []).includes(crop)) return;
+        if (!inventory[crop]) {
+            this.app.ui.toast(`No harvested ${this.app.catalog.get(crop).name.toLowerCase()} to feed!`, "red");
+            return;
+        }
+        if (!this.canEat(a)) {
+            this.app.ui.toast(`${item.icon} is full!`, "orange");
+            return;
+        }
+        const now = this.app.now();
+        inventory[crop]--;
+        a.happiness = this.happiness(a, now);
+        a.happinessAt = now;
+        a.fedUntil = Math.max(now, a.fedUntil) + CONFIG.barn.feedLastsSeconds * 1000;
+        this.app.act('feed', { animal: i, crop }, now);
+        this.app.log(`Fed ${this.app.catalog.get(crop).icon} to ${item.icon}`, 'farm', { animal: a.type, crop });
+        this.app.saveState();
+        this.app.ui.renderAnimals();
         this.app.ui.renderInventory();
     }
 
     collectAnimal(i) {
         const a = this.app.state.animals[i];
         if (a.ready) {
-            const item = CONFIG.items[a.type];
-            const prodKey = item.product.toLowerCase();
-            this.app.state.inventory[prodKey]++;
-            this.app.log(`Collected ${item.productIcon}`);
-            a.readyAt = Date.now() + (item.produceTime * 1000);
+            const item = this.app.catalog.get(a.type);
+            const now = this.app.now();
+            const mood = this.mood(a, now);
+            this.app.state.inventory[item.product] = (this.app.state.inventory[item.product] || 0) + mood.yield;
+            this.app.log(`Collected ${mood.yield > 1 ? `${mood.yield} ` : ''}${item.productIcon}`, 'collect', { animal: a.type, product: item.product, count: mood.yield });
+            a.readyAt = now + this.productionMs(item, mood);
             a.ready = false;
+            this.app.act('collect', { animal: i }, now);
+            this.app.levels.award('collect');
+            this.app.saveState();
             this.app.ui.updateAnimalStatus(i, false);
             this.app.ui.renderInventory();
         }
     }
 }
 
+/**
+ * Processing buildings turn goods from the inventory into goods worth more,
+ * following the recipes in their catalog entry. Each building works through a
+ * queue of jobs one at a time; a job starts when the one before it is done,
+ * and finished jobs wait in the building (and count against its queueSize)
+ * until collected. Times are fixed when a job is queued, so the queue needs
+ * no updating while the app is closed.
+ */
+class Workshop {
+    constructor(app) { this.app = app; }
+
+    owns(type) { return this.app.state.buildings.some(b => b.type === type); }
+
+    // How many jobs at the front of the queue are finished
+    finishedJobs(b, now = this.app.now()) {
+        const index = b.queue.findIndex(job => job.readyAt > now);
+        return index === -1 ? b.queue.length : index;
+    }
+
+    hasInputs(recipe) {
+        return Object.keys(recipe.inputs).every(k => (this.app.state.inventory[k] || 0) >= recipe.inputs[k]);
+    }
+
+    start(i, recipeKey) {
+        const b = this.app.state.buildings[i];
+        const item = this.app.catalog.get(b.type);
+        const recipe = item.recipes[recipeKey];
+        if (!recipe) return;
+        if (b.queue.length >= item.queueSize) {
+            this.app.ui.toast(`The ${item.name} is busy. Collect finished goods first.`, "orange");
+            return;
+        }
+        if (!this.hasInputs(recipe)) {
+            this.app.ui.toast("Not enough ingredients!", "red");
+            return;
+        }
+        const now = this.app.now();
+        const inventory = this.app.state.inventory;
+        Object.keys(recipe.inputs).forEach(k => { inventory[k] -= recipe.inputs[k]; });
+        const startedAt = b.queue.length > 0 ? Math.max(now, b.queue[b.queue.length - 1].readyAt) : now;
+        b.queue.push({ recipe: recipeKey, startedAt, readyAt: startedAt + recipe.time * 1000 });
+        this.app.act('process', { building: i, recipe: recipeKey }, now);
+        const output = this.app.catalog.get(recipeKey);
+        this.app.log(`${item.icon} Started ${output.icon} ${output.name}`, 'farm', { building: b.type, recipe: recipeKey, inputs: recipe.inputs });
+        this.app.saveState();
+        this.app.ui.renderWorkshop();
+        this.app.ui.renderInventory();
+    }
+
+    collect(i) {
+        const b = this.app.state.buildings[i];
+        const now = this.app.now();
+        const count = this.finishedJobs(b, now);
+        if (count === 0) return;
+        const made = {};
+        b.queue.splice(0, count).forEach(job => {
+            this.app.state.inventory[job.recipe] = (this.app.state.inventory[job.recipe] || 0) + 1;
+            made[job.recipe] = (made[job.recipe] || 0) + 1;
+        });
+        this.app.act('collect_goods', { building: i, count }, now);
+        this.app.levels.award('collect', count);
+        const goods = this.app.catalog.goods();
+        const list = Object.keys(made).map(k => `${made[k]} ${goods[k].icon}`).join(', ');
+        this.app.log(`Collected ${list} from the ${this.app.catalog.get(b.type).name}`, 'collect', { building: b.type, goods: made });
+        this.app.saveState();
+        this.app.ui.renderWorkshop();
+        this.app.ui.renderInventory();
+    }
+}
+
+/**
+ * Market prices. Each good's price for a (UTC) day drifts around its catalog
+ * price by up to CONFIG.market.dailyDrift, from a seeded random number for
+ * that good and day, so every device and the server agree on it and past
+ * prices can be worked out again for the history chart. Selling adds to a
+ * good's pressure (`state.market.pressure`), which lowers the price of each
+ * further unit and wears off at recoveryPerHour. economy.py does the same sums.
+ *
+ * Sell orders wait in `state.sellOrders` and sell as many units as they can
+ * while the price is at or above their target.
+ */
+class Market {
+    constructor(app) { this.app = app; }
+
+    static day(t) { return Math.floor(t / 86400000); }
+
+    noise(good, day) {
+        return 2 * seededRandom(CONFIG.market.seed ^ hashString(good), day) - 1;
+    }
+
+    // Price of one unit on a day, before pressure
+    dailyPrice(good, day) {
+        const drift = CONFIG.market.dailyDrift * (this.noise(good, day) + this.noise(good, day - 1)) / 2;
+        return this.app.catalog.goods()[good].price * (1 + drift);
+    }
+
+    pressure(good, t) {
+        const entry = this.app.state.market.pressure[good];
+        if (!entry) return 0;
+        return Math.max(0, entry.units - CONFIG.market.recoveryPerHour * Math.max(0, t - entry.at) / 3600000);
+    }
+
+    unitPrice(good, day, units) {
+        const factor = Math.max(CONFIG.market.minPressureFactor, 1 - CONFIG.market.pressurePerUnit * units);
+        return Math.max(1, Math.round(this.dailyPrice(good, day) * factor));
+    }
+
+    // What the next unit sells for right now
+    price(good, t = this.app.now()) {
+        return this.unitPrice(good, Market.day(t), this.pressure(good, t));
+    }
+
+    // How many of `count` units would sell at or above `minPrice`, and for how much
+    quote(good, count, minPrice = null, t = this.app.now()) {
+        const day = Market.day(t);
+        const units = this.pressure(good, t);
+        let total = 0;
+        let sold = 0;
+        while (sold < count) {
+            const price = this.unitPrice(good, day, units + sold);
+            if (minPrice !== null && price < minPrice) break;
+            total += price;
+            sold++;
+        }
+        return { count: sold, total };
+    }
+
+    // Daily prices (before pressure) for the last CONFIG.market.historyDays days, oldest first
+    history(good, t = this.app.now()) {
+        const today = Market.day(t);
+        const days = [];
+        for (let d = today - CONFIG.market.historyDays + 1; d <= today; d++) {
+            days.push({ day: d, price: Math.round(this.dailyPrice(good, d)) });
+        }
+        return days;
+    }
+
+    // Sell `count` units, refused (returns 0) if any would go below `minPrice`
+    sell(good, count, minPrice = null) {
+        const state = this.app.state;
+        count = Math.min(count, state.inventory[good] || 0);
+        if (count < 1) {
+            this.app.ui.toast("Nothing to sell!", "orange");
+            return 0;
+        }
+        const now = this.app.now();
+        const quote = this.quote(good, count, minPrice, now);
+        if (quote.count < count) return 0;
+        this.commit(good, count, now);
+        this.app.act('sell', minPrice === null ? { good, count } : { good, count, minPrice }, now);
+        this.app.addCoins(quote.total);
+        const item = this.app.catalog.goods()[good];
+        this.app.log(`Sold ${count} ${item.icon} for ${quote.total} coins`, 'sale', { coins: quote.total, items: { [good]: count }, minPrice });
+        this.app.ui.renderInventory();
+        this.app.ui.renderMarket();
+        return quote.total;
+    }
+
+    sellAll() {
+        const state = this.app.state;
+        const now = this.app.now();
+        let total = 0;
+        const sold = {};
+        Object.keys(this.app.catalog.goods()).forEach(k => {
+            const count = state.inventory[k] || 0;
+            if (count > 0) {
+                total += this.quote(k, count, null, now).total;
+                sold[k] = count;
+                this.commit(k, count, now);
+            }
+        });
+
+        if (total > 0) {
+            this.app.act('sell_all', {}, now);
+            this.app.addCoins(total);
+            this.app.log(`Sold all resources for ${total} coins.`, 'sale', { coins: total, items: sold });
+            this.app.ui.renderInventory();
+            this.app.ui.renderMarket();
+        } else {
+            this.app.ui.toast("Nothing to sell!", "orange");
+        }
+    }
+
+    // Take sold units out of the inventory and add them to the pressure
+    commit(good, count, t) {
+        this.app.state.inventory[good] -= count;
+        this.app.state.market.pressure[good] = { units: this.pressure(good, t) + count, at: t };
+    }
+
+    addOrder(good, count, minPrice) {
+        const orders = this.app.state.sellOrders;
+        if (!Number.isInteger(count) || count < 1 || !Number.isInteger(minPrice) || minPrice < 1) {
+            this.app.ui.toast("Enter a quantity and a target price of at least 1.", "red");
+            return;
+        }
+        if (orders.length >= CONFIG.market.maxOrders) {
+            this.app.ui.toast(`You can have ${CONFIG.market.maxOrders} sell orders at a time.`, "orange");
+            return;
+        }
+        const item = this.app.catalog.goods()[good];
+        orders.push({ id: this.app.now(), good, count, minPrice });
+        this.app.log(`Sell order: ${count} ${item.icon} at ${minPrice}+ coins`, 'sale', { good, count, minPrice });
+        this.checkOrders();
+        this.app.saveState();
+        this.app.ui.renderMarket();
+    }
+
+    cancelOrder(id) {
+        const state = this.app.state;
+        const order = state.sellOrders.find(o => o.id === id);
+        if (!order) return;
+        state.sellOrders = state.sellOrders.filter(o => o !== order);
+        this.app.log(`Cancelled sell order for ${order.count} ${this.app.catalog.goods()[order.good].icon}`, 'sale', { good: order.good, count: order.count });
+        this.app.saveState();
+        this.app.ui.renderMarket();
+    }
+
+    // Fill whatever sell orders the current prices and stock allow
+    checkOrders() {
+        const state = this.app.state;
+        let filled = false;
+        state.sellOrders.slice().forEach(order => {
+            const have = Math.min(order.count, state.inventory[order.good] || 0);
+            if (have < 1) return;
+            const { count } = this.quote(order.good, have, order.minPrice);
+            if (count < 1 || !this.sell(order.good, count, order.minPrice)) return;
+            order.count -= count;
+            if (order.count === 0) state.sellOrders = state.sellOrders.filter(o => o !== order);
+            filled = true;
+        });
+        if (filled) this.app.saveState();
+    }
+}
+
+/**
+ * Customer orders ("3 🥚 + 2 🥕 within 24h") for bonus coins and XP. The
+ * board has CONFIG.orders.slots places; every refreshMinutes a new window
+ * starts and empty places get a new order. An order is generated from its
+ * window, its slot and the pool of goods the player could make when it
+ * appeared, using seededRandom, so the same inputs always give the same
+ * order. The server deals the same board (refresh_orders in economy.py) and
+ * owns it: an order can only be delivered while it is on the server's board,
+ * and declining one takes it off there too.
+ */
+class OrderBoard {
+    constructor(app) { this.app = app; }
+
+    static windowMs() { return CONFIG.orders.refreshMinutes * 60000; }
+
+    window(t) { return Math.floor(t / OrderBoard.windowMs()); }
+
+    nextRefreshAt(t = this.app.now()) { return (this.window(t) + 1) * OrderBoard.windowMs(); }
+
+    // Goods the player can make: every unlocked crop, plus products of owned
+    // animals and buildings. unlocked_goods in economy.py builds the same list.
+    pool() {
+        const state = this.app.state;
+        const owned = new Set([...state.animals.map(a => a.type), ...state.buildings.map(b => b.type)]);
+        const pool = [];
+        Object.keys(this.app.catalog.items).forEach(k => {
+            const item = this.app.catalog.get(k);
+            if (!this.app.levels.isUnlocked(item.level)) return;
+            if (item.type === 'seed') pool.push(k);
+            else if (item.type === 'animal' && owned.has(k)) pool.push(item.product);
+            else if (item.type === 'building' && owned.has(k)) pool.push(...Object.keys(item.recipes));
+        });
+        return pool;
+    }
+
+    generate(window, slot, pool) {
+        const rules = CONFIG.orders;
+        const goods = this.app.catalog.goods();
+        const r = k => seededRandom(rules.seed ^ window, slot * 16 + k);
+        const remaining = pool.slice();
+        const lines = {};
+        const lineCount = 1 + Math.floor(r(0) * Math.min(rules.maxLines, pool.length));
+        for (let j = 0; j < lineCount; j++) {
+            const good = remaining.splice(Math.floor(r(1 + j) * remaining.length), 1)[0];
+            lines[good] = 1 + Math.floor(r(8 + j) * rules.maxCount);
+        }
+        const value = Object.keys(lines).reduce((sum, g) => sum + lines[g] * goods[g].price, 0);
+        const createdAt = window * OrderBoard.windowMs();
+        return {
+            id: `${window}-${slot}`, window, slot, pool, lines,
+            coins: Math.round(value * rules.coinBonus),
+            xp: Math.round(value * rules.xpPerCoin),
+            createdAt,
+            expiresAt: createdAt + rules.expiresHours * 3600000
+        };
+    }
+
+    describe(order) {
+        const goods = this.app.catalog.goods();
+        return Object.keys(order.lines).map(g => `${order.lines[g]} ${goods[g].icon}`).join(' + ');
+    }
+
+    // Drop expired orders and fill empty places once a new window has started
+    refresh(now = this.app.now()) {
+        const board = this.app.state.orderBoard;
+        let changed = false;
+        board.orders.filter(o => now > o.expiresAt).forEach(o => {
+            this.app.log(`Order expired: ${this.describe(o)}`, 'order', { order: o.id, lines: o.lines });
+            changed = true;
+        });
+        board.orders = board.orders.filter(o => now <= o.expiresAt);
+
+        const window = this.window(now);
+        if (board.window !== window) {
+            const pool = this.pool();
+            for (let slot = 0; slot < CONFIG.orders.slots; slot++) {
+                if (board.orders.some(o => o.slot === slot)) continue;
+                board.orders.push(this.generate(window, slot, pool));
+            }
+            board.orders.sort((a, b) => a.slot - b.slot);
+            board.window = window;
+            changed = true;
+        }
+        if (changed) {
+            this.app.saveState();
+            this.app.ui.renderOrders();
+        }
+    }
+
+    canDeliver(order) {
+        return Object.keys(order.lines).every(g => (this.app.state.inventory[g] || 0) >= order.lines[g]);
+    }
+
+    deliver(id) {
+        const state = this.app.state;
+        const order = state.orderBoard.orders.find(o => o.id === id);
+        if (!order) return;
+        const now = this.app.now();
+        if (now > order.expiresAt) {
+            this.app.ui.toast("This order has expired.", "orange");
+            this.refresh(now);
+            return;
+        }
+        if (!this.canDeliver(order)) {
+            this.app.ui.toast("You don't have everything for this order yet.", "red");
+            return;
+        }
+        Object.keys(order.lines).forEach(g => { state.inventory[g] -= order.lines[g]; });
+        state.orderBoard.orders = state.orderBoard.orders.filter(o => o !== order);
+        this.app.act('deliver', { id: order.id }, now);
+        this.app.levels.addXp(order.xp);
+        this.app.addCoins(order.coins);
+        this.app.log(`Delivered ${this.describe(order)} for ${order.coins} coins and ${order.xp} XP`, 'order',
+            { order: order.id, lines: order.lines, coins: order.coins, xp: order.xp });
+        this.app.ui.renderOrders();
+        this.app.ui.renderInventory();
+    }
+
+    decline(id) {
+        const state = this.app.state;
+        const order = state.orderBoard.orders.find(o => o.id === id);
+        if (!order) return;
+        state.orderBoard.orders = state.orderBoard.orders.filter(o => o !== order);
+        this.app.act('decline_order', { id: order.id });
+        this.app.log(`Declined order: ${this.describe(order)}`, 'order', { order: order.id, lines: order.lines });
+        this.app.saveState();
+        this.app.ui.renderOrders();
+    }
+}
+
 class Shop {
     constructor(app) { this.app = app; }
 
     buy(itemKey) {
-        const item = CONFIG.items[itemKey];
+        const item = this.app.catalog.get(itemKey);
+        if (!item) return;
+        if (!this.app.levels.isUnlocked(item.level)) {
+            this.app.ui.toast(`${item.name} unlocks at level ${item.level}.`, "orange");
+            return;
+        }
+        if (item.type === 'building' && this.app.workshop.owns(itemKey)) {
+            this.app.ui.toast(`You already have a ${item.name}!`, "orange");
+            return;
+        }
+        const now = this.app.now();
         if (this.app.spendCoins(item.cost)) {
+            this.app.act('buy', { item: itemKey }, now);
             if (item.type === 'seed') {
-                this.app.state.inventory[itemKey]++;
-                this.app.log(`Bought ${item.icon} seed`);
+                this.app.state.seeds[itemKey] = (this.app.state.seeds[itemKey] || 0) + 1;
+                this.app.log(`Bought ${item.icon} seed`, 'purchase', { item: itemKey, cost: item.cost });
+            } else if (item.type === 'supply') {
+                this.app.state.supplies[itemKey] = (this.app.state.supplies[itemKey] || 0) + 1;
+                this.app.log(`Bought ${item.icon} ${item.name}`, 'purchase', { item: itemKey, cost: item.cost });
+            } else if (item.type === 'building') {
+                this.app.state.buildings.push({ type: itemKey, queue: [] });
+                this.app.log(`Built a ${item.icon} ${item.name}`, 'purchase', { item: itemKey, cost: item.cost });
             } else {
-                this.app.state.animals.push({
-                    type: itemKey,
-                    readyAt: Date.now() + (item.produceTime * 1000),
-                    ready: false
-                });
-                this.app.log(`Bought ${item.icon}`);
+                const animal = { type: itemKey, ready: false, happiness: CONFIG.barn.startingHappiness, happinessAt: now, fedUntil: now };
+                animal.readyAt = now + this.app.farm.productionMs(item, this.app.farm.mood(animal, now));
+                this.app.state.animals.push(animal);
+                this.app.log(`Bought ${item.icon}`, 'purchase', { item: itemKey, cost: item.cost });
             }
+            this.app.saveState();
             this.app.ui.renderAll();
         }
     }
@@ -587,7 +3244,12 @@ class UI {
         this.plotElements = [];
         this.animalElements = [];
         this.taskFilter = 'active'; // 'active' or 'finished'
+        this.taskQuery = '';
+        this.taskSort = 'date'; // 'date', 'priority' or 'remaining'
+        this.taskGroupByProject = false;
+        this.logFilter = { type: 'all', from: '', to: '' }; // from/to are YYYY-MM-DD
         this.editingTaskId = null; // Track which task is being edited
+        this.weatherLayerType = null; // Weather the particle layer was built for
     }
 
     initEventListeners() {
@@ -595,28 +3257,100 @@ class UI {
         document.getElementById('btn-start').addEventListener('click', () => this.app.timer.start());
         document.getElementById('btn-stop').addEventListener('click', () => {
             if (this.app.currentTaskId && this.app.timer.running) {
-                this.app.ui.toast("Pause is disabled while working on a task. Finish your task to enable pause.", "orange");
+                this.app.ui.toast("Pause is disabled while working on a task. Finish your task or abandon the session.", "orange");
                 return;
             }
             this.app.timer.stop();
         });
         document.getElementById('btn-reset').addEventListener('click', () => {
             if (this.app.currentTaskId && this.app.timer.running) {
-                this.app.ui.toast("Reset is disabled while working on a task. Finish your task to enable reset.", "orange");
+                this.app.ui.toast("Reset is disabled while working on a task. Finish your task or abandon the session.", "orange");
                 return;
             }
             this.app.timer.reset();
         });
 
+        document.getElementById('btn-skip-break').addEventListener('click', () => this.app.timer.skipBreak());
+
+        // Abandoning a session asks first, with an optional reason
+        document.getElementById('btn-abandon').addEventListener('click', () => this.openAbandonModal());
+        document.getElementById('abandon-cancel').addEventListener('click', () => this.closeAbandonModal());
+        document.getElementById('abandon-confirm').addEventListener('click', () => {
+            const reason = document.getElementById('abandon-reason').value.trim().slice(0, CONFIG.maxReasonLength);
+            this.closeAbandonModal();
+            this.app.timer.abandon(reason);
+        });
+        const reasonList = document.getElementById('abandon-reason-list');
+        CONFIG.abandonReasons.forEach(reason => {
+            const option = document.createElement('option');
+            option.value = reason;
+            reasonList.appendChild(option);
+        });
+        const abandonModal = document.getElementById('abandon-modal');
+        abandonModal.addEventListener('click', (e) => {
+            if (e.target === abandonModal) this.closeAbandonModal();
+        });
+
+        // Pomodoro settings
+        [['pomodoro-enabled', 'enabled'], ['pomodoro-auto-start', 'autoStart']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => this.app.updatePomodoroSettings({ [key]: input.checked }));
+        });
+        [['pomodoro-focus', 'focusMinutes'], ['pomodoro-short', 'shortBreakMinutes'],
+         ['pomodoro-long', 'longBreakMinutes'], ['pomodoro-every', 'longBreakEvery']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => this.app.updatePomodoroSettings({ [key]: Number(input.value) }));
+        });
+
+        // Strict mode settings, and the page events it counts as distractions
+        const strictEnabled = document.getElementById('strict-enabled');
+        strictEnabled.addEventListener('change', () => this.app.updateStrictSettings({ enabled: strictEnabled.checked }));
+        const strictMax = document.getElementById('strict-max');
+        strictMax.addEventListener('change', () => this.app.updateStrictSettings({ maxDistractions: Number(strictMax.value) }));
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.app.timer.leavePage();
+            else this.app.timer.returnToPage();
+        });
+        window.addEventListener('blur', () => this.app.timer.leavePage());
+        window.addEventListener('focus', () => this.app.timer.returnToPage());
+
+        // Daily goal
+        const goalInput = document.getElementById('daily-goal-input');
+        goalInput.addEventListener('change', () => this.app.setDailyGoal(Number(goalInput.value)));
+
         // Sell button
         document.getElementById('sell-btn').addEventListener('click', () => this.app.sellAll());
 
         // Clear logs
         document.getElementById('clear-logs').addEventListener('click', () => this.app.clearLogs());
 
+        // Save data export/import
+        document.getElementById('export-data').addEventListener('click', () => this.app.exportData());
+        const importInput = document.getElementById('import-data');
+        document.getElementById('import-data-btn').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', (e) => this.app.importData(e));
+
+        // Log filters and export
+        const logType = document.getElementById('log-type-filter');
+        Object.keys(CONFIG.logTypes).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = CONFIG.logTypes[type];
+            logType.appendChild(option);
+        });
+        [['log-type-filter', 'type'], ['log-from', 'from'], ['log-to', 'to']].forEach(([id, key]) => {
+            const input = document.getElementById(id);
+            input.addEventListener('change', () => {
+                this.logFilter[key] = input.value;
+                this.renderLogs();
+            });
+        });
+        document.getElementById('export-logs').addEventListener('click', () => this.app.exportLogs());
+
         // Logout (from nav bar)
         document.getElementById('nav-logout-btn').addEventListener('click', async () => {
             if (confirm('Are you sure you want to logout?')) {
+                await this.app.saves.flush();
                 await fetch('/api/logout', { method: 'POST' });
                 window.location.href = '/';
             }
@@ -625,6 +3359,31 @@ class UI {
         // Modal close
         document.getElementById('modal-close').addEventListener('click', () => this.closeModal());
 
+        // "While you were away" report
+        const awayClose = document.getElementById('away-modal-close');
+        if (awayClose) {
+            awayClose.addEventListener('click', () => this.closeAwayReport());
+        }
+
+        // Auto-collect toggle
+        const autoCollect = document.getElementById('auto-collect-toggle');
+        if (autoCollect) {
+            autoCollect.addEventListener('change', () => this.app.setAutoCollect(autoCollect.checked));
+        }
+
+        // Sell order form
+        const orderForm = document.getElementById('order-form');
+        if (orderForm) {
+            orderForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.app.market.addOrder(
+                    document.getElementById('order-good').value,
+                    parseInt(document.getElementById('order-count').value, 10),
+                    parseInt(document.getElementById('order-price').value, 10)
+                );
+            });
+        }
+
         // Navigation buttons
         document.querySelectorAll('.nav-btn').forEach(btn => {
             btn.addEventListener('click', () => {
@@ -640,11 +3399,66 @@ class UI {
             const name = document.getElementById('task-name-input').value;
             const date = document.getElementById('task-date-input').value;
             const duration = document.getElementById('task-duration-input').value;
-            this.app.addTask(name, date, duration);
+            const repeat = Recurrence.fromForm(document.getElementById('task-repeat-input').value, document.getElementById('task-interval-input').value);
+            this.app.addTask(name, date, duration, {
+                repeat,
+                estimate: document.getElementById('task-estimate-input').value,
+                project: document.getElementById('task-project-input').value,
+                tags: document.getElementById('task-tags-input').value,
+                priority: document.getElementById('task-priority-input').value
+            });
             // Clear inputs
             document.getElementById('task-name-input').value = '';
             document.getElementById('task-date-input').value = '';
             document.getElementById('task-duration-input').value = '';
+            document.getElementById('task-estimate-input').value = '';
+            document.getElementById('task-tags-input').value = '';
+        });
+
+        // Priority pickers, highest first
+        ['task-priority-input', 'edit-task-priority'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            Object.keys(CONFIG.taskPriorities).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = `${CONFIG.taskPriorities[key].icon} ${CONFIG.taskPriorities[key].label}`;
+                select.appendChild(option);
+            });
+            select.value = 'medium';
+        });
+
+        // Task search, sorting and grouping
+        document.getElementById('task-search').addEventListener('input', (e) => {
+            this.taskQuery = e.target.value;
+            this.renderTasks();
+        });
+        document.getElementById('task-sort').addEventListener('change', (e) => {
+            this.taskSort = e.target.value;
+            this.renderTasks();
+        });
+        document.getElementById('task-group-project').addEventListener('change', (e) => {
+            this.taskGroupByProject = e.target.checked;
+            this.renderTasks();
+        });
+
+        // Repeat pickers: the day count only shows for "Every N days"
+        [['task-repeat-input', 'task-interval-input'], ['edit-task-repeat', 'edit-task-interval']].forEach(([selectId, intervalId]) => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const none = document.createElement('option');
+            none.value = '';
+            none.textContent = "Doesn't repeat";
+            select.appendChild(none);
+            Object.keys(CONFIG.taskRepeats).forEach(rule => {
+                const option = document.createElement('option');
+                option.value = rule;
+                option.textContent = CONFIG.taskRepeats[rule];
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                document.getElementById(intervalId).style.display = select.value === 'days' ? '' : 'none';
+            });
         });
 
         // Task filter tabs
@@ -702,7 +3516,15 @@ class UI {
                 
                 const newName = document.getElementById('edit-task-name').value;
                 const newDuration = document.getElementById('edit-task-duration').value;
-                this.app.saveTaskChanges(taskId, newName, newDuration);
+                const repeat = Recurrence.fromForm(document.getElementById('edit-task-repeat').value, document.getElementById('edit-task-interval').value);
+                this.app.saveTaskChanges(taskId, newName, newDuration, {
+                    date: document.getElementById('edit-task-date').value,
+                    repeat,
+                    estimate: document.getElementById('edit-task-estimate').value,
+                    project: document.getElementById('edit-task-project').value,
+                    tags: document.getElementById('edit-task-tags').value,
+                    priority: document.getElementById('edit-task-priority').value
+                });
             });
         }
 
@@ -730,17 +3552,25 @@ class UI {
 
     renderAll() {
         this.updateHeader();
+        this.renderSyncStatus(this.app.saves.status);
         this.renderTimer(this.app.timer.left);
         this.updateTaskDisplay();
         this.updateTimerControls();
+        this.renderPomodoroSettings();
+        this.renderStrictSettings();
         this.renderAvatar();
+        this.renderLevel();
         this.renderTasks();
         this.renderPlots();
         this.renderAnimals();
+        this.renderWorkshop();
+        this.renderMarket();
+        this.renderOrders();
         this.renderShop();
         this.renderStats();
         this.renderLogs();
         this.renderInventory();
+        this.renderWeather();
     }
 
     renderAvatar() {
@@ -750,24 +3580,37 @@ class UI {
         }
     }
 
+    // Level badge and XP bar beside the avatar
+    renderLevel() {
+        const badge = document.getElementById('level-badge');
+        if (!badge) return;
+        const progress = this.app.levels.progress();
+        const pct = progress.max ? 100 : Math.floor(progress.into / progress.span * 100);
+        badge.textContent = `Level ${progress.level}`;
+        document.getElementById('level-fill').style.width = `${pct}%`;
+        document.getElementById('level-bar').setAttribute('aria-valuenow', pct);
+        document.getElementById('level-xp').textContent = progress.max
+            ? `${progress.xp} XP, top level`
+            : `${progress.into} / ${progress.span} XP`;
+    }
+
     openAvatarModal() {
         const modal = document.getElementById('avatar-modal');
         const grid = document.getElementById('avatar-grid');
         if (!modal || !grid) return;
 
-        // Cute cartoon avatars
-        const avatars = [
-            '👤', '👨', '👩', '🧑', '👨‍🦱', '👩‍🦱', '👨‍🦰', '👩‍🦰',
-            '👨‍🦳', '👩‍🦳', '👨‍🦲', '👩‍🦲', '🧑‍🦱', '🧑‍🦰', '🧑‍🦳', '🧑‍🦲',
-            '🐱', '🐶', '🐰', '🐻', '🐼', '🐨', '🦊', '🐸',
-            '🐷', '🐮', '🐵', '🐯', '🦁', '🐹', '🐭', '🐨'
-        ];
+        // Cute cartoon avatars, in sets that unlock by level
+        const avatars = CONFIG.avatars.flatMap(set => set.icons.map(icon => ({ icon, level: set.level })));
 
         grid.innerHTML = '';
-        avatars.forEach(avatar => {
+        avatars.forEach(({ icon: avatar, level }) => {
             const avatarBtn = document.createElement('button');
             avatarBtn.className = 'avatar-option';
             avatarBtn.textContent = avatar;
+            if (!this.app.levels.isUnlocked(level)) {
+                avatarBtn.disabled = true;
+                avatarBtn.title = `Unlocks at level ${level}`;
+            }
             avatarBtn.style.cssText = `
                 font-size: 3rem;
                 width: 80px;
@@ -820,6 +3663,19 @@ class UI {
         this.editingTaskId = task.id;
         nameInput.value = task.name;
         durationInput.value = task.duration;
+        document.getElementById('edit-task-estimate').value = task.estimate;
+        document.getElementById('edit-task-project').value = task.project || '';
+        document.getElementById('edit-task-tags').value = task.tags.join(', ');
+        document.getElementById('edit-task-priority').value = task.priority;
+        document.getElementById('edit-task-focused').textContent = `${Math.round(task.focusedSeconds / 60)} min focused so far`;
+        const dateInput = document.getElementById('edit-task-date');
+        dateInput.value = task.date;
+        dateInput.min = this.app.isTaskOverdue(task) ? task.date : this.app.today();
+        const repeatSelect = document.getElementById('edit-task-repeat');
+        const intervalInput = document.getElementById('edit-task-interval');
+        repeatSelect.value = task.repeat ? task.repeat.rule : '';
+        if (task.repeat && task.repeat.rule === 'days') intervalInput.value = task.repeat.interval;
+        intervalInput.style.display = repeatSelect.value === 'days' ? '' : 'none';
         
         modal.style.display = 'flex';
         
@@ -835,6 +3691,23 @@ class UI {
         }
     }
 
+    // Confirm giving up on the focus session, showing what it would still earn
+    openAbandonModal() {
+        const timer = this.app.timer;
+        if (!timer.inProgress() || timer.onBreak()) return;
+        const credit = timer.partialCredit();
+        const earns = credit.coins > 0
+            ? `it will still earn ${credit.coins} coin${credit.coins === 1 ? '' : 's'}`
+            : `sessions given up before ${CONFIG.abandonMinMinutes} min earn nothing`;
+        document.getElementById('abandon-summary').textContent = `You've focused for ${credit.minutes} min; ${earns}.`;
+        document.getElementById('abandon-reason').value = '';
+        document.getElementById('abandon-modal').style.display = 'flex';
+    }
+
+    closeAbandonModal() {
+        document.getElementById('abandon-modal').style.display = 'none';
+    }
+
     updateTaskDisplay() {
         const taskDisplay = document.getElementById('current-task-display');
         const taskName = document.getElementById('current-task-name');
@@ -847,7 +3720,8 @@ class UI {
             if (task && !task.completed) {
                 taskDisplay.style.display = 'block';
                 taskName.textContent = task.name;
-                taskDuration.textContent = `Focus Time: ${task.duration} minutes`;
+                const focused = Math.round(task.focusedSeconds / 60);
+                taskDuration.textContent = `Focus Time: ${Math.round(this.app.taskSessionSeconds(task) / 60)} minutes | ${focused} of ${task.estimate} min done`;
             } else {
                 taskDisplay.style.display = 'none';
                 this.app.currentTaskId = null;
@@ -863,6 +3737,9 @@ class UI {
         const resetBtn = document.getElementById('btn-reset');
         
         if (!pauseBtn || !resetBtn) return;
+
+        this.renderTimerPhase();
+        this.renderStrictStatus();
         
         // Disable pause and reset when timer is running (with or without task)
         const isRunning = this.app.timer.running;
@@ -884,6 +3761,81 @@ class UI {
         }
     }
 
+    renderTimerPhase() {
+        const timer = this.app.timer;
+        const pomodoro = this.app.state.settings.pomodoro;
+        const phaseEl = document.getElementById('timer-phase');
+        const cycleEl = document.getElementById('timer-cycle');
+        const skipBtn = document.getElementById('btn-skip-break');
+        const startBtn = document.getElementById('btn-start');
+
+        const abandonBtn = document.getElementById('btn-abandon');
+
+        if (startBtn) startBtn.textContent = timer.onBreak() ? 'Start Break' : 'Start Focus';
+        if (skipBtn) skipBtn.style.display = timer.onBreak() ? 'inline-block' : 'none';
+        if (abandonBtn) abandonBtn.style.display = timer.inProgress() && !timer.onBreak() ? 'inline-block' : 'none';
+        if (!phaseEl || !cycleEl) return;
+
+        const phase = timer.session.phase;
+        const icons = { focus: '🎯', shortBreak: '☕', longBreak: '🌴' };
+        phaseEl.textContent = `${icons[phase]} ${Timer.phaseLabel(phase)}`;
+        phaseEl.className = `timer-phase phase-${phase}`;
+        phaseEl.style.display = pomodoro.enabled || timer.onBreak() ? 'inline-block' : 'none';
+
+        // Focus sessions count up to the long break; a break belongs to the
+        // session that came before it
+        const position = timer.onBreak() ? timer.session.cycle : timer.session.cycle + 1;
+        cycleEl.textContent = `Session ${Math.min(position, pomodoro.longBreakEvery)} of ${pomodoro.longBreakEvery}`;
+        cycleEl.style.display = pomodoro.enabled ? 'block' : 'none';
+    }
+
+    renderPomodoroSettings() {
+        const pomodoro = this.app.state.settings.pomodoro;
+        const fields = {
+            'pomodoro-enabled': 'enabled', 'pomodoro-auto-start': 'autoStart'
+        };
+        const numbers = {
+            'pomodoro-focus': 'focusMinutes', 'pomodoro-short': 'shortBreakMinutes',
+            'pomodoro-long': 'longBreakMinutes', 'pomodoro-every': 'longBreakEvery'
+        };
+        Object.keys(fields).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.checked = pomodoro[fields[id]];
+        });
+        Object.keys(numbers).forEach(id => {
+            const input = document.getElementById(id);
+            if (input) input.value = pomodoro[numbers[id]];
+        });
+    }
+
+    renderStrictSettings() {
+        const strict = this.app.state.settings.strict;
+        const enabled = document.getElementById('strict-enabled');
+        const max = document.getElementById('strict-max');
+        if (enabled) enabled.checked = strict.enabled;
+        if (max) max.value = strict.maxDistractions;
+    }
+
+    // Live distraction count for the focus session on the clock, or a note
+    // that the next one will be strict
+    renderStrictStatus() {
+        const el = document.getElementById('strict-status');
+        if (!el) return;
+        const timer = this.app.timer;
+        const s = timer.session;
+        const strict = this.app.state.settings.strict;
+        const shown = timer.inProgress() ? s.strict : strict.enabled && !timer.onBreak();
+        el.style.display = shown ? 'block' : 'none';
+        if (!shown) return;
+        if (!timer.inProgress()) {
+            el.textContent = '🛡️ Strict mode: leaving this page counts as a distraction';
+            return;
+        }
+        const limit = s.maxDistractions > 0 ? ` (${s.maxDistractions} allowed)` : '';
+        const away = s.awayMs > 0 ? ` · ${this.formatSeconds(Math.round(s.awayMs / 1000))} away` : '';
+        el.textContent = `🛡️ ${s.distractions} distraction${s.distractions === 1 ? '' : 's'}${limit}${away} · Focus score ${Timer.focusScore(s)}`;
+    }
+
     renderLiveUpdates() {
         // Optimized: Only update visible elements
         if (this.currentView === 'plots') {
@@ -892,6 +3844,22 @@ class UI {
         if (this.currentView === 'barn') {
             // Animal updates handled in updateAnimalStatus
         }
+        if (this.currentView === 'workshop') this.updateWorkshop();
+    }
+
+    renderSyncStatus(status) {
+        const pill = document.getElementById('sync-status');
+        if (!pill) return;
+        const labels = {
+            online: ['✓', 'Saved', 'All progress is saved to the server'],
+            syncing: ['⟳', 'Syncing', 'Saving your progress to the server'],
+            offline: ['⚠', 'Offline', 'Progress is saved on this device and will sync when the server is back'],
+            error: ['✕', 'Not saved', 'The server rejected the last save. Progress is kept on this device.']
+        };
+        const [icon, text, title] = labels[status];
+        pill.className = `sync-pill sync-${status}`;
+        pill.textContent = `${icon} ${text}`;
+        pill.title = title;
     }
 
     updateHeader() {
@@ -921,36 +3889,117 @@ class UI {
             const progressDiv = document.createElement('div');
             progressDiv.className = 'progress-bar';
 
+            const careDiv = document.createElement('div');
+            careDiv.className = 'plot-care';
+
+            div.appendChild(iconDiv);
             if (p.crop) {
-                const item = CONFIG.items[p.crop];
-                iconDiv.textContent = p.ready ? item.icon : '🌱';
+                const item = this.app.catalog.get(p.crop);
+                iconDiv.textContent = p.withered ? '🥀' : (p.ready ? item.icon : '🌱');
                 progressDiv.style.width = `${p.progress}%`;
+                div.appendChild(careDiv);
+                if (this.app.farm.isGrowing(p)) div.appendChild(this.renderPlotActions(i, p));
             } else {
                 iconDiv.textContent = '+';
                 iconDiv.style.opacity = '0.3';
                 iconDiv.style.fontSize = '2rem';
             }
 
-            div.appendChild(iconDiv);
             div.appendChild(progressDiv);
             grid.appendChild(div);
-            this.plotElements[i] = { icon: iconDiv, progress: progressDiv };
+            this.plotElements[i] = { icon: iconDiv, progress: progressDiv, care: careDiv };
+            this.updatePlotCare(i);
         });
+
+        const expansion = this.app.catalog.expansion(this.app.state.plots.length);
+        if (expansion) grid.appendChild(this.renderLandTile(expansion));
     }
 
-    updatePlotProgress(i, pct) {
-        if (this.plotElements[i]) {
-            this.plotElements[i].progress.style.width = `${pct}%`;
+    // The next plot for sale, or what it still takes to unlock it
+    renderLandTile(expansion) {
+        const number = this.app.state.plots.length + 1;
+        const requirements = this.app.farm.landRequirements(expansion);
+        const locked = requirements.some(r => !r.met);
+        const labels = { sessions: 'focus sessions', focusHours: 'h of focus', level: 'level' };
+
+        const div = document.createElement('div');
+        div.className = locked ? 'plot plot-land locked' : 'plot plot-land';
+        div.tabIndex = 0;
+        div.addEventListener('click', () => this.app.farm.buyPlot());
+        div.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.app.farm.buyPlot(); });
+
+        const icon = document.createElement('div');
+        icon.textContent = locked ? '🔒' : '🪧';
+        const title = document.createElement('strong');
+        title.textContent = `Plot ${number}`;
+        div.append(icon, title);
+        if (locked) {
+            requirements.forEach(r => {
+                const line = document.createElement('span');
+                line.textContent = `${Math.floor(r.have * 10) / 10}/${r.need} ${labels[r.key] || r.key}`;
+                if (r.met) line.className = 'met';
+                div.appendChild(line);
+            });
+            div.setAttribute('aria-label', `Plot ${number}, locked`);
+        } else {
+            const price = document.createElement('span');
+            price.textContent = `${expansion.cost} 💰`;
+            div.appendChild(price);
+            div.setAttribute('aria-label', `Buy Plot ${number} for ${expansion.cost} coins`);
+        }
+        return div;
+    }
+
+    // Water and fertilizer buttons for a growing crop
+    renderPlotActions(i, p) {
+        const actions = document.createElement('div');
+        actions.className = 'plot-actions';
+        const addButton = (icon, label, onClick) => {
+            const btn = document.createElement('button');
+            btn.className = 'plot-action';
+            btn.textContent = icon;
+            btn.title = label;
+            btn.setAttribute('aria-label', `${label} plot ${i + 1}`);
+            btn.addEventListener('click', (e) => { e.stopPropagation(); onClick(); });
+            btn.addEventListener('keydown', (e) => e.stopPropagation());
+            actions.appendChild(btn);
+        };
+        if (!this.app.farm.isWatered(p)) addButton('💧', 'Water', () => this.app.farm.water(i));
+        if (!p.fertilized && this.app.state.supplies.fertilizer > 0) addButton('🧪', 'Fertilize', () => this.app.farm.fertilize(i));
+        return actions;
+    }
+
+    // Short care status under the crop: watered or dry, fertilized, and how
+    // long a grown crop has before it withers
+    updatePlotCare(i) {
+        const el = this.plotElements[i];
+        const p = this.app.state.plots[i];
+        if (!el || !p || !p.crop) return;
+        let text;
+        if (p.withered) {
+            text = 'Withered';
+        } else if (p.ready) {
+            text = `Wilts in ${this.formatDuration(this.app.farm.witheredAt(p) - this.app.now())}`;
+        } else {
+            if (p.rainWatered) text = '🌧️ Watered';
+            else text = this.app.farm.isWatered(p) ? '💧 Watered' : '🏜️ Dry';
+            if (p.weatherRate < 1) text += ' ❄️';
+            if (p.fertilized) text += ' 🧪';
         }
+        el.care.textContent = text;
+        el.care.classList.toggle('dry', !p.ready && !p.withered && !this.app.farm.isWatered(p));
     }
 
-    updatePlotIcon(i, icon) {
+    updatePlotProgress(i, pct) {
         if (this.plotElements[i]) {
-            this.plotElements[i].icon.textContent = icon;
+            this.plotElements[i].progress.style.width = `${pct}%`;
         }
     }
 
     renderAnimals() {
+        const autoCollect = document.getElementById('auto-collect-toggle');
+        if (autoCollect) autoCollect.checked = this.app.state.settings.autoCollect;
+
         const list = document.getElementById('animal-list');
         list.innerHTML = '';
         this.animalElements = [];
@@ -959,7 +4008,7 @@ class UI {
             return;
         }
         this.app.state.animals.forEach((a, i) => {
-            const item = CONFIG.items[a.type];
+            const item = this.app.catalog.get(a.type);
             const div = document.createElement('div');
             div.className = 'animal-card';
 
@@ -971,6 +4020,15 @@ class UI {
             nameDiv.style.fontWeight = 'bold';
             nameDiv.textContent = item.name;
 
+            const moodDiv = document.createElement('div');
+            moodDiv.className = 'animal-mood';
+            const happinessBar = document.createElement('div');
+            happinessBar.className = 'happiness-bar';
+            const happinessFill = document.createElement('div');
+            happinessFill.className = 'happiness-fill';
+            happinessBar.appendChild(happinessFill);
+            const fedDiv = document.createElement('small');
+
             const actionDiv = document.createElement('div');
 
             if (a.ready) {
@@ -981,21 +4039,58 @@ class UI {
                 actionDiv.appendChild(btn);
                 div.style.borderColor = 'var(--primary)';
             } else {
-                const secs = Math.max(0, Math.ceil((a.readyAt - Date.now()) / 1000));
+                const secs = Math.max(0, Math.ceil((a.readyAt - this.app.now()) / 1000));
                 actionDiv.innerHTML = `<small>Wait ${secs}s</small>`;
             }
 
             div.appendChild(iconDiv);
             div.appendChild(nameDiv);
+            div.appendChild(moodDiv);
+            div.appendChild(happinessBar);
+            div.appendChild(fedDiv);
+            div.appendChild(this.renderFeedButtons(i, item));
             div.appendChild(actionDiv);
             list.appendChild(div);
-            this.animalElements[i] = { card: div, action: actionDiv };
+            this.animalElements[i] = { card: div, action: actionDiv, mood: moodDiv, happiness: happinessFill, fed: fedDiv };
+            this.updateAnimalCare(i);
+        });
+    }
+
+    // One button per crop the animal eats, with how many are in the inventory
+    renderFeedButtons(i, item) {
+        const feedDiv = document.createElement('div');
+        feedDiv.className = 'animal-feed';
+        (item.feed || []).forEach(crop => {
+            const have = this.app.state.inventory[crop] || 0;
+            const btn = document.createElement('button');
+            btn.className = 'feed-btn';
+            btn.textContent = `${this.app.catalog.get(crop).icon} ${have}`;
+            btn.title = `Feed ${this.app.catalog.get(crop).name}`;
+            btn.setAttribute('aria-label', `Feed ${this.app.catalog.get(crop).name} to ${item.name} ${i + 1}`);
+            btn.disabled = have === 0;
+            btn.addEventListener('click', () => this.app.farm.feed(i, crop));
+            feedDiv.appendChild(btn);
         });
+        return feedDiv;
+    }
+
+    // Mood, happiness and how long until the animal is hungry
+    updateAnimalCare(i) {
+        const el = this.animalElements[i];
+        const a = this.app.state.animals[i];
+        if (!el || !a) return;
+        const now = this.app.now();
+        const mood = this.app.farm.mood(a, now);
+        el.mood.textContent = `${mood.icon} ${mood.name}`;
+        el.mood.title = mood.effect;
+        el.happiness.style.width = `${this.app.farm.happiness(a, now)}%`;
+        el.fed.textContent = this.app.farm.isFed(a) ? `Fed for ${this.formatDuration(a.fedUntil - now)}` : 'Hungry';
+        el.fed.classList.toggle('hungry', !this.app.farm.isFed(a));
     }
 
     updateAnimalStatus(i, ready) {
         if (this.animalElements[i]) {
-            const item = CONFIG.items[this.app.state.animals[i].type];
+            const item = this.app.catalog.get(this.app.state.animals[i].type);
             if (ready) {
                 this.animalElements[i].action.innerHTML = '';
                 const btn = document.createElement('button');
@@ -1005,59 +4100,308 @@ class UI {
                 this.animalElements[i].action.appendChild(btn);
                 this.animalElements[i].card.style.borderColor = 'var(--primary)';
             } else {
-                const secs = Math.max(0, Math.ceil((this.app.state.animals[i].readyAt - Date.now()) / 1000));
+                const secs = Math.max(0, Math.ceil((this.app.state.animals[i].readyAt - this.app.now()) / 1000));
                 this.animalElements[i].action.innerHTML = `<small>Wait ${secs}s</small>`;
                 this.animalElements[i].card.style.borderColor = '#ffe0b2';
             }
         }
     }
 
-    renderShop() {
-        // Seed Shop
-        const seedContainer = document.getElementById('seed-shop');
-        seedContainer.innerHTML = '';
-        ['wheat', 'carrot'].forEach(key => {
-            const item = CONFIG.items[key];
-            const btn = document.createElement('div');
-            btn.className = 'shop-item';
-            btn.setAttribute('aria-label', `Buy ${item.name} for ${item.cost} coins`);
-            btn.tabIndex = 0;
-            btn.addEventListener('click', () => this.app.shop.buy(key));
-            btn.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.app.shop.buy(key); });
+    renderWorkshop() {
+        const list = document.getElementById('building-list');
+        if (!list) return;
+        list.innerHTML = '';
+        this.workshopElements = [];
+        if (this.app.state.buildings.length === 0) {
+            list.innerHTML = '<div style="width:100%; text-align:center; color:#999">No buildings yet.</div>';
+            return;
+        }
+        const goods = this.app.catalog.goods();
+        const now = this.app.now();
+        this.app.state.buildings.forEach((b, i) => {
+            const item = this.app.catalog.get(b.type);
+            const card = document.createElement('div');
+            card.className = 'building-card';
+            card.setAttribute('role', 'listitem');
 
-            btn.innerHTML = `
-                <div style="font-size:2rem">${item.icon}</div>
-                <div>${item.name}</div>
-                <div class="shop-price">${item.cost} Coins</div>
-                <button class="shop-buy-btn" id="btn-buy-${key}">Buy</button>
-            `;
-            seedContainer.appendChild(btn);
-            const buyBtn = btn.querySelector('.shop-buy-btn');
-            buyBtn.disabled = this.app.state.coins < item.cost;
-            buyBtn.addEventListener('click', (e) => { e.stopPropagation(); this.app.shop.buy(key); });
+            const title = document.createElement('h3');
+            title.textContent = `${item.icon} ${item.name}`;
+            card.appendChild(title);
+
+            Object.keys(item.recipes).forEach(key => {
+                const recipe = item.recipes[key];
+                const row = document.createElement('div');
+                row.className = 'recipe-row';
+                const inputs = Object.keys(recipe.inputs).map(k => `${recipe.inputs[k]} ${goods[k].icon}`).join(' + ');
+                const label = document.createElement('span');
+                label.textContent = `${inputs} → ${goods[key].icon} ${goods[key].name} (${this.formatSeconds(recipe.time)})`;
+                const btn = document.createElement('button');
+                btn.className = 'shop-buy-btn';
+                btn.textContent = 'Make';
+                btn.setAttribute('aria-label', `Make ${goods[key].name} in the ${item.name}`);
+                btn.disabled = b.queue.length >= item.queueSize || !this.app.workshop.hasInputs(recipe);
+                btn.addEventListener('click', () => this.app.workshop.start(i, key));
+                row.appendChild(label);
+                row.appendChild(btn);
+                card.appendChild(row);
+            });
+
+            const queue = document.createElement('div');
+            queue.className = 'building-queue';
+            const queueTitle = document.createElement('small');
+            queueTitle.textContent = `Queue ${b.queue.length}/${item.queueSize}`;
+            queue.appendChild(queueTitle);
+            const jobs = b.queue.map(job => {
+                const row = document.createElement('div');
+                row.className = 'job-row';
+                const label = document.createElement('span');
+                label.textContent = goods[job.recipe].icon;
+                const bar = document.createElement('div');
+                bar.className = 'job-bar';
+                const fill = document.createElement('div');
+                fill.className = 'job-fill';
+                bar.appendChild(fill);
+                const time = document.createElement('small');
+                row.append(label, bar, time);
+                queue.appendChild(row);
+                return { job, fill, time };
+            });
+            card.appendChild(queue);
+
+            const finished = this.app.workshop.finishedJobs(b, now);
+            if (finished > 0) {
+                const btn = document.createElement('button');
+                btn.className = 'shop-buy-btn';
+                btn.textContent = `Collect ${finished}`;
+                btn.addEventListener('click', () => this.app.workshop.collect(i));
+                card.appendChild(btn);
+                card.style.borderColor = 'var(--primary)';
+            }
+
+            list.appendChild(card);
+            this.workshopElements[i] = { jobs, finished };
+        });
+        this.updateWorkshop();
+    }
+
+    // Job progress and time left; redraws a building once a job finishes
+    updateWorkshop() {
+        const now = this.app.now();
+        const changed = this.app.state.buildings.some((b, i) =>
+            this.workshopElements[i] && this.app.workshop.finishedJobs(b, now) !== this.workshopElements[i].finished);
+        if (changed) {
+            this.renderWorkshop();
+            return;
+        }
+        this.workshopElements.forEach(el => el.jobs.forEach(({ job, fill, time }) => {
+            const total = job.readyAt - job.startedAt;
+            const done = Math.min(1, Math.max(0, (now - job.startedAt) / total));
+            fill.style.width = `${done * 100}%`;
+            if (now >= job.readyAt) time.textContent = 'Ready';
+            else if (now < job.startedAt) time.textContent = 'Waiting';
+            else time.textContent = this.formatSeconds(Math.ceil((job.readyAt - now) / 1000));
+        }));
+    }
+
+    renderOrders() {
+        const list = document.getElementById('orders-list');
+        if (!list) return;
+        const board = this.app.orders;
+        const now = this.app.now();
+        const goods = this.app.catalog.goods();
+        document.getElementById('orders-summary').textContent =
+            `⭐ ${this.app.state.xp} XP · New orders in ${this.formatDuration(board.nextRefreshAt(now) - now)}`;
+        list.innerHTML = '';
+        if (this.app.state.orderBoard.orders.length === 0) {
+            list.innerHTML = '<div style="width:100%; text-align:center; color:#999">No orders right now.</div>';
+            return;
+        }
+        this.app.state.orderBoard.orders.forEach(order => {
+            const card = document.createElement('div');
+            card.className = 'order-card';
+            card.setAttribute('role', 'listitem');
+            const lines = document.createElement('ul');
+            Object.keys(order.lines).forEach(g => {
+                const li = document.createElement('li');
+                const have = this.app.state.inventory[g] || 0;
+                li.textContent = `${goods[g].icon} ${order.lines[g]} ${goods[g].name} (${Math.min(have, order.lines[g])}/${order.lines[g]})`;
+                li.classList.toggle('met', have >= order.lines[g]);
+                lines.appendChild(li);
+            });
+            const reward = document.createElement('div');
+            reward.className = 'order-reward';
+            reward.textContent = `💰 ${order.coins} · ⭐ ${order.xp} XP`;
+            const expires = document.createElement('small');
+            expires.textContent = `Expires in ${this.formatDuration(order.expiresAt - now)}`;
+
+            const actions = document.createElement('div');
+            actions.className = 'order-actions';
+            const deliver = document.createElement('button');
+            deliver.className = 'shop-buy-btn';
+            deliver.textContent = 'Deliver';
+            deliver.disabled = !board.canDeliver(order);
+            deliver.addEventListener('click', () => board.deliver(order.id));
+            const decline = document.createElement('button');
+            decline.className = 'order-decline';
+            decline.textContent = 'Decline';
+            decline.addEventListener('click', () => board.decline(order.id));
+            actions.append(deliver, decline);
+
+            card.append(lines, reward, expires, actions);
+            list.appendChild(card);
+        });
+    }
+
+    // One row per good: stock, today's price, its recent history and a sell form
+    renderMarket() {
+        const list = document.getElementById('market-list');
+        if (!list) return;
+        const market = this.app.market;
+        const goods = this.app.catalog.goods();
+        const now = this.app.now();
+        list.innerHTML = '';
+        Object.keys(goods).forEach(k => {
+            const good = goods[k];
+            const have = this.app.state.inventory[k] || 0;
+            const history = market.history(k, now);
+            const price = market.price(k, now);
+            const yesterday = history[history.length - 2].price;
+            const row = document.createElement('div');
+            row.className = 'market-row';
+            row.setAttribute('role', 'listitem');
+
+            const name = document.createElement('div');
+            name.className = 'market-name';
+            name.textContent = `${good.icon} ${good.name}`;
+            const stock = document.createElement('small');
+            stock.textContent = `In stock: ${have}`;
+            name.appendChild(document.createElement('br'));
+            name.appendChild(stock);
+
+            const priceDiv = document.createElement('div');
+            priceDiv.className = 'market-price';
+            const today = history[history.length - 1].price;
+            priceDiv.textContent = `${price} 💰 ${today > yesterday ? '▲' : today < yesterday ? '▼' : '–'}`;
+            priceDiv.classList.toggle('up', today > yesterday);
+            priceDiv.classList.toggle('down', today < yesterday);
+            if (price < today) priceDiv.title = `${today - price} less than usual today after recent sales`;
+
+            const form = document.createElement('div');
+            form.className = 'market-sell';
+            const qty = document.createElement('input');
+            qty.type = 'number';
+            qty.min = 1;
+            qty.max = Math.max(1, have);
+            qty.value = Math.max(1, have);
+            qty.setAttribute('aria-label', `How many ${good.name} to sell`);
+            const btn = document.createElement('button');
+            btn.className = 'shop-buy-btn';
+            btn.textContent = 'Sell';
+            btn.disabled = have === 0;
+            btn.addEventListener('click', () => market.sell(k, parseInt(qty.value, 10) || 0));
+            form.append(qty, btn);
+
+            row.append(name, priceDiv, this.renderSparkline(history), form);
+            list.appendChild(row);
+        });
+        this.renderSellOrders(goods);
+    }
+
+    // Small line chart of daily prices
+    renderSparkline(history) {
+        const width = 120;
+        const height = 32;
+        const prices = history.map(h => h.price);
+        const min = Math.min(...prices);
+        const range = Math.max(1, Math.max(...prices) - min);
+        const step = width / Math.max(1, prices.length - 1);
+        const points = prices.map((p, i) => `${(i * step).toFixed(1)},${(height - 2 - (p - min) / range * (height - 4)).toFixed(1)}`);
+        const chart = this.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'sparkline', role: 'img' });
+        const title = this.svg('title');
+        title.textContent = `Last ${prices.length} days: ${min} to ${min + range} coins`;
+        chart.appendChild(title);
+        chart.appendChild(this.svg('polyline', { points: points.join(' '), class: 'sparkline-line' }));
+        return chart;
+    }
+
+    renderSellOrders(goods) {
+        const select = document.getElementById('order-good');
+        const list = document.getElementById('order-list');
+        if (!select || !list) return;
+        const chosen = select.value;
+        select.innerHTML = '';
+        Object.keys(goods).forEach(k => {
+            const option = document.createElement('option');
+            option.value = k;
+            option.textContent = `${goods[k].icon} ${goods[k].name}`;
+            select.appendChild(option);
+        });
+        if (chosen in goods) select.value = chosen;
+
+        list.innerHTML = '';
+        if (this.app.state.sellOrders.length === 0) {
+            list.innerHTML = '<li style="color:#999">No sell orders.</li>';
+            return;
+        }
+        this.app.state.sellOrders.forEach(order => {
+            const li = document.createElement('li');
+            const good = goods[order.good];
+            li.textContent = `${order.count} ${good.icon} ${good.name} at ${order.minPrice}+ coins (now ${this.app.market.price(order.good)}) `;
+            const cancel = document.createElement('button');
+            cancel.className = 'order-cancel';
+            cancel.textContent = '✕';
+            cancel.setAttribute('aria-label', `Cancel sell order for ${good.name}`);
+            cancel.addEventListener('click', () => this.app.market.cancelOrder(order.id));
+            li.appendChild(cancel);
+            list.appendChild(li);
         });
+    }
+
+    renderShop() {
+        this.renderShopSection(document.getElementById('seed-shop'), this.app.catalog.seeds());
+        this.renderShopSection(document.getElementById('animal-shop'), this.app.catalog.animals());
+        this.renderShopSection(document.getElementById('supply-shop'), this.app.catalog.supplies());
+        this.renderShopSection(document.getElementById('building-shop'), this.app.catalog.buildings());
+    }
+
+    // How many of a seed or supply the player already has, if it is stocked
+    ownedCount(key) {
+        const item = this.app.catalog.get(key);
+        if (item.type === 'seed') return this.app.state.seeds[key] || 0;
+        if (item.type === 'supply') return this.app.state.supplies[key] || 0;
+        if (item.type === 'building') return this.app.workshop.owns(key) ? 1 : 0;
+        return null;
+    }
 
-        // Animal Shop
-        const animalContainer = document.getElementById('animal-shop');
-        animalContainer.innerHTML = '';
-        ['chicken', 'cow'].forEach(key => {
-            const item = CONFIG.items[key];
+    renderShopSection(container, keys) {
+        container.innerHTML = '';
+        keys.forEach(key => {
+            const item = this.app.catalog.get(key);
             const btn = document.createElement('div');
             btn.className = 'shop-item';
             btn.setAttribute('aria-label', `Buy ${item.name} for ${item.cost} coins`);
             btn.tabIndex = 0;
+            if (item.description) btn.title = item.description;
             btn.addEventListener('click', () => this.app.shop.buy(key));
             btn.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.app.shop.buy(key); });
 
+            const owned = this.ownedCount(key);
+            const locked = !this.app.levels.isUnlocked(item.level);
+            if (locked) {
+                btn.classList.add('locked');
+                btn.setAttribute('aria-label', `${item.name}, unlocks at level ${item.level}`);
+            }
             btn.innerHTML = `
-                <div style="font-size:2rem">${item.icon}</div>
+                <div style="font-size:2rem">${locked ? '🔒' : item.icon}</div>
                 <div>${item.name}</div>
                 <div class="shop-price">${item.cost} Coins</div>
+                ${locked ? `<small class="shop-lock">Reach level ${item.level}</small>` : ''}
+                ${owned !== null && !locked ? `<small style="color:#666">Owned: ${owned}</small>` : ''}
                 <button class="shop-buy-btn" id="btn-buy-${key}">Buy</button>
             `;
-            animalContainer.appendChild(btn);
+            container.appendChild(btn);
             const buyBtn = btn.querySelector('.shop-buy-btn');
-            buyBtn.disabled = this.app.state.coins < item.cost;
+            buyBtn.disabled = locked || this.app.state.coins < item.cost || (item.type === 'building' && owned > 0);
             buyBtn.addEventListener('click', (e) => { e.stopPropagation(); this.app.shop.buy(key); });
         });
     }
@@ -1070,11 +4414,224 @@ class UI {
         const m = Math.floor((this.app.state.totalSeconds % 3600) / 60);
         document.getElementById('stat-time').textContent = `${h}h ${m}m`;
         document.getElementById('stat-tasks').textContent = this.app.state.stats.tasksCompleted || 0;
+        this.renderStreak();
+        this.renderHistory();
+        this.renderEstimateReport();
+        this.renderAbandonRates();
+    }
+
+    renderAbandonRates() {
+        const container = document.getElementById('abandon-reasons');
+        const summary = document.getElementById('abandon-summary-stats');
+        if (!container || !summary) return;
+        const rates = this.app.history.abandonRates();
+        const rate = ({ started, abandoned }) => `${abandoned} of ${started} (${started > 0 ? Math.round(abandoned / started * 100) : 0}%)`;
+        container.replaceChildren();
+        if (rates.overall.abandoned === 0) {
+            summary.textContent = rates.overall.started > 0 ? 'No focus session abandoned yet. Keep it up!' : 'No focus sessions yet.';
+            return;
+        }
+        summary.textContent = `Sessions abandoned: ${rate(rates.overall)} overall, ${rate(rates.recent)} in the last 7 days.`;
+        const max = Math.max(...rates.reasons.map(r => r.count));
+        rates.reasons.forEach(row => {
+            const line = document.createElement('div');
+            line.className = 'breakdown-row';
+            const name = document.createElement('span');
+            name.className = 'breakdown-name';
+            name.textContent = row.reason;
+            name.title = row.reason;
+            const track = document.createElement('div');
+            track.className = 'breakdown-track';
+            const fill = document.createElement('div');
+            fill.className = 'breakdown-fill over';
+            fill.style.width = `${(row.count / max) * 100}%`;
+            track.appendChild(fill);
+            const total = document.createElement('span');
+            total.className = 'breakdown-total';
+            total.textContent = `${row.count}×`;
+            line.append(name, track, total);
+            container.appendChild(line);
+        });
+    }
+
+    // How long finished tasks took against what was estimated for them
+    renderEstimateReport() {
+        const container = document.getElementById('estimate-report');
+        const summary = document.getElementById('estimate-summary');
+        if (!container || !summary) return;
+        const report = this.app.history.estimateReport();
+        container.replaceChildren();
+        if (report.rows.length === 0) {
+            summary.textContent = 'Finish a task to compare its estimate with the time it took.';
+            return;
+        }
+        const pct = Math.round(report.averageRatio * 100);
+        summary.textContent = `${report.rows.length} finished task${report.rows.length > 1 ? 's' : ''}: on average they took ${pct}% of their estimate, `
+            + `and ${report.onTarget} came within ${Math.round(CONFIG.estimateTolerance * 100)}% of it.`;
+        const max = Math.max(...report.rows.map(r => Math.max(r.estimate, r.actual)));
+        report.rows.forEach(row => {
+            const line = document.createElement('div');
+            line.className = 'breakdown-row estimate-row';
+            const name = document.createElement('span');
+            name.className = 'breakdown-name';
+            name.textContent = row.name;
+            const track = document.createElement('div');
+            track.className = 'breakdown-track';
+            const estimate = document.createElement('div');
+            estimate.className = 'estimate-mark';
+            estimate.style.left = `${(row.estimate / max) * 100}%`;
+            const fill = document.createElement('div');
+            fill.className = row.actual > row.estimate ? 'breakdown-fill over' : 'breakdown-fill';
+            fill.style.width = `${(row.actual / max) * 100}%`;
+            track.append(fill, estimate);
+            const total = document.createElement('span');
+            total.className = 'breakdown-total';
+            const diff = Math.round((row.ratio - 1) * 100);
+            total.textContent = `${row.actual} / ${row.estimate} min (${diff > 0 ? '+' : ''}${diff}%)`;
+            line.title = `Estimated ${row.estimate} min, took ${row.actual} min`;
+            line.append(name, track, total);
+            container.appendChild(line);
+        });
+    }
+
+    renderHistory() {
+        const history = this.app.history;
+        const dayLabel = (key) => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { weekday: 'short' });
+        const weekLabel = (key) => new Date(`${key}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        this.renderBarChart(
+            document.getElementById('chart-daily'),
+            history.lastDays(7).map(d => ({ label: dayLabel(d.date), title: d.date, value: d.seconds / 60 }))
+        );
+        this.renderBarChart(
+            document.getElementById('chart-weekly'),
+            history.lastWeeks(8).map(w => ({ label: weekLabel(w.start), title: `Week of ${w.start}`, value: w.seconds / 60 }))
+        );
+        this.renderHeatmap(document.getElementById('chart-heatmap'), history.byDay());
+        this.renderTaskBreakdown(document.getElementById('task-breakdown'), history.taskBreakdown());
+        this.renderTaskBreakdown(document.getElementById('project-breakdown'), history.projectBreakdown());
+    }
+
+    svg(tag, attrs = {}) {
+        const node = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.keys(attrs).forEach(k => node.setAttribute(k, attrs[k]));
+        return node;
+    }
+
+    // Simple vertical bar chart; values are minutes
+    renderBarChart(container, bars) {
+        const width = 320;
+        const height = 160;
+        const labelSpace = 20;
+        const max = Math.max(1, ...bars.map(b => b.value));
+        const slot = width / bars.length;
+        const chart = this.svg('svg', { viewBox: `0 0 ${width} ${height}`, class: 'bar-chart', role: 'img' });
+
+        bars.forEach((bar, i) => {
+            const barHeight = (bar.value / max) * (height - labelSpace - 16);
+            const x = i * slot + slot * 0.15;
+            const rect = this.svg('rect', {
+                x, y: height - labelSpace - barHeight, width: slot * 0.7, height: barHeight, rx: 3, class: 'bar'
+            });
+            const title = this.svg('title');
+            title.textContent = `${bar.title}: ${Math.round(bar.value)} min`;
+            rect.appendChild(title);
+            chart.appendChild(rect);
+
+            if (bar.value > 0) {
+                const value = this.svg('text', { x: x + slot * 0.35, y: height - labelSpace - barHeight - 4, class: 'bar-value' });
+                value.textContent = Math.round(bar.value);
+                chart.appendChild(value);
+            }
+            const label = this.svg('text', { x: x + slot * 0.35, y: height - 5, class: 'bar-label' });
+            label.textContent = bar.label;
+            chart.appendChild(label);
+        });
+        container.replaceChildren(chart);
+    }
+
+    // GitHub-style calendar: one column per week, Monday at the top
+    renderHeatmap(container, days) {
+        const weeks = 15;
+        const cell = 14;
+        const gap = 3;
+        const today = Streaks.dateKey(this.app.now());
+        const sinceMonday = (new Date(this.app.now()).getDay() + 6) % 7;
+        const firstMonday = Streaks.addDays(today, -sinceMonday - 7 * (weeks - 1));
+        const max = Math.max(1, ...Object.values(days).map(d => d.seconds));
+        const chart = this.svg('svg', {
+            viewBox: `0 0 ${weeks * (cell + gap)} ${7 * (cell + gap)}`, class: 'heatmap', role: 'img'
+        });
+
+        for (let w = 0; w < weeks; w++) {
+            for (let d = 0; d < 7; d++) {
+                const key = Streaks.addDays(firstMonday, w * 7 + d);
+                if (key > today) continue;
+                const seconds = days[key] ? days[key].seconds : 0;
+                // Five shades: none, then quartiles of the busiest day
+                const level = seconds === 0 ? 0 : Math.min(4, Math.ceil((seconds / max) * 4));
+                const rect = this.svg('rect', {
+                    x: w * (cell + gap), y: d * (cell + gap), width: cell, height: cell, rx: 2, class: `heat-${level}`
+                });
+                const title = this.svg('title');
+                title.textContent = `${key}: ${Math.round(seconds / 60)} min`;
+                rect.appendChild(title);
+                chart.appendChild(rect);
+            }
+        }
+        container.replaceChildren(chart);
+    }
+
+    renderTaskBreakdown(container, rows) {
+        container.replaceChildren();
+        if (rows.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = '#999';
+            empty.textContent = 'Finish a focus session to see where your time goes.';
+            container.appendChild(empty);
+            return;
+        }
+        const max = rows[0].seconds;
+        rows.forEach(row => {
+            const line = document.createElement('div');
+            line.className = 'breakdown-row';
+            const name = document.createElement('span');
+            name.className = 'breakdown-name';
+            name.textContent = row.name;
+            const track = document.createElement('div');
+            track.className = 'breakdown-track';
+            const fill = document.createElement('div');
+            fill.className = 'breakdown-fill';
+            fill.style.width = `${(row.seconds / max) * 100}%`;
+            track.appendChild(fill);
+            const total = document.createElement('span');
+            total.className = 'breakdown-total';
+            total.textContent = this.formatDuration(row.seconds * 1000);
+            line.append(name, track, total);
+            container.appendChild(line);
+        });
+    }
+
+    renderStreak() {
+        const streak = this.app.state.streak;
+        const streaks = this.app.streaks;
+        const goalMinutes = this.app.state.settings.dailyGoalMinutes;
+        const todayMinutes = Math.floor(streaks.todaySeconds() / 60);
+
+        document.getElementById('stat-streak').textContent = `🔥 ${streak.current}`;
+        document.getElementById('stat-streak-best').textContent = `Best: ${streak.best} day${streak.best === 1 ? '' : 's'}`;
+        document.getElementById('stat-multiplier').textContent = `×${streaks.multiplier().toFixed(1)}`;
+        document.getElementById('stat-freezes').textContent = `🧊 ${this.app.state.supplies.freeze || 0}`;
+        document.getElementById('goal-progress-text').textContent = `${todayMinutes} / ${goalMinutes} min today`;
+        document.getElementById('goal-progress-bar').style.width = `${Math.min(100, (todayMinutes / goalMinutes) * 100)}%`;
+        const goalInput = document.getElementById('daily-goal-input');
+        if (document.activeElement !== goalInput) goalInput.value = goalMinutes;
     }
 
     renderTasks() {
         const taskList = document.getElementById('task-list');
         if (!taskList) return;
+        this.renderProjectOptions();
         
         taskList.innerHTML = '';
         
@@ -1083,208 +4640,394 @@ class UI {
             return;
         }
         
-        // Filter tasks based on selected filter
+        // Filter tasks based on selected filter and the search box
         let filteredTasks = [];
         if (this.taskFilter === 'finished') {
             // Show only completed tasks
             filteredTasks = this.app.state.tasks.filter(task => task.completed);
         } else {
-            // Show active tasks (not completed AND date hasn't passed)
-            filteredTasks = this.app.state.tasks.filter(task => {
-                if (task.completed) return false;
-                return !this.app.isTaskDatePassed(task);
-            });
+            filteredTasks = this.app.state.tasks.filter(task => !task.completed);
         }
+        filteredTasks = filteredTasks.filter(task => this.taskMatches(task, this.taskQuery));
         
         if (filteredTasks.length === 0) {
-            const message = this.taskFilter === 'finished' 
+            let message = this.taskFilter === 'finished' 
                 ? 'No finished tasks yet.'
-                : 'No active tasks. All tasks are either completed or past their due date.';
+                : 'No active tasks. Add one above!';
+            if (this.taskQuery.trim()) message = 'No tasks match your search.';
             taskList.innerHTML = `<p style="color: #999; text-align: center; padding: 1rem;">${message}</p>`;
             return;
         }
         
-        // Sort tasks by date
-        const sortedTasks = [...filteredTasks].sort((a, b) => {
-            return new Date(a.date) - new Date(b.date);
+        const sortedTasks = this.sortTasks(filteredTasks);
+        const overdue = this.taskFilter === 'active' ? sortedTasks.filter(task => this.app.isTaskOverdue(task)) : [];
+
+        // Overdue tasks get their own bucket above the rest, with a way to
+        // bring them all back to today. Grouped by project they stay in their
+        // project and only the bucket's header shows.
+        if (overdue.length > 0) {
+            const header = this.taskGroupHeader(`⚠️ Overdue (${overdue.length})`, 'overdue');
+            const moveBtn = document.createElement('button');
+            moveBtn.className = 'shop-buy-btn';
+            moveBtn.textContent = 'Move all to today';
+            moveBtn.addEventListener('click', () => this.app.moveOverdueToToday());
+            header.appendChild(moveBtn);
+            taskList.appendChild(header);
+        }
+
+        if (this.taskGroupByProject) {
+            this.groupByProject(sortedTasks).forEach(group => {
+                const focused = group.tasks.reduce((sum, t) => sum + t.focusedSeconds, 0);
+                const count = `${group.tasks.length} task${group.tasks.length > 1 ? 's' : ''}`;
+                taskList.appendChild(this.taskGroupHeader(`📁 ${group.name} · ${count} · ${this.formatDuration(focused * 1000)} focused`));
+                group.tasks.forEach(task => taskList.appendChild(this.renderTaskItem(task)));
+            });
+            return;
+        }
+
+        const rest = sortedTasks.filter(task => !overdue.includes(task));
+        overdue.forEach(task => taskList.appendChild(this.renderTaskItem(task)));
+        if (overdue.length > 0 && rest.length > 0) taskList.appendChild(this.taskGroupHeader('Upcoming'));
+        rest.forEach(task => taskList.appendChild(this.renderTaskItem(task)));
+    }
+
+    taskGroupHeader(title, className = '') {
+        const header = document.createElement('div');
+        header.className = className ? `task-group-header ${className}` : 'task-group-header';
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        header.appendChild(heading);
+        return header;
+    }
+
+    // Search matches the name, project or tags; "#tag" matches tags only
+    taskMatches(task, query) {
+        const q = query.trim().toLowerCase();
+        if (!q) return true;
+        if (q.startsWith('#')) return task.tags.some(tag => tag.startsWith(q.slice(1)));
+        return task.name.toLowerCase().includes(q)
+            || (task.project || '').toLowerCase().includes(q)
+            || task.tags.some(tag => tag.includes(q));
+    }
+
+    sortTasks(tasks) {
+        const byDate = (a, b) => a.date.localeCompare(b.date);
+        const rank = Object.keys(CONFIG.taskPriorities);
+        const left = (t) => Math.max(0, t.estimate * 60 - t.focusedSeconds);
+        const compare = {
+            date: byDate,
+            priority: (a, b) => rank.indexOf(a.priority) - rank.indexOf(b.priority) || byDate(a, b),
+            remaining: (a, b) => left(a) - left(b) || byDate(a, b)
+        }[this.taskSort];
+        return [...tasks].sort(compare);
+    }
+
+    // Sorted tasks split by project, named projects first, keeping their order
+    groupByProject(tasks) {
+        const groups = {};
+        tasks.forEach(task => {
+            const key = task.project || '';
+            if (!groups[key]) groups[key] = { name: task.project || 'No project', tasks: [] };
+            groups[key].tasks.push(task);
         });
+        return Object.keys(groups)
+            .sort((a, b) => (a === '') - (b === '') || a.localeCompare(b))
+            .map(key => groups[key]);
+    }
+
+    searchTasks(query) {
+        this.taskQuery = query;
+        const search = document.getElementById('task-search');
+        if (search) search.value = query;
+        this.renderTasks();
+    }
+
+    // Project suggestions for the task forms
+    renderProjectOptions() {
+        const list = document.getElementById('task-project-list');
+        if (!list) return;
+        list.replaceChildren(...this.app.projects().map(project => {
+            const option = document.createElement('option');
+            option.value = project;
+            return option;
+        }));
+    }
+
+    renderTaskItem(task) {
+        const isOverdue = this.app.isTaskOverdue(task);
+        const isOngoing = this.app.currentTaskId === task.id && this.app.timer.running;
+        const isSelected = this.app.currentTaskId === task.id && !this.app.timer.running;
         
-        sortedTasks.forEach(task => {
-            const isDatePassed = this.app.isTaskDatePassed(task);
-            const isOngoing = this.app.currentTaskId === task.id && this.app.timer.running;
-            const isSelected = this.app.currentTaskId === task.id && !this.app.timer.running;
-            
-            const taskDiv = document.createElement('div');
-            taskDiv.className = 'task-item';
-            taskDiv.style.cssText = `
-                display: flex;
-                align-items: center;
-                gap: 1rem;
-                padding: 1rem;
-                margin-bottom: 0.5rem;
-                background: ${task.completed ? '#f5f5f5' : '#fff'};
-                border: 2px solid ${task.completed ? '#ccc' : (isOngoing || isSelected ? 'var(--primary)' : (isDatePassed ? '#f44336' : '#e0e0e0'))};
-                border-radius: 8px;
-                text-decoration: ${task.completed ? 'line-through' : 'none'};
-                opacity: ${task.completed ? '0.6' : (isDatePassed ? '0.7' : '1')};
-            `;
-            
-            const taskInfo = document.createElement('div');
-            taskInfo.style.cssText = 'flex: 1; text-align: left;';
-            const dateStatus = isDatePassed && !task.completed 
-                ? ' <span style="color: #f44336; font-weight: bold;">[Date Passed]</span>' 
-                : '';
-            const statusText = isOngoing 
-                ? ' <span style="color: var(--primary); font-weight: bold;">[Ongoing]</span>' 
-                : (isSelected ? ' <span style="color: var(--primary); font-weight: bold;">[Selected]</span>' : '');
-            
-            taskInfo.innerHTML = `
-                <div style="font-weight: bold; font-size: 1.1rem; margin-bottom: 0.3rem;">${task.name}</div>
-                <div style="color: #666; font-size: 0.9rem;">
-                    📅 ${new Date(task.date).toLocaleDateString()} | ⏱️ ${task.duration} min
-                    ${statusText}
-                    ${dateStatus}
-                </div>
-            `;
-            
-            // Action buttons container
-            const actionContainer = document.createElement('div');
-            actionContainer.style.cssText = 'display: flex; gap: 0.5rem; align-items: center;';
-            
-            // Select button
-            const selectBtn = document.createElement('button');
-            selectBtn.className = 'shop-buy-btn';
-            if (task.completed) {
-                selectBtn.textContent = '✓ Completed';
-                selectBtn.disabled = true;
-            } else if (isDatePassed) {
-                selectBtn.textContent = 'Date Passed';
-                selectBtn.disabled = true;
-            } else if (isOngoing) {
-                selectBtn.textContent = 'Ongoing';
-                selectBtn.disabled = true;
-            } else if (isSelected) {
-                selectBtn.textContent = 'Unselect';
-                selectBtn.disabled = false;
-            } else {
-                selectBtn.textContent = 'Select';
-                selectBtn.disabled = this.app.timer.running;
+        const taskDiv = document.createElement('div');
+        taskDiv.className = 'task-item';
+        taskDiv.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 1rem;
+            padding: 1rem;
+            margin-bottom: 0.5rem;
+            background: ${task.completed ? '#f5f5f5' : '#fff'};
+            border: 2px solid ${task.completed ? '#ccc' : (isOngoing || isSelected ? 'var(--primary)' : (isOverdue ? '#f44336' : '#e0e0e0'))};
+            border-radius: 8px;
+            text-decoration: ${task.completed ? 'line-through' : 'none'};
+            opacity: ${task.completed ? '0.6' : '1'};
+        `;
+        
+        const taskInfo = document.createElement('div');
+        taskInfo.style.cssText = 'flex: 1; text-align: left;';
+        const dateStatus = isOverdue
+            ? ' <span style="color: #f44336; font-weight: bold;">[Overdue]</span>' 
+            : '';
+        const repeatText = task.repeat ? ` | 🔁 ${Recurrence.describe(task.repeat)}` : '';
+        const focused = Math.round(task.focusedSeconds / 60);
+        const progress = Math.min(100, Math.round(task.focusedSeconds / (task.estimate * 60) * 100));
+        const statusText = isOngoing 
+            ? ' <span style="color: var(--primary); font-weight: bold;">[Ongoing]</span>' 
+            : (isSelected ? ' <span style="color: var(--primary); font-weight: bold;">[Selected]</span>' : '');
+        
+        const priority = CONFIG.taskPriorities[task.priority];
+        taskInfo.innerHTML = `
+            <div style="font-weight: bold; font-size: 1.1rem; margin-bottom: 0.3rem;"><span title="${priority.label} priority">${priority.icon}</span> <span class="task-name"></span></div>
+            <div style="color: #666; font-size: 0.9rem;">
+                📅 ${new Date(`${task.date}T00:00:00`).toLocaleDateString()} | ⏱️ ${task.duration} min sessions${repeatText}
+                ${statusText}
+                ${dateStatus}
+            </div>
+            <div class="task-progress" title="${focused} of ${task.estimate} min estimated">
+                <div class="task-progress-track"><div class="task-progress-fill${task.focusedSeconds > task.estimate * 60 ? ' over' : ''}" style="width: ${progress}%"></div></div>
+                <small>${focused} / ${task.estimate} min</small>
+            </div>
+        `;
+        // The name, project and tags are free text, so they go in as text nodes
+        taskInfo.querySelector('.task-name').textContent = task.name;
+        if (task.project || task.tags.length > 0) {
+            const labels = document.createElement('div');
+            labels.className = 'task-labels';
+            if (task.project) {
+                const project = document.createElement('span');
+                project.className = 'task-project';
+                project.textContent = `📁 ${task.project}`;
+                labels.appendChild(project);
             }
-            selectBtn.style.cssText = (task.completed || isDatePassed || isOngoing || (this.app.timer.running && !isSelected)) ? 'opacity: 0.5; cursor: not-allowed;' : '';
-            selectBtn.addEventListener('click', () => {
-                if (!task.completed && !isDatePassed && !isOngoing) {
-                    if (isSelected || !this.app.timer.running) {
-                        this.app.selectTask(task.id);
-                    }
-                }
+            task.tags.forEach(tag => {
+                const chip = document.createElement('button');
+                chip.className = 'task-tag';
+                chip.textContent = `#${tag}`;
+                chip.title = `Show tasks tagged #${tag}`;
+                chip.addEventListener('click', () => this.searchTasks(`#${tag}`));
+                labels.appendChild(chip);
             });
-            
-            // Modify button (only for active, non-ongoing tasks)
-            const modifyBtn = document.createElement('button');
-            modifyBtn.textContent = '✏️';
-            modifyBtn.title = 'Modify focus time';
-            modifyBtn.style.cssText = `
-                padding: 0.5rem;
-                border: 1px solid #e0e0e0;
-                background: white;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 1rem;
-                width: 40px;
-                height: 40px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            `;
-            modifyBtn.disabled = task.completed || isDatePassed || isOngoing;
-            if (task.completed || isDatePassed || isOngoing) {
-                modifyBtn.style.opacity = '0.5';
-                modifyBtn.style.cursor = 'not-allowed';
-            }
-            modifyBtn.addEventListener('click', () => {
-                if (!task.completed && !isDatePassed && !isOngoing) {
-                    this.app.modifyTask(task.id);
+            taskInfo.appendChild(labels);
+        }
+        
+        // Action buttons container
+        const actionContainer = document.createElement('div');
+        actionContainer.style.cssText = 'display: flex; gap: 0.5rem; align-items: center;';
+        
+        // Select button
+        const selectBtn = document.createElement('button');
+        selectBtn.className = 'shop-buy-btn';
+        if (task.completed) {
+            selectBtn.textContent = '✓ Completed';
+            selectBtn.disabled = true;
+        } else if (isOngoing) {
+            selectBtn.textContent = 'Ongoing';
+            selectBtn.disabled = true;
+        } else if (isSelected) {
+            selectBtn.textContent = 'Unselect';
+            selectBtn.disabled = false;
+        } else {
+            selectBtn.textContent = 'Select';
+            selectBtn.disabled = this.app.timer.running;
+        }
+        selectBtn.style.cssText = (task.completed || isOngoing || (this.app.timer.running && !isSelected)) ? 'opacity: 0.5; cursor: not-allowed;' : '';
+        selectBtn.addEventListener('click', () => {
+            if (!task.completed && !isOngoing) {
+                if (isSelected || !this.app.timer.running) {
+                    this.app.selectTask(task.id);
                 }
-            });
-            
-            // Delete button
-            const deleteBtn = document.createElement('button');
-            deleteBtn.textContent = '❌';
-            deleteBtn.title = 'Delete task';
-            deleteBtn.style.cssText = `
-                padding: 0.5rem;
-                border: 1px solid #e0e0e0;
-                background: white;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 1rem;
-                width: 40px;
-                height: 40px;
-                display: flex;
-                align-items: center;
-                justify-content: center;
-            `;
-            deleteBtn.disabled = isOngoing;
-            if (isOngoing) {
-                deleteBtn.style.opacity = '0.5';
-                deleteBtn.style.cursor = 'not-allowed';
             }
-            deleteBtn.addEventListener('click', () => {
-                if (!isOngoing) {
-                    this.app.deleteTask(task.id);
-                }
-            });
-            
-            actionContainer.appendChild(selectBtn);
-            if (!task.completed) {
-                actionContainer.appendChild(modifyBtn);
+        });
+        
+        // Done button: finish a task before (or after) its estimate is used up
+        const doneBtn = document.createElement('button');
+        doneBtn.textContent = '✅';
+        doneBtn.title = 'Mark as done';
+        doneBtn.style.cssText = `
+            padding: 0.5rem;
+            border: 1px solid #e0e0e0;
+            background: white;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 1rem;
+            width: 40px;
+            height: 40px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+        doneBtn.disabled = isOngoing;
+        if (isOngoing) {
+            doneBtn.style.opacity = '0.5';
+            doneBtn.style.cursor = 'not-allowed';
+        }
+        doneBtn.addEventListener('click', () => this.app.finishTask(task.id));
+
+        // Modify button (only for active, non-ongoing tasks)
+        const modifyBtn = document.createElement('button');
+        modifyBtn.textContent = '✏️';
+        modifyBtn.title = isOverdue ? 'Edit or reschedule' : 'Edit task';
+        modifyBtn.style.cssText = `
+            padding: 0.5rem;
+            border: 1px solid #e0e0e0;
+            background: white;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 1rem;
+            width: 40px;
+            height: 40px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+        modifyBtn.disabled = task.completed || isOngoing;
+        if (task.completed || isOngoing) {
+            modifyBtn.style.opacity = '0.5';
+            modifyBtn.style.cursor = 'not-allowed';
+        }
+        modifyBtn.addEventListener('click', () => {
+            if (!task.completed && !isOngoing) {
+                this.app.modifyTask(task.id);
+            }
+        });
+        
+        // Delete button
+        const deleteBtn = document.createElement('button');
+        deleteBtn.textContent = '❌';
+        deleteBtn.title = 'Delete task';
+        deleteBtn.style.cssText = `
+            padding: 0.5rem;
+            border: 1px solid #e0e0e0;
+            background: white;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 1rem;
+            width: 40px;
+            height: 40px;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+        `;
+        deleteBtn.disabled = isOngoing;
+        if (isOngoing) {
+            deleteBtn.style.opacity = '0.5';
+            deleteBtn.style.cursor = 'not-allowed';
+        }
+        deleteBtn.addEventListener('click', () => {
+            if (!isOngoing) {
+                this.app.deleteTask(task.id);
+            }
+        });
+        
+        actionContainer.appendChild(selectBtn);
+        if (!task.completed) {
+            actionContainer.appendChild(doneBtn);
+            actionContainer.appendChild(modifyBtn);
+        }
+        actionContainer.appendChild(deleteBtn);
+        
+        taskDiv.appendChild(taskInfo);
+        taskDiv.appendChild(actionContainer);
+        return taskDiv;
+    }
+
+    filteredLogs() {
+        const { type, from, to } = this.logFilter;
+        return this.app.state.logs.filter(l => {
+            if (type !== 'all' && l.type !== type) return false;
+            if (from || to) {
+                // Entries without a timestamp predate dated logging
+                if (!l.ts) return false;
+                const day = Streaks.dateKey(l.ts);
+                if (from && day < from) return false;
+                if (to && day > to) return false;
             }
-            actionContainer.appendChild(deleteBtn);
-            
-            taskDiv.appendChild(taskInfo);
-            taskDiv.appendChild(actionContainer);
-            taskList.appendChild(taskDiv);
+            return true;
         });
     }
 
     renderLogs() {
         const box = document.getElementById('log-box');
-        box.innerHTML = this.app.state.logs.map(l =>
-            `<div class="log-entry"><span class="log-time">[${l.time}]</span> ${l.msg}</div>`
-        ).join('');
+        const maxShown = 200;
+        const entries = this.filteredLogs();
+        box.replaceChildren();
+        entries.slice(0, maxShown).forEach(l => {
+            const row = document.createElement('div');
+            row.className = `log-entry log-${l.type}`;
+            const time = document.createElement('span');
+            time.className = 'log-time';
+            time.textContent = `[${l.ts ? new Date(l.ts).toLocaleString() : l.time}]`;
+            const tag = document.createElement('span');
+            tag.className = 'log-type';
+            tag.textContent = CONFIG.logTypes[l.type] || l.type;
+            row.append(time, tag, document.createTextNode(` ${l.msg}`));
+            box.appendChild(row);
+        });
+        if (entries.length > maxShown) {
+            const more = document.createElement('div');
+            more.className = 'log-more';
+            more.textContent = `Showing ${maxShown} of ${entries.length} entries. Narrow the filter or export to see the rest.`;
+            box.appendChild(more);
+        } else if (entries.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'log-more';
+            empty.textContent = 'No matching entries.';
+            box.appendChild(empty);
+        }
     }
 
     renderInventory() {
+        const seedInv = document.getElementById('seed-inventory-display');
+        if (seedInv) {
+            const seedLabels = {};
+            this.app.catalog.seeds().forEach(k => {
+                const item = this.app.catalog.get(k);
+                seedLabels[k] = { name: `${item.name} Seeds`, icon: item.icon };
+            });
+            this.renderCounts(seedInv, this.app.state.seeds, seedLabels, 'No seeds');
+        }
         const inv = document.getElementById('inventory-display');
-        const map = { wheat: 'Wheat', carrot: 'Carrot', egg: 'Eggs', milk: 'Milk' };
-        const icons = { wheat: '🌾', carrot: '🥕', egg: '🥚', milk: '🥛' };
+        this.renderCounts(inv, this.app.state.inventory, this.app.catalog.goods(), 'Inventory Empty');
+    }
 
-        inv.innerHTML = '';
-        Object.keys(this.app.state.inventory).forEach(k => {
-            const count = this.app.state.inventory[k];
-            if (count > 0) {
+    renderCounts(container, counts, labels, emptyText) {
+        container.innerHTML = '';
+        Object.keys(counts).forEach(k => {
+            const count = counts[k];
+            if (count > 0 && labels[k]) {
                 const div = document.createElement('div');
                 div.style.background = '#fff';
                 div.style.border = '1px solid #eee';
                 div.style.padding = '10px 20px';
                 div.style.borderRadius = '8px';
-                div.textContent = `${icons[k] || ''} ${map[k]}: ${count}`;
-                inv.appendChild(div);
+                div.textContent = `${labels[k].icon} ${labels[k].name}: ${count}`;
+                container.appendChild(div);
             }
         });
-        if (inv.innerHTML === '') inv.innerHTML = '<span style="color:#999">Inventory Empty</span>';
+        if (container.innerHTML === '') container.innerHTML = `<span style="color:#999">${emptyText}</span>`;
     }
 
     openModal() {
         const list = document.getElementById('modal-seed-list');
         list.innerHTML = '';
-        ['wheat', 'carrot'].forEach(k => {
-            const count = this.app.state.inventory[k];
+        this.app.catalog.seeds().forEach(k => {
+            const count = this.app.state.seeds[k];
             if (count > 0) {
+                const item = this.app.catalog.get(k);
                 const btn = document.createElement('button');
                 btn.className = 'shop-buy-btn';
                 btn.style.flex = '1';
-                btn.textContent = `${CONFIG.items[k].icon} Plant ${CONFIG.items[k].name} (x${count})`;
+                btn.textContent = `${item.icon} Plant ${item.name} (x${count})`;
                 btn.addEventListener('click', () => this.app.farm.plant(k));
                 list.appendChild(btn);
             }
@@ -1295,28 +5038,125 @@ class UI {
 
     closeModal() { document.getElementById('plant-modal').style.display = 'none'; }
 
-    async loadWeather() {
-        try {
-            const response = await fetch('/api/weather');
-            const data = await response.json();
-            if (data.success) {
-                document.body.classList.add(`weather-${data.type}`);
-                const badge = document.getElementById('weather-badge');
-                if (badge) {
-                    const icon = document.getElementById('weather-icon');
-                    const text = document.getElementById('weather-text');
-                    icon.textContent = this.getWeatherIcon(data.type);
-                    text.textContent = `${data.city} - ${data.type.charAt(0).toUpperCase() + data.type.slice(1)}`;
-                }
-            }
-        } catch (e) {
-            console.error('Failed to load weather:', e);
+    showAwayReport(report) {
+        const modal = document.getElementById('away-modal');
+        const list = document.getElementById('away-report-list');
+        if (!modal || !list) return;
+        const goods = this.app.catalog.goods();
+
+        document.getElementById('away-duration').textContent = `You were gone for ${this.formatDuration(report.elapsed)}.`;
+        list.innerHTML = '';
+        const addLine = (text) => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            list.appendChild(li);
+        };
+        Object.keys(report.crops).forEach(k => {
+            const item = this.app.catalog.get(k);
+            addLine(`${item.icon} ${report.crops[k]} ${item.name} ready to harvest`);
+        });
+        Object.keys(report.withered).forEach(k => {
+            addLine(`🥀 ${report.withered[k]} ${this.app.catalog.get(k).name} withered before it was harvested`);
+        });
+        Object.keys(report.products).forEach(k => {
+            const collected = report.collected[k] || 0;
+            const waiting = report.products[k] - collected;
+            let text = `${goods[k].icon} ${report.products[k]} ${goods[k].name} produced`;
+            if (collected > 0) text += `, ${collected} collected`;
+            if (waiting > 0) text += `, ${waiting} waiting in the barn`;
+            addLine(text);
+        });
+        Object.keys(report.processed).forEach(k => {
+            addLine(`${goods[k].icon} ${report.processed[k]} ${goods[k].name} ready to collect in the workshop`);
+        });
+        if (report.storageFull) addLine(`📦 Storage full (${CONFIG.storageCapacity} items). Sell produce to make room.`);
+
+        modal.style.display = 'flex';
+    }
+
+    closeAwayReport() {
+        const modal = document.getElementById('away-modal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    // "45s" or "4m 30s", for short timers
+    formatSeconds(secs) {
+        const m = Math.floor(secs / 60);
+        return m > 0 ? `${m}m ${secs % 60}s` : `${secs}s`;
+    }
+
+    formatDuration(ms) {
+        const totalMinutes = Math.floor(ms / 60000);
+        const d = Math.floor(totalMinutes / 1440);
+        const h = Math.floor((totalMinutes % 1440) / 60);
+        const m = totalMinutes % 60;
+        if (d > 0) return `${d}d ${h}h`;
+        if (h > 0) return `${h}h ${m}m`;
+        return `${m}m`;
+    }
+
+    // Weather badge, page backdrop and particles for the weather in force
+    renderWeather() {
+        const type = this.app.weather.type;
+        const rules = this.app.weather.rules();
+        const layer = document.getElementById('weather-layer');
+        const badge = document.getElementById('weather-badge');
+        Object.keys(CONFIG.weather.types).forEach(k => document.body.classList.remove(`weather-${k}`));
+        if (!type) return;
+        document.body.classList.add(`weather-${type}`);
+        if (badge) {
+            document.getElementById('weather-icon').textContent = rules.icon;
+            document.getElementById('weather-text').textContent = `${this.app.weather.city || 'Local'} - ${rules.name}`;
+            badge.title = rules.effect;
+        }
+        // renderAll calls this often; the particles only change with the weather
+        if (!layer || this.weatherLayerType === type) return;
+        this.weatherLayerType = type;
+        layer.innerHTML = '';
+        if (type === 'sunny') {
+            const sun = document.createElement('div');
+            sun.className = 'sun';
+            layer.appendChild(sun);
+        } else if (type === 'cloudy') {
+            for (let i = 0; i < 5; i++) layer.appendChild(this.createCloud());
+        } else if (type === 'rainy') {
+            for (let i = 0; i < 100; i++) layer.appendChild(this.createRain());
+        } else if (type === 'snowy') {
+            for (let i = 0; i < 50; i++) layer.appendChild(this.createSnow());
         }
     }
 
-    getWeatherIcon(type) {
-        const icons = { sunny: '☀️', cloudy: '☁️', rainy: '🌧️', snowy: '❄️' };
-        return icons[type] || '☀️';
+    createRain() {
+        const drop = document.createElement('div');
+        drop.className = 'rain-drop';
+        drop.style.left = Math.random() * 100 + 'vw';
+        drop.style.animationDuration = (Math.random() * 0.5 + 0.5) + 's';
+        drop.style.animationDelay = Math.random() * 2 + 's';
+        return drop;
+    }
+
+    createSnow() {
+        const flake = document.createElement('div');
+        flake.className = 'snowflake';
+        flake.textContent = '❄';
+        flake.style.left = Math.random() * 100 + 'vw';
+        flake.style.opacity = Math.random();
+        flake.style.fontSize = (Math.random() * 10 + 10) + 'px';
+        flake.style.animationDuration = (Math.random() * 3 + 2) + 's';
+        flake.style.animationDelay = Math.random() * 2 + 's';
+        return flake;
+    }
+
+    createCloud() {
+        const cloud = document.createElement('div');
+        cloud.className = 'cloud';
+        const size = Math.random() * 60 + 40;
+        cloud.style.width = size * 1.5 + 'px';
+        cloud.style.height = size + 'px';
+        cloud.style.top = Math.random() * 40 + '%';
+        cloud.style.animationDuration = (Math.random() * 20 + 20) + 's';
+        cloud.style.opacity = Math.random() * 0.5 + 0.3;
+        return cloud;
     }
 
     toast(msg, color) {
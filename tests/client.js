@@ -0,0 +1,256 @@
+// Runs static/script.js under node for the Python tests: reads a JSON list of
+// [name, ...args] calls to the helpers below on stdin and prints their
+// results as JSON. The page is stood in for by just enough of a browser, and
+// the clock only moves when a helper moves it.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+const storage = {};
+const context = {
+    console,
+    window: { addEventListener() {} },
+    document: { hidden: false, visibilityState: 'visible', addEventListener() {}, getElementById: () => null },
+    navigator: { onLine: true, sendBeacon: () => true },
+    localStorage: {
+        getItem: key => (key in storage ? storage[key] : null),
+        setItem: (key, value) => { storage[key] = String(value); },
+        removeItem: key => { delete storage[key]; }
+    },
+    Blob: class { constructor(parts) { this.text = parts.join(''); this.size = this.text.length; } },
+    setTimeout: () => 0,
+    clearTimeout() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    confirm: () => true,
+    prompt: () => null
+};
+vm.createContext(context);
+vm.runInContext(
+    `const CATALOG = ${fs.readFileSync(path.join(root, 'static', 'catalog.json'), 'utf8')};\n`
+    + fs.readFileSync(path.join(root, 'static', 'script.js'), 'utf8')
+    + `\nthis.game = { CONFIG, ECONOMY_KEYS, Catalog, SaveSchema, SaveManager, Weather, Recurrence, App, Timer, Streaks, History, Levels, Farm, Workshop, Market, OrderBoard, Shop, UI, seededRandom, hashString, pickWeighted };`,
+    context
+);
+const {
+    CONFIG, ECONOMY_KEYS, Catalog, SaveSchema, SaveManager, Weather, Recurrence, App, Timer, Streaks, History, Levels, Farm, Workshop, Market, OrderBoard, Shop, UI,
+    seededRandom, hashString, pickWeighted
+} = context.game;
+const catalog = new Catalog(CONFIG.items, CONFIG.land);
+const orders = new OrderBoard({ catalog });
+
+/**
+ * An App wired up as its constructor does, without init: the save is
+ * `state` (a new one if null), the clock reads clock.now, and the UI keeps
+ * its state but draws nothing. Toasts are collected in app.toasts.
+ */
+function testApp(state, clock) {
+    const app = Object.create(App.prototype);
+    Object.assign(app, { clock: () => clock.now, user: 'test', selectedPlotIndex: null, currentTaskId: null, toasts: [], catalog });
+    app.saves = new SaveManager(app);
+    const ui = new UI(app);
+    ui.toast = msg => app.toasts.push(msg);
+    ['render', 'update', 'show', 'open', 'close'].forEach(prefix => Object.getOwnPropertyNames(UI.prototype)
+        .filter(key => key.startsWith(prefix)).forEach(key => { ui[key] = () => {}; }));
+    app.ui = ui;
+    app.timer = new Timer(app);
+    app.farm = new Farm(app);
+    app.workshop = new Workshop(app);
+    app.market = new Market(app);
+    app.orders = new OrderBoard(app);
+    app.shop = new Shop(app);
+    app.streaks = new Streaks(app);
+    app.history = new History(app);
+    app.levels = new Levels(app);
+    app.weather = new Weather(app);
+    app.state = state || app.getInitialState();
+    app.normalizeState();
+    app.restoreSession();
+    return app;
+}
+
+// The catalog views of CONFIG.items with `extra` entries added
+function catalogView(extra) {
+    const view = new Catalog({ ...CONFIG.items, ...extra }, CONFIG.land);
+    return { seeds: view.seeds(), animals: view.animals(), goods: view.goods(), emptySeeds: view.emptySeeds(), emptyInventory: view.emptyInventory() };
+}
+
+// The Activity Log with `filter` applied to it: the messages shown, and the
+// CSV exportLogs() downloads (null if it gives none)
+function logs(state, now, filter) {
+    const app = testApp(state, { now });
+    Object.assign(app.ui.logFilter, filter);
+    let csv = null;
+    context.URL = { createObjectURL: blob => { csv = blob.text; return 'blob:'; }, revokeObjectURL() {} };
+    Object.assign(context.document, { createElement: () => ({ click() {} }), body: { appendChild() {}, removeChild() {} } });
+    app.exportLogs();
+    return { shown: app.ui.filteredLogs().map(l => l.msg), csv, toasts: app.toasts };
+}
+
+// Just enough of a DOM element for UI methods that build their own. HTML
+// set through innerHTML stays a string; querySelector hands out one child
+// per selector.
+class FakeElement {
+    constructor(tagName) {
+        Object.assign(this, { tagName, children: [], style: {}, innerHTML: '', textContent: '', found: {} });
+    }
+
+    appendChild(child) { this.children.push(child); return child; }
+
+    addEventListener() {}
+
+    querySelector(selector) {
+        if (!this.found[selector]) this.found[selector] = new FakeElement('span');
+        return this.found[selector];
+    }
+}
+
+// The task list entry for `task`, drawn although test apps draw nothing: the
+// HTML of its info block, the text put in its name and the text of its
+// project and tag labels
+function taskItem(task, now) {
+    const app = testApp(null, { now });
+    app.state.tasks.push(task);
+    const createElement = context.document.createElement;
+    context.document.createElement = tag => new FakeElement(tag);
+    try {
+        const info = UI.prototype.renderTaskItem.call(app.ui, task).children[0];
+        const labels = info.children.flatMap(child => child.children.map(label => label.textContent));
+        return { html: info.innerHTML, name: info.found['.task-name'].textContent, labels };
+    } finally {
+        context.document.createElement = createElement;
+    }
+}
+
+// Classes whose static methods play() can call
+const statics = { Catalog, SaveSchema, Recurrence, App, Timer, Streaks, History, Levels, Farm };
+
+/**
+ * A stand-in for app.py: each request gets the next reply queued for its url
+ * ({ status, body }, where status 0 is a network error), or else what the
+ * server says when all is well. Requests are kept as { url, body }.
+ */
+function fakeServer(app) {
+    const server = { requests: [], replies: {} };
+    context.fetch = async (url, options = {}) => {
+        const body = options.body === undefined ? null : JSON.parse(options.body);
+        server.requests.push({ url, body });
+        const queued = (server.replies[url] || []).shift();
+        if (queued && queued.status === 0) throw new TypeError('Failed to fetch');
+        let reply = queued;
+        if (!reply && url === '/api/actions') {
+            const economy = {};
+            ECONOMY_KEYS.forEach(k => { economy[k] = JSON.parse(JSON.stringify(app.state[k])); });
+            reply = { status: 200, body: { success: true, results: body.actions.map(a => ({ id: a.id, ok: true })), economy } };
+        } else if (!reply && url === '/api/save') {
+            reply = { status: 200, body: { success: true, version: body.baseVersion + 1 } };
+        } else if (!reply) {
+            reply = { status: 404, body: { success: false } };
+        }
+        return { ok: reply.status >= 200 && reply.status < 300, status: reply.status, json: async () => reply.body };
+    };
+    return server;
+}
+
+/**
+ * Play a save (a new one if null) through `steps` from `now`. A step is
+ * [part, method, ...args], which calls app[part][method] ('app' for the App
+ * itself, a class name for its static method), or one of
+ *   ['wait', ms]                   move the clock on
+ *   ['reply', url, status, body]   queue the fake server's next reply to url
+ *   ['online', bool]               connect or disconnect the browser
+ *   ['confirm', bool]              answer the next confirm() dialogs so
+ *   ['set', part, key, value]      set app[part][key] ('app' for the App)
+ * Returns what each step returned, the save after the last, the toasts
+ * shown, the actions queued for the server, the requests sent to it and the
+ * save manager's status and local copy.
+ */
+async function play(save, now, steps) {
+    Object.keys(storage).forEach(key => { delete storage[key]; });
+    context.navigator.onLine = true;
+    context.confirm = () => true;
+    const clock = { now };
+    const app = testApp(save, clock);
+    const server = fakeServer(app);
+    const results = [];
+    for (const [part, method, ...args] of steps) {
+        if (part === 'wait') {
+            clock.now += method;
+        } else if (part === 'reply') {
+            (server.replies[method] = server.replies[method] || []).push({ status: args[0], body: args[1] });
+        } else if (part === 'online') {
+            context.navigator.onLine = method;
+        } else if (part === 'confirm') {
+            context.confirm = () => method;
+        } else if (part === 'set') {
+            (method === 'app' ? app : app[method])[args[0]] = args[1];
+        } else {
+            const target = part === 'app' ? app : (statics[part] || app[part]);
+            const result = await target[method](...args);
+            results.push(result === undefined ? null : result);
+            continue;
+        }
+        results.push(null);
+    }
+    const actions = app.saves.actions.map(({ op, args, at }) => ({ op, args, at }));
+    return {
+        results, state: app.state, toasts: app.toasts, actions, currentTaskId: app.currentTaskId,
+        requests: server.requests, status: app.saves.status, dirty: app.saves.dirty, mirror: app.saves.readMirror()
+    };
+}
+
+// Farm.catchUp on a save, with the clock stopped at now. Returns the report,
+// the save as it left it and the actions it sent the server.
+function catchUp(state, since, now) {
+    const actions = [];
+    const app = { state, now: () => now, catalog, levels: { award() {} }, act: (op, args, at) => actions.push({ op, args, at }) };
+    app.weather = new Weather(app);
+    const report = new Farm(app).catchUp(since, now);
+    return { report, state, actions };
+}
+
+// Close the page with unsaved changes while sendBeacon takes bodies of up to
+// `limit` characters. Returns the urls it took and the local copy left behind.
+function unload(limit, logs) {
+    const app = testApp(null, { now: 1e12 });
+    for (let i = 0; i < logs; i++) app.log(`Entry ${i}`);
+    const sent = [];
+    context.navigator.sendBeacon = (url, blob) => blob.size <= limit && sent.push(url) > 0;
+    app.act('buy', { item: 'wheat' });
+    app.saveState();
+    app.saves.flushOnUnload();
+    return { sent, dirty: app.saves.dirty, mirror: JSON.parse(context.localStorage.getItem(app.saves.mirrorKey)).pending };
+}
+
+// A save for a new player, as it stands after loading
+function freshSave(now) {
+    return testApp(null, { now }).state;
+}
+
+// SaveSchema.repair on what validate() finds in `state`
+function repair(state, now) {
+    const errors = SaveSchema.validate(state, catalog);
+    const repaired = SaveSchema.repair(state, errors, freshSave(now));
+    return { errors, repaired, state, left: SaveSchema.validate(state, catalog) };
+}
+
+// Load a save that repair() cannot put right, and say what the player sees
+function loadUnrepairable(state, now) {
+    const repairSave = SaveSchema.repair;
+    SaveSchema.repair = () => [];
+    try {
+        const app = testApp(state, { now });
+        return { toasts: app.toasts, logs: app.state.logs.map(l => l.msg) };
+    } finally {
+        SaveSchema.repair = repairSave;
+    }
+}
+
+const helpers = {
+    seededRandom, hashString, pickWeighted, generateOrder: (window, slot, pool) => orders.generate(window, slot, pool), catchUp,
+    unload, freshSave, repair, loadUnrepairable, catalogView, logs, taskItem, play
+};
+
+const calls = JSON.parse(fs.readFileSync(0, 'utf8'));
+Promise.all(calls.map(([name, ...args]) => helpers[name](...args))).then(results => console.log(JSON.stringify(results)));
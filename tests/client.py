@@ -0,0 +1,23 @@
+"""Runs static/script.js under node for the tests; see client.js for the helpers."""
+import json
+import os
+import shutil
+import subprocess
+import unittest
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+
+needs_node = unittest.skipIf(shutil.which('node') is None, 'node is not installed')
+
+
+def run_client(calls):
+    """Results of [name, ...args] calls to the helpers in client.js."""
+    out = subprocess.run(['node', os.path.join(HERE, 'client.js')], input=json.dumps(calls),
+                         capture_output=True, text=True, check=True, timeout=60)
+    return json.loads(out.stdout)
+
+
+def play(steps, save=None, now=0):
+    """Play `save` (a new one if None) through `steps` from `now`; see play in client.js."""
+    result, = run_client([['play', save, now, steps]])
+    return result
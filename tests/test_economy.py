@@ -0,0 +1,457 @@
+"""Server-side economy: each action is checked against the catalog and the
+server's clock before it touches the stored save."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+import economy  # noqa: E402
+from economy import apply_action, empty_plot, ensure_economy, load_catalog, starting_economy  # noqa: E402
+
+CATALOG = load_catalog(os.path.join(ROOT, 'static', 'catalog.json'))
+# Noon UTC, so a few minutes either way stay on the same market day
+NOW = 20000 * economy.DAY_MS + 12 * 3600 * 1000
+
+
+def new_farm(**changes):
+    """A save as app.py creates it for a new player."""
+    data = {'totalSeconds': 0, 'plots': [empty_plot() for _ in range(CATALOG['land']['startingPlots'])],
+            'stats': {'planted': 0, 'harvested': 0, 'sessions': 0, 'tasksCompleted': 0}}
+    data.update(starting_economy(CATALOG))
+    data.update(changes)
+    return ensure_economy(data, CATALOG)
+
+
+class Game:
+    """A save plus a server clock to send actions at."""
+
+    def __init__(self, **changes):
+        self.data = new_farm(**changes)
+        self.now = NOW
+        self.count = 0
+
+    def act(self, op, args=None, at=None, weather=None):
+        self.count += 1
+        action = {'id': f'a{self.count}', 'op': op, 'args': args or {}, 'at': self.now if at is None else at}
+        return apply_action(self.data, action, self.now, CATALOG, lambda ts: weather)
+
+    def ok(self, op, args=None, **kw):
+        result = self.act(op, args, **kw)
+        if not result['ok']:
+            raise AssertionError(f'{op} refused: {result["error"]}')
+        return result
+
+    def wait(self, seconds):
+        self.now += seconds * 1000
+
+
+class ActionTest(unittest.TestCase):
+    def test_buy_charges_the_catalog_price(self):
+        game = Game(coins=25)
+        game.ok('buy', {'item': 'wheat'})
+        self.assertEqual(game.data['coins'], 25 - CATALOG['items']['wheat']['cost'])
+        self.assertEqual(game.data['seeds']['wheat'], 1)
+
+    def test_refused_action_leaves_the_save_alone(self):
+        game = Game(coins=5)
+        result = game.act('buy', {'item': 'wheat'})
+        self.assertFalse(result['ok'])
+        self.assertIn('not enough coins', result['error'])
+        self.assertEqual(game.data['coins'], 5)
+        self.assertEqual(game.data['seeds']['wheat'], 0)
+
+    def test_unknown_action_is_refused(self):
+        self.assertFalse(Game().act('print_money')['ok'])
+
+    def test_locked_item_is_refused(self):
+        game = Game(coins=1000)
+        result = game.act('buy', {'item': 'chicken'})
+        self.assertFalse(result['ok'])
+        self.assertIn('unlocks at level', result['error'])
+
+    def test_resent_action_is_applied_once(self):
+        game = Game(coins=25)
+        action = {'id': 'same', 'op': 'buy', 'args': {'item': 'wheat'}, 'at': NOW}
+        apply_action(game.data, action, NOW, CATALOG)
+        result = apply_action(game.data, action, NOW, CATALOG)
+        self.assertTrue(result.get('duplicate'))
+        self.assertEqual(game.data['seeds']['wheat'], 1)
+
+    def test_crops_grow_in_real_time(self):
+        game = Game(seeds={'wheat': 1})
+        game.ok('plant', {'plot': 0, 'crop': 'wheat'})
+        ready = economy.ready_at(game.data['plots'][0], CATALOG)
+        # Unwatered crops grow at dryGrowthRate
+        self.assertEqual(ready, NOW + CATALOG['items']['wheat']['growTime'] * 1000 / CATALOG['care']['dryGrowthRate'])
+        game.now = ready - 10 * 1000
+        self.assertFalse(game.act('harvest', {'plot': 0})['ok'])
+        game.now = ready
+        game.ok('harvest', {'plot': 0})
+        self.assertEqual(game.data['inventory']['wheat'], 1)
+
+    def test_harvested_crops_are_not_seeds(self):
+        game = Game(inventory={'wheat': 2})
+        result = game.act('plant', {'plot': 0, 'crop': 'wheat'})
+        self.assertFalse(result['ok'])
+        self.assertIn('no wheat seeds', result['error'])
+        self.assertEqual(game.data['inventory']['wheat'], 2)
+
+    def test_old_action_times_are_capped(self):
+        game = Game(seeds={'wheat': 1})
+        # Planted "an hour ago" counts as planted at most MAX_ACTION_AGE_MS ago
+        game.ok('plant', {'plot': 0, 'crop': 'wheat'}, at=NOW - 3600 * 1000)
+        self.assertEqual(game.data['plots'][0]['plantedAt'], NOW - economy.MAX_ACTION_AGE_MS)
+
+    def test_future_action_times_are_capped(self):
+        game = Game(seeds={'wheat': 1})
+        game.ok('plant', {'plot': 0, 'crop': 'wheat'}, at=NOW + 3600 * 1000)
+        self.assertEqual(game.data['plots'][0]['plantedAt'], NOW)
+        self.assertFalse(game.act('harvest', {'plot': 0}, at=NOW + 3600 * 1000)['ok'])
+
+
+class CropCareTest(unittest.TestCase):
+    WHEAT = CATALOG['items']['wheat']
+
+    def sown(self, **changes):
+        game = Game(seeds={'wheat': 1}, **changes)
+        game.ok('plant', {'plot': 0, 'crop': 'wheat'})
+        return game
+
+    def test_watered_crops_grow_at_full_speed(self):
+        game = self.sown()
+        game.ok('water', {'plot': 0})
+        self.assertEqual(economy.ready_at(game.data['plots'][0], CATALOG), NOW + self.WHEAT['growTime'] * 1000)
+
+    def test_fertilizer_is_used_up(self):
+        game = self.sown(supplies={'fertilizer': 1})
+        game.ok('water', {'plot': 0})
+        game.ok('fertilize', {'plot': 0})
+        self.assertEqual(game.data['supplies']['fertilizer'], 0)
+        self.assertEqual(economy.ready_at(game.data['plots'][0], CATALOG), NOW + self.WHEAT['growTime'] * 1000 / 2)
+        self.assertIn('already fertilized', game.act('fertilize', {'plot': 0})['error'])
+
+    def test_fertilizing_needs_fertilizer(self):
+        self.assertEqual(self.sown().act('fertilize', {'plot': 0})['error'], 'no fertilizer')
+
+    def test_withered_crop_cannot_be_harvested_only_cleared(self):
+        game = self.sown()
+        game.ok('water', {'plot': 0})
+        self.assertFalse(game.act('clear_plot', {'plot': 0})['ok'])
+        game.wait(self.WHEAT['growTime'] + self.WHEAT['witherTime'] + 60)
+        self.assertIn('has withered', game.act('harvest', {'plot': 0})['error'])
+        game.ok('clear_plot', {'plot': 0})
+        self.assertEqual(game.data['inventory']['wheat'], 0)
+        self.assertIsNone(game.data['plots'][0]['crop'])
+
+
+class AnimalTest(unittest.TestCase):
+    def game(self, happiness, fed_until, **changes):
+        animal = {'type': 'chicken', 'ready': False, 'readyAt': NOW, 'happiness': happiness, 'happinessAt': NOW, 'fedUntil': fed_until}
+        return Game(animals=[animal], **changes)
+
+    def test_animals_eat_only_their_feed(self):
+        result = self.game(50, NOW, inventory={'carrot': 1}).act('feed', {'animal': 0, 'crop': 'carrot'})
+        self.assertEqual(result['error'], 'chicken does not eat carrot')
+
+    def test_full_animal_eats_no_more(self):
+        game = self.game(50, NOW, inventory={'wheat': 10})
+        for _ in range(4):
+            game.ok('feed', {'animal': 0, 'crop': 'wheat'})
+        self.assertEqual(game.act('feed', {'animal': 0, 'crop': 'wheat'})['error'], 'animal 0 is full')
+        self.assertEqual(game.data['inventory']['wheat'], 6)
+
+    def test_mood_sets_the_yield_and_pace(self):
+        happy, unhappy = self.game(80, NOW + 3600 * 1000), self.game(10, NOW)
+        for game in (happy, unhappy):
+            game.ok('collect', {'animal': 0})
+        egg_ms = CATALOG['items']['chicken']['produceTime'] * 1000
+        self.assertEqual((happy.data['inventory']['egg'], happy.data['animals'][0]['readyAt']), (2, NOW + egg_ms))
+        self.assertEqual((unhappy.data['inventory']['egg'], unhappy.data['animals'][0]['readyAt']), (1, NOW + 2 * egg_ms))
+
+    def test_nothing_to_collect_before_the_product_is_ready(self):
+        game = self.game(50, NOW)
+        game.data['animals'][0]['readyAt'] = NOW + 60 * 1000
+        self.assertFalse(game.act('collect', {'animal': 0})['ok'])
+
+
+class WorkshopTest(unittest.TestCase):
+    FLOUR_MS = CATALOG['items']['mill']['recipes']['flour']['time'] * 1000
+
+    def mill(self, wheat):
+        return Game(buildings=[{'type': 'mill', 'queue': []}], inventory={'wheat': wheat})
+
+    def test_jobs_run_one_after_another(self):
+        game = self.mill(6)
+        game.ok('process', {'building': 0, 'recipe': 'flour'})
+        game.ok('process', {'building': 0, 'recipe': 'flour'})
+        self.assertEqual([job['readyAt'] for job in game.data['buildings'][0]['queue']], [NOW + self.FLOUR_MS, NOW + 2 * self.FLOUR_MS])
+        self.assertEqual(game.data['inventory']['wheat'], 0)
+
+    def test_recipes_come_from_the_building(self):
+        game = Game(buildings=[{'type': 'mill', 'queue': []}], inventory={'milk': 10})
+        self.assertEqual(game.act('process', {'building': 0, 'recipe': 'cheese'})['error'], 'mill has no recipe "cheese"')
+
+    def test_goods_are_collected_once_finished(self):
+        game = self.mill(3)
+        game.ok('process', {'building': 0, 'recipe': 'flour'})
+        self.assertFalse(game.act('collect_goods', {'building': 0, 'count': 1})['ok'])
+        game.wait(self.FLOUR_MS // 1000)
+        game.ok('collect_goods', {'building': 0, 'count': 1})
+        self.assertEqual((game.data['inventory']['flour'], game.data['buildings'][0]['queue']), (1, []))
+
+
+class LandTest(unittest.TestCase):
+    # Level 2, with coins for the first expansion
+    def game(self, sessions):
+        return Game(coins=1000, xp=100, milestones={'sessions': sessions, 'focusSeconds': 0})
+
+    def test_land_waits_for_its_milestones(self):
+        result = self.game(2).act('buy_plot', {'plot': 6})
+        self.assertFalse(result['ok'])
+        self.assertIn('needs sessions 3', result['error'])
+
+    def test_land_is_bought_once_unlocked(self):
+        game = self.game(3)
+        game.ok('buy_plot', {'plot': 6})
+        self.assertEqual(len(game.data['plots']), 7)
+        self.assertEqual(game.data['coins'], 1000 - CATALOG['land']['expansions'][0]['cost'])
+
+    def test_replayed_purchase_buys_no_second_plot(self):
+        game = self.game(6)
+        game.ok('buy_plot', {'plot': 6})
+        result = game.act('buy_plot', {'plot': 6})
+        self.assertFalse(result['ok'])
+        self.assertEqual(len(game.data['plots']), 7)
+
+    def test_no_land_after_the_last_expansion(self):
+        plots = [empty_plot() for _ in range(CATALOG['land']['startingPlots'] + len(CATALOG['land']['expansions']))]
+        game = Game(coins=10000, xp=10000, plots=plots, milestones={'sessions': 100, 'focusSeconds': 100 * 3600})
+        result = game.act('buy_plot', {'plot': len(plots)})
+        self.assertEqual(result['error'], 'no more land to buy')
+
+
+class FocusSessionTest(unittest.TestCase):
+    def start(self, game, session=1, duration=1500, **args):
+        game.ok('start_session', {'session': session, 'duration': duration, **args})
+
+    def finish(self, game, session=1, **args):
+        return game.act('finish_session', {'session': session, 'goalMinutes': 50, 'utcOffset': 0, **args})
+
+    def test_session_pays_when_its_time_is_up(self):
+        game = Game()
+        self.start(game)
+        game.wait(1000)
+        self.assertFalse(self.finish(game)['ok'])
+        game.wait(500)
+        self.assertTrue(self.finish(game)['ok'])
+        self.assertEqual(game.data['coins'], 25 * CATALOG['economy']['coinsPerFocusMinute'])
+        self.assertEqual(game.data['xp'], 25 * CATALOG['levels']['xp']['focusMinute'])
+        self.assertEqual(game.data['milestones'], {'sessions': 1, 'focusSeconds': 1500})
+
+    def test_session_pays_once(self):
+        game = Game()
+        self.start(game)
+        game.wait(1500)
+        self.assertTrue(self.finish(game)['ok'])
+        self.assertFalse(self.finish(game)['ok'])
+
+    def test_unknown_session_is_refused(self):
+        self.assertFalse(self.finish(Game(), session=99)['ok'])
+
+    def test_task_bonus_once_the_estimate_is_reached(self):
+        game = Game(tasks=[{'id': 7, 'estimate': 50}])
+        for session in (1, 2, 3):
+            self.start(game, session=session, task=7, estimate=50)
+            game.wait(1500)
+            self.assertTrue(self.finish(game, session=session)['ok'])
+        bonus = CATALOG['economy']['taskBonus']
+        # 75 minutes, the bonus on the second session, and the streak bonus
+        # from the goal the first two met
+        self.assertEqual(game.data['coins'], 25 + 25 + bonus + int(25 * 1.1 + 0.5))
+
+    def test_abandoned_session_pays_the_minutes_focused(self):
+        game = Game()
+        self.start(game)
+        game.wait(10 * 60)
+        self.assertFalse(game.act('abandon_session', {'session': 1, 'minutes': 12})['ok'])
+        game.ok('abandon_session', {'session': 1, 'minutes': 10})
+        self.assertEqual(game.data['coins'], 10)
+
+    def test_abandoned_time_counts_towards_the_task(self):
+        game = Game(tasks=[{'id': 7, 'estimate': 30}])
+        self.start(game, task=7, estimate=30)
+        game.wait(1230)
+        self.assertFalse(game.act('abandon_session', {'session': 1, 'minutes': 20, 'focused': 1500})['ok'])
+        game.ok('abandon_session', {'session': 1, 'minutes': 20, 'focused': 1230})
+        self.assertEqual(game.data['ledger']['taskFocus'], {'7': 1230})
+        # The bonus comes with the finished session that reaches the estimate
+        self.start(game, session=2, task=7, estimate=30)
+        game.wait(1500)
+        self.assertTrue(self.finish(game, session=2)['ok'])
+        self.assertEqual(game.data['coins'], 20 + 25 + CATALOG['economy']['taskBonus'])
+        self.assertEqual(game.data['ledger']['rewardedTasks'], ['7'])
+
+    def test_task_bonus_needs_a_saved_task(self):
+        game = Game(tasks=[{'id': 7, 'estimate': 20}])
+        # Short sessions and estimates are refused outright
+        self.assertFalse(game.act('start_session', {'session': 1, 'duration': 30})['ok'])
+        self.assertFalse(game.act('start_session', {'session': 1, 'duration': 60, 'task': 8, 'estimate': 1})['ok'])
+        # One-minute sessions on made-up tasks, or on a saved task under a
+        # smaller estimate than it was saved with, pay their minutes only
+        for session, task in enumerate((8, 9, 10, 11, 7), 1):
+            self.start(game, session=session, duration=60, task=task, estimate=20)
+            game.wait(60)
+            self.assertTrue(self.finish(game, session=session)['ok'])
+        self.assertEqual(game.data['coins'], 5)
+        self.assertEqual(game.data['xp'], 5 * CATALOG['levels']['xp']['focusMinute'])
+        self.assertEqual(game.data['ledger']['rewardedTasks'], [])
+
+    def test_short_abandoned_session_pays_nothing(self):
+        game = Game()
+        self.start(game)
+        game.wait(3 * 60)
+        self.assertFalse(game.act('abandon_session', {'session': 1, 'minutes': 3})['ok'])
+        game.ok('abandon_session', {'session': 1, 'minutes': 0})
+        self.assertEqual(game.data['coins'], 0)
+
+    def test_strict_session_needs_its_focus_score(self):
+        game = Game()
+        self.start(game, strict=True)
+        game.wait(1500)
+        self.assertFalse(self.finish(game)['ok'])
+        self.assertTrue(self.finish(game, focusScore=80)['ok'])
+        self.assertEqual(game.data['coins'], 20)
+
+    def test_other_sessions_cannot_send_a_focus_score(self):
+        game = Game()
+        self.start(game)
+        game.wait(1500)
+        self.assertFalse(self.finish(game, focusScore=100)['ok'])
+
+    def test_goal_streak_raises_the_payout(self):
+        game = Game()
+        for day in range(3):
+            self.start(game, session=day, duration=3000)
+            game.wait(3000)
+            self.assertTrue(self.finish(game, session=day)['ok'])
+            game.wait(24 * 3600 - 3000)
+        self.assertEqual(game.data['streak']['current'], 3)
+        self.assertEqual(game.data['coins'], 50 + 55 + 60)
+
+
+class MarketTest(unittest.TestCase):
+    def test_sales_are_priced_at_the_server_time(self):
+        game = Game(inventory={'wheat': 1})
+        game.now = 20001 * economy.DAY_MS + 10 * 1000
+        # Sent as if sold just before midnight, on the day before
+        game.ok('sell', {'good': 'wheat', 'count': 1}, at=game.now - 20 * 1000)
+        self.assertEqual(game.data['coins'], economy.unit_price('wheat', 20001, 0, CATALOG))
+
+    def test_each_unit_sold_lowers_the_price(self):
+        game = Game(inventory={'wheat': 2})
+        game.ok('sell', {'good': 'wheat', 'count': 2})
+        day = int(NOW // economy.DAY_MS)
+        self.assertEqual(game.data['coins'], economy.unit_price('wheat', day, 0, CATALOG) + economy.unit_price('wheat', day, 1, CATALOG))
+
+    def test_sell_order_below_its_price_is_refused(self):
+        game = Game(inventory={'wheat': 1})
+        self.assertFalse(game.act('sell', {'good': 'wheat', 'count': 1, 'minPrice': 1000})['ok'])
+        self.assertEqual(game.data['inventory']['wheat'], 1)
+
+
+class OrderTest(unittest.TestCase):
+    def board(self, game):
+        # Any action deals the board for the current window first
+        game.ok('settle_streak', {'utcOffset': 0})
+        return game.data['orderBoard']['orders']
+
+    def stocked(self):
+        return Game(inventory={good: 50 for good in economy.goods(CATALOG)})
+
+    def test_board_is_dealt_from_the_window_and_pool(self):
+        game = self.stocked()
+        orders = self.board(game)
+        window = int(NOW // economy.order_window_ms(CATALOG))
+        self.assertEqual([o['id'] for o in orders], [f'{window}-{slot}' for slot in range(CATALOG['orders']['slots'])])
+        self.assertEqual(orders[0]['lines'], economy.generate_order(window, 0, ['wheat'], CATALOG)['lines'])
+
+    def test_pool_has_only_unlocked_goods(self):
+        game = self.stocked()
+        # A level 1 player with a cow still only gets wheat orders
+        game.data['animals'].append({'type': 'cow'})
+        self.assertEqual(economy.unlocked_goods(game.data, CATALOG), ['wheat'])
+        game.data['xp'] = CATALOG['levels']['thresholds'][3]
+        self.assertEqual(economy.unlocked_goods(game.data, CATALOG), ['wheat', 'carrot', 'milk'])
+
+    def test_delivery_pays_and_takes_the_order_off_the_board(self):
+        game = self.stocked()
+        order = self.board(game)[0]
+        game.ok('deliver', {'id': order['id']})
+        self.assertEqual(game.data['coins'], order['coins'])
+        self.assertEqual(game.data['xp'], order['xp'])
+        self.assertEqual(game.data['inventory']['wheat'], 50 - order['lines']['wheat'])
+        self.assertFalse(game.act('deliver', {'id': order['id']})['ok'])
+
+    def test_orders_not_on_the_board_cannot_be_delivered(self):
+        game = self.stocked()
+        self.board(game)
+        window = int(NOW // economy.order_window_ms(CATALOG))
+        # One from a window that has not opened yet
+        self.assertFalse(game.act('deliver', {'id': f'{window + 1}-0'})['ok'])
+        self.assertEqual(game.data['coins'], 0)
+
+    def test_declined_order_cannot_be_delivered(self):
+        game = self.stocked()
+        order = self.board(game)[1]
+        game.ok('decline_order', {'id': order['id']})
+        self.assertFalse(game.act('deliver', {'id': order['id']})['ok'])
+        self.assertEqual(len(game.data['orderBoard']['orders']), CATALOG['orders']['slots'] - 1)
+
+    def test_expired_order_cannot_be_delivered(self):
+        game = self.stocked()
+        order = self.board(game)[0]
+        game.now = order['expiresAt'] + 1
+        self.assertFalse(game.act('deliver', {'id': order['id']})['ok'])
+
+    def test_empty_slots_refill_in_the_next_window(self):
+        game = self.stocked()
+        order = self.board(game)[0]
+        game.ok('deliver', {'id': order['id']})
+        game.wait(CATALOG['orders']['refreshMinutes'] * 60)
+        orders = self.board(game)
+        self.assertEqual(len(orders), CATALOG['orders']['slots'])
+        self.assertEqual(orders[0]['window'], order['window'] + 1)
+        self.assertEqual(orders[1]['window'], order['window'])
+
+
+class WeatherTest(unittest.TestCase):
+    def test_weather_comes_from_the_server(self):
+        game = Game()
+        game.ok('weather', {'weather': 'rainy'}, weather='sunny')
+        self.assertEqual(game.data['weather']['type'], 'sunny')
+
+    def test_weather_without_a_reading_is_refused(self):
+        self.assertFalse(Game().act('weather', {'weather': 'rainy'})['ok'])
+
+
+class SaveUpgradeTest(unittest.TestCase):
+    def test_xp_backfill_counts_focus_time_only(self):
+        data = ensure_economy({'totalSeconds': 600, 'plots': [], 'stats': {'sessions': 1, 'harvested': 500, 'tasksCompleted': 50}}, CATALOG)
+        self.assertEqual(data['xp'], 10 * CATALOG['levels']['xp']['focusMinute'])
+
+    def test_milestones_move_out_of_the_ledger(self):
+        ledger = {'lastActionAt': 0, 'seen': [], 'session': None, 'lastRewardedSession': None,
+                  'sessions': 4, 'focusSeconds': 6000, 'xpBackfilled': True}
+        data = ensure_economy({'totalSeconds': 99999, 'plots': [], 'ledger': ledger}, CATALOG)
+        self.assertEqual(data['milestones'], {'sessions': 4, 'focusSeconds': 6000})
+        self.assertNotIn('sessions', data['ledger'])
+
+    def test_client_written_streak_starts_over(self):
+        data = ensure_economy({'plots': [], 'streak': {'current': 400, 'best': 12, 'lastGoalDate': '2026-01-01'}}, CATALOG)
+        self.assertEqual(data['streak'], {'current': 0, 'best': 12, 'lastGoalDate': None})
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,312 @@
+"""The farm on the client: the catalog behind the shop, planting and
+harvesting, land, crop care, the weather, animals, buildings and the levels
+that unlock them. These run static/script.js under node."""
+import json
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from economy import level, pick_weighted, seeded_random  # noqa: E402
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+with open(os.path.join(ROOT, 'static', 'catalog.json'), encoding='utf-8') as f:
+    CATALOG = json.load(f)
+ITEMS = CATALOG['items']
+NOW = 1772618400000
+
+PUMPKIN = {'type': 'seed', 'name': 'Pumpkin', 'cost': 30, 'sell': 50, 'growTime': 60, 'witherTime': 3600, 'icon': '🎃'}
+
+
+def fresh_save(**changes):
+    save, = run_client([['freshSave', NOW]])
+    save.update(changes)
+    return save
+
+
+def ops(result):
+    return [a['op'] for a in result['actions']]
+
+
+@needs_node
+class CatalogTest(unittest.TestCase):
+    def test_new_entry_shows_up_without_code_changes(self):
+        view, = run_client([['catalogView', {'pumpkin': PUMPKIN}]])
+        self.assertIn('pumpkin', view['seeds'])
+        self.assertEqual(view['goods']['pumpkin'], {'name': 'Pumpkin', 'icon': '🎃', 'price': 50})
+        self.assertEqual(view['emptySeeds']['pumpkin'], 0)
+        self.assertEqual(view['emptyInventory']['pumpkin'], 0)
+
+    def test_animal_products_are_goods(self):
+        view, = run_client([['catalogView', {}]])
+        self.assertIn('chicken', view['animals'])
+        self.assertEqual(view['goods'][ITEMS['chicken']['product']]['price'], ITEMS['chicken']['productPrice'])
+        self.assertNotIn('chicken', view['goods'])
+
+
+@needs_node
+class ShopTest(unittest.TestCase):
+    def test_buying_charges_the_catalog_cost(self):
+        result = play([['app', 'addCoins', 100], ['shop', 'buy', 'wheat']], now=NOW)
+        self.assertEqual(result['state']['coins'], 100 - ITEMS['wheat']['cost'])
+        self.assertEqual(result['state']['seeds']['wheat'], 1)
+        self.assertEqual(result['actions'][-1]['args'], {'item': 'wheat'})
+
+    def test_unknown_item_is_not_sold(self):
+        result = play([['app', 'addCoins', 100], ['shop', 'buy', 'gold']], now=NOW)
+        self.assertEqual(result['state']['coins'], 100)
+        self.assertNotIn('buy', ops(result))
+
+    def test_buying_without_the_coins_does_nothing(self):
+        result = play([['shop', 'buy', 'wheat']], now=NOW)
+        self.assertEqual(result['state']['seeds']['wheat'], 0)
+        self.assertEqual(result['toasts'], ['Not enough coins!'])
+
+    def test_planted_crop_is_harvested_when_grown(self):
+        # Clicking the plot again waters the seed
+        result = play([['app', 'addCoins', 10], ['shop', 'buy', 'wheat'], ['farm', 'clickPlot', 0], ['farm', 'plant', 'wheat'],
+                       ['farm', 'clickPlot', 0], ['wait', ITEMS['wheat']['growTime'] * 1000], ['farm', 'update'], ['farm', 'clickPlot', 0]], now=NOW)
+        self.assertEqual(result['state']['inventory']['wheat'], 1)
+        self.assertIsNone(result['state']['plots'][0]['crop'])
+        self.assertEqual(ops(result), ['buy', 'plant', 'water', 'harvest'])
+
+
+@needs_node
+class SeedStoreTest(unittest.TestCase):
+    def test_harvested_crops_cannot_be_planted(self):
+        save = fresh_save(inventory={'wheat': 2})
+        result = play([['farm', 'clickPlot', 0], ['farm', 'plant', 'wheat']], save, NOW)
+        self.assertEqual(result['toasts'], ['No seeds!'])
+        self.assertIsNone(result['state']['plots'][0]['crop'])
+        self.assertEqual(result['state']['inventory']['wheat'], 2)
+
+    def test_selling_everything_keeps_the_seeds(self):
+        save = fresh_save(seeds={'wheat': 3}, inventory={'wheat': 2})
+        result = play([['app', 'sellAll']], save, NOW)
+        self.assertEqual(result['state']['seeds']['wheat'], 3)
+        self.assertEqual(result['state']['inventory']['wheat'], 0)
+        self.assertGreater(result['state']['coins'], 0)
+
+    def test_shared_counts_in_old_saves_become_seeds(self):
+        save = fresh_save(schemaVersion=1, inventory={'wheat': 3, 'egg': 2})
+        del save['seeds']
+        result = play([], save, NOW)
+        self.assertEqual(result['state']['seeds']['wheat'], 3)
+        self.assertEqual(result['state']['inventory']['wheat'], 0)
+        self.assertEqual(result['state']['inventory']['egg'], 2)
+
+
+@needs_node
+class LandTest(unittest.TestCase):
+    FIRST = CATALOG['land']['expansions'][0]
+
+    def test_requirements_show_the_progress_made(self):
+        save = fresh_save(xp=100, milestones={'sessions': 1, 'focusSeconds': 1800})
+        requirements, = play([['farm', 'landRequirements', self.FIRST]], save, NOW)['results']
+        self.assertEqual(requirements, [{'key': 'level', 'have': 2, 'need': 2, 'met': True},
+                                        {'key': 'sessions', 'have': 1, 'need': 3, 'met': False}])
+
+    def test_locked_land_is_not_sold(self):
+        save = fresh_save(coins=1000, xp=100, milestones={'sessions': 2, 'focusSeconds': 0})
+        result = play([['farm', 'buyPlot']], save, NOW)
+        self.assertEqual(len(result['state']['plots']), 6)
+        self.assertEqual(result['toasts'], ['Keep focusing to unlock this plot!'])
+
+    def test_unlocked_land_is_bought(self):
+        save = fresh_save(coins=1000, xp=100, milestones={'sessions': 3, 'focusSeconds': 0})
+        result = play([['farm', 'buyPlot']], save, NOW)
+        self.assertEqual(len(result['state']['plots']), 7)
+        self.assertEqual(result['state']['coins'], 1000 - self.FIRST['cost'])
+        self.assertEqual(result['actions'], [{'op': 'buy_plot', 'args': {'plot': 6}, 'at': NOW}])
+
+
+WHEAT_MS = ITEMS['wheat']['growTime'] * 1000
+SOW = [['farm', 'clickPlot', 0], ['farm', 'plant', 'wheat']]
+
+
+@needs_node
+class CropCareTest(unittest.TestCase):
+    def grow(self, steps, wait, save=None):
+        result = play([*SOW, *steps, ['wait', wait], ['farm', 'update']], save or fresh_save(seeds={'wheat': 1}), NOW)
+        return result['state']['plots'][0]
+
+    def test_dry_crops_grow_at_half_speed(self):
+        self.assertFalse(self.grow([], WHEAT_MS)['ready'])
+        self.assertTrue(self.grow([], 2 * WHEAT_MS)['ready'])
+
+    def test_watered_crops_grow_at_full_speed(self):
+        self.assertTrue(self.grow([['farm', 'water', 0]], WHEAT_MS)['ready'])
+
+    def test_fertilizer_doubles_the_speed(self):
+        save = fresh_save(seeds={'wheat': 1}, supplies={'fertilizer': 1})
+        plot = self.grow([['farm', 'water', 0], ['farm', 'fertilize', 0]], WHEAT_MS // 2, save)
+        self.assertTrue(plot['fertilized'])
+        self.assertTrue(plot['ready'])
+
+    def test_fertilizing_needs_fertilizer(self):
+        result = play([*SOW, ['farm', 'fertilize', 0]], fresh_save(seeds={'wheat': 1}), NOW)
+        self.assertFalse(result['state']['plots'][0]['fertilized'])
+        self.assertEqual(result['toasts'], ['No fertilizer! Buy some in the Seed Market.'])
+
+    def test_ripe_crop_left_too_long_withers_and_is_cleared(self):
+        wither_ms = ITEMS['wheat']['witherTime'] * 1000
+        result = play([*SOW, ['farm', 'water', 0], ['wait', WHEAT_MS], ['farm', 'update'], ['wait', wither_ms], ['farm', 'update']],
+                      fresh_save(seeds={'wheat': 1}), NOW)
+        plot = result['state']['plots'][0]
+        self.assertEqual((plot['withered'], plot['ready']), (True, False))
+        cleared = play([['farm', 'clickPlot', 0]], result['state'], NOW + WHEAT_MS + wither_ms)
+        self.assertIsNone(cleared['state']['plots'][0]['crop'])
+        self.assertEqual(cleared['state']['inventory']['wheat'], 0)
+        self.assertEqual(cleared['actions'][-1]['op'], 'clear_plot')
+
+
+@needs_node
+class WeatherTest(unittest.TestCase):
+    def test_rain_waters_the_crops(self):
+        result = play([['weather', 'change', 'rainy'], *SOW, ['wait', WHEAT_MS], ['farm', 'update']], fresh_save(seeds={'wheat': 1}), NOW)
+        self.assertTrue(result['state']['plots'][0]['rainWatered'])
+        self.assertTrue(result['state']['plots'][0]['ready'])
+
+    def test_snow_slows_growing_crops_from_when_it_starts(self):
+        result = play([*SOW, ['farm', 'water', 0], ['wait', WHEAT_MS // 2], ['weather', 'change', 'snowy'],
+                       ['wait', WHEAT_MS // 2], ['farm', 'update']], fresh_save(seeds={'wheat': 1}), NOW)
+        plot = result['state']['plots'][0]
+        # Half grown before the snow, a quarter more since
+        self.assertEqual((plot['growth'], plot['weatherRate'], plot['progress']), (WHEAT_MS / 2000, 0.5, 75))
+        self.assertEqual(result['actions'][-1], {'op': 'weather', 'args': {'weather': 'snowy'}, 'at': NOW + WHEAT_MS // 2})
+
+    def test_weather_comes_from_the_server(self):
+        reading = {'success': True, 'type': 'snowy', 'city': 'Oslo', 'source': 'api'}
+        result = play([['reply', '/api/weather', 200, reading], ['weather', 'refresh']], now=NOW)
+        self.assertEqual(result['state']['weather'], {'type': 'snowy', 'since': NOW})
+
+    def test_local_weather_is_the_server_mock_pick(self):
+        rules = CATALOG['weather']
+        expected = pick_weighted(rules['types'], seeded_random(rules['seed'], NOW // 3600000))
+        result = play([['reply', '/api/weather', 500, {}], ['weather', 'refresh']], now=NOW)
+        self.assertEqual(result['state']['weather']['type'], expected)
+
+
+HOUR = 3600 * 1000
+EGG_MS = ITEMS['chicken']['produceTime'] * 1000
+
+
+def chicken(happiness, fed_until, ready=False):
+    return {'type': 'chicken', 'ready': ready, 'readyAt': NOW, 'happiness': happiness, 'happinessAt': NOW, 'fedUntil': fed_until}
+
+
+@needs_node
+class AnimalTest(unittest.TestCase):
+    def test_bought_animal_starts_content_and_hungry(self):
+        result = play([['shop', 'buy', 'chicken']], fresh_save(coins=100, xp=100), NOW)
+        self.assertEqual(result['state']['animals'], [{**chicken(50, NOW), 'readyAt': NOW + EGG_MS}])
+
+    def test_feeding_uses_a_harvested_crop(self):
+        save = fresh_save(animals=[chicken(50, NOW)], inventory={'wheat': 1})
+        result = play([['farm', 'feed', 0, 'wheat']], save, NOW)
+        self.assertEqual(result['state']['inventory']['wheat'], 0)
+        self.assertEqual(result['state']['animals'][0]['fedUntil'], NOW + HOUR)
+        self.assertEqual(result['actions'], [{'op': 'feed', 'args': {'animal': 0, 'crop': 'wheat'}, 'at': NOW}])
+
+    def test_animals_eat_only_their_feed(self):
+        save = fresh_save(animals=[chicken(50, NOW)], inventory={'carrot': 1})
+        result = play([['farm', 'feed', 0, 'carrot']], save, NOW)
+        self.assertEqual((result['state']['inventory']['carrot'], result['actions']), (1, []))
+
+    def test_full_animal_eats_no_more(self):
+        save = fresh_save(animals=[chicken(50, NOW)], inventory={'wheat': 10})
+        result = play([['farm', 'feed', 0, 'wheat']] * 5, save, NOW)
+        self.assertEqual(result['state']['inventory']['wheat'], 6)
+        self.assertEqual(result['toasts'], ['🐔 is full!'])
+
+    def test_fed_animals_grow_happy(self):
+        # 20 points an hour while fed, then 10 an hour less once hungry
+        result = play([['farm', 'happiness', chicken(50, NOW + 2 * HOUR), NOW + 3 * HOUR]], now=NOW)
+        self.assertEqual(result['results'], [80])
+
+    def test_happy_animal_yields_double(self):
+        result = play([['farm', 'collectAnimal', 0]], fresh_save(animals=[chicken(80, NOW + HOUR, ready=True)]), NOW)
+        self.assertEqual(result['state']['inventory']['egg'], 2)
+        self.assertEqual(result['state']['animals'][0]['readyAt'], NOW + EGG_MS)
+
+    def test_unhappy_animal_works_at_half_speed(self):
+        result = play([['farm', 'collectAnimal', 0]], fresh_save(animals=[chicken(10, NOW, ready=True)]), NOW)
+        self.assertEqual(result['state']['inventory']['egg'], 1)
+        self.assertEqual(result['state']['animals'][0]['readyAt'], NOW + 2 * EGG_MS)
+
+
+FLOUR_MS = ITEMS['mill']['recipes']['flour']['time'] * 1000
+
+
+def mill(wheat):
+    return fresh_save(buildings=[{'type': 'mill', 'queue': []}], inventory={'wheat': wheat})
+
+
+@needs_node
+class WorkshopTest(unittest.TestCase):
+    def test_each_building_is_bought_once(self):
+        result = play([['shop', 'buy', 'mill'], ['shop', 'buy', 'mill']], fresh_save(coins=1000, xp=250), NOW)
+        self.assertEqual(result['state']['buildings'], [{'type': 'mill', 'queue': []}])
+        self.assertEqual(result['state']['coins'], 1000 - ITEMS['mill']['cost'])
+        self.assertEqual(result['toasts'], ['You already have a Mill!'])
+
+    def test_jobs_run_one_after_another(self):
+        result = play([['workshop', 'start', 0, 'flour'], ['wait', 1000], ['workshop', 'start', 0, 'flour']], mill(7), NOW)
+        self.assertEqual(result['state']['buildings'][0]['queue'], [
+            {'recipe': 'flour', 'startedAt': NOW, 'readyAt': NOW + FLOUR_MS},
+            {'recipe': 'flour', 'startedAt': NOW + FLOUR_MS, 'readyAt': NOW + 2 * FLOUR_MS}])
+        self.assertEqual(result['state']['inventory']['wheat'], 1)
+
+    def test_queue_has_a_limit(self):
+        result = play([['workshop', 'start', 0, 'flour']] * 4, mill(12), NOW)
+        self.assertEqual(len(result['state']['buildings'][0]['queue']), ITEMS['mill']['queueSize'])
+        self.assertEqual(result['toasts'], ['The Mill is busy. Collect finished goods first.'])
+
+    def test_recipe_needs_its_ingredients(self):
+        result = play([['workshop', 'start', 0, 'flour']], mill(2), NOW)
+        self.assertEqual((result['state']['inventory']['wheat'], result['toasts']), (2, ['Not enough ingredients!']))
+
+    def test_finished_goods_are_collected(self):
+        result = play([['workshop', 'start', 0, 'flour'], ['workshop', 'start', 0, 'flour'], ['wait', FLOUR_MS],
+                       ['workshop', 'collect', 0]], mill(6), NOW)
+        self.assertEqual(result['state']['inventory']['flour'], 1)
+        self.assertEqual(len(result['state']['buildings'][0]['queue']), 1)
+        self.assertEqual(result['actions'][-1], {'op': 'collect_goods', 'args': {'building': 0, 'count': 1}, 'at': NOW + FLOUR_MS})
+
+
+@needs_node
+class LevelTest(unittest.TestCase):
+    def test_levels_are_the_thresholds_reached(self):
+        amounts = [0, 99, 100, 449, 450, 3200, 99999]
+        client = play([['Levels', 'level', xp] for xp in amounts], now=NOW)['results']
+        self.assertEqual(client, [1, 1, 2, 3, 4, 10, 10])
+        self.assertEqual(client, [level({'xp': xp}, CATALOG) for xp in amounts])
+
+    def test_progress_within_the_level(self):
+        progress, = play([['levels', 'progress']], fresh_save(xp=150), NOW)['results']
+        self.assertEqual(progress, {'level': 2, 'xp': 150, 'into': 50, 'span': 150, 'max': False})
+
+    def test_activities_earn_xp(self):
+        xp = CATALOG['levels']['xp']
+        result = play([['timer', 'start'], ['wait', 25 * 60 * 1000], ['timer', 'tick'], ['farm', 'clickPlot', 0], ['farm', 'plant', 'wheat'],
+                       ['farm', 'water', 0], ['wait', WHEAT_MS], ['farm', 'update'], ['farm', 'harvest', 0]], fresh_save(seeds={'wheat': 1}), NOW)
+        self.assertEqual(result['state']['xp'], 25 * xp['focusMinute'] + xp['harvest'])
+
+    def test_level_up_names_what_it_unlocks(self):
+        result = play([['levels', 'addXp', 100]], now=NOW)
+        self.assertEqual(result['toasts'], ['⭐ Level 2! Unlocked: 🥕 Carrot, 🐔 Chicken, 🧪 Fertilizer, 🪧 more land'])
+        self.assertEqual(result['state']['logs'][0]['meta']['level'], 2)
+
+    def test_avatars_wait_for_their_level(self):
+        self.assertEqual(play([['app', 'setAvatar', '🐱']], now=NOW)['state']['avatar'], '👤')
+        self.assertEqual(play([['app', 'setAvatar', '🐱']], fresh_save(xp=250), NOW)['state']['avatar'], '🐱')
+
+    def test_locked_items_are_not_sold(self):
+        result = play([['shop', 'buy', 'carrot']], fresh_save(coins=100), NOW)
+        self.assertEqual((result['state']['coins'], result['toasts']), (100, ['Carrot unlocks at level 2.']))
+
+
+if __name__ == '__main__':
+    unittest.main()
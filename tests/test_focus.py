@@ -0,0 +1,224 @@
+"""The focus timer on the client. These run static/script.js under node with
+the clock stopped, and move it on by hand."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+NOW = 1772618400000
+MINUTE = 60 * 1000
+SESSION = 25 * MINUTE  # CONFIG.timerDuration
+DAY = 24 * 60 * MINUTE
+
+
+def fresh_save(**changes):
+    save, = run_client([['freshSave', NOW]])
+    save.update(changes)
+    return save
+
+
+def date_key(ts):
+    """The local date Streaks keys days by."""
+    return play([['Streaks', 'dateKey', ts]], now=NOW)['results'][0]
+
+
+def ops(result):
+    return [a['op'] for a in result['actions']]
+
+
+@needs_node
+class TimerTest(unittest.TestCase):
+    def test_time_counts_from_the_clock(self):
+        # Ticks are not counted: the interval never fires here
+        result = play([['timer', 'start'], ['wait', 90 * 1000], ['timer', 'elapsedMs']], now=NOW)
+        self.assertEqual(result['results'][-1], 90 * 1000)
+
+    def test_paused_time_does_not_count(self):
+        result = play([['timer', 'start'], ['wait', MINUTE], ['timer', 'stop'], ['wait', 10 * MINUTE],
+                       ['timer', 'start'], ['wait', MINUTE], ['timer', 'elapsedMs']], now=NOW)
+        self.assertEqual(result['results'][-1], 2 * MINUTE)
+        self.assertEqual(ops(result), ['start_session'])
+
+    def test_running_session_survives_a_reload(self):
+        before = play([['timer', 'start'], ['wait', MINUTE]], now=NOW)
+        after = play([['timer', 'resume'], ['timer', 'elapsedMs']], before['state'], NOW + 3 * MINUTE)
+        self.assertEqual(after['results'][-1], 3 * MINUTE)
+        self.assertTrue(after['state']['timer']['running'])
+        self.assertEqual(after['state']['timer']['id'], NOW)
+
+    def test_session_that_ran_out_while_closed_pays_on_reload(self):
+        before = play([['timer', 'start']], now=NOW)
+        after = play([['timer', 'resume']], before['state'], NOW + SESSION + 60 * MINUTE)
+        self.assertEqual(after['state']['coins'], 25)
+        self.assertEqual(after['state']['stats']['sessions'], 1)
+        self.assertFalse(after['state']['timer']['running'])
+        self.assertEqual(ops(after), ['finish_session'])
+
+    def test_session_paid_elsewhere_is_not_paid_again(self):
+        # Another tab or device finished it first and recorded its id
+        save = play([['timer', 'start']], now=NOW)['state']
+        save['timer']['lastRewardedId'] = save['timer']['id']
+        after = play([['timer', 'resume']], save, NOW + SESSION)
+        self.assertEqual(after['state']['coins'], 0)
+        self.assertFalse(after['state']['timer']['running'])
+        self.assertEqual(ops(after), [])
+
+
+def focus_session():
+    return [['timer', 'start'], ['wait', SESSION], ['timer', 'tick']]
+
+
+@needs_node
+class PomodoroTest(unittest.TestCase):
+    def test_focus_session_is_followed_by_a_short_break(self):
+        result = play([['app', 'updatePomodoroSettings', {'enabled': True}], *focus_session()], now=NOW)
+        timer = result['state']['timer']
+        self.assertEqual((timer['phase'], timer['duration'], timer['cycle']), ('shortBreak', 5 * 60, 1))
+        self.assertFalse(timer['running'])
+
+    def test_every_fourth_break_is_long(self):
+        steps = [['app', 'updatePomodoroSettings', {'enabled': True}]]
+        for _ in range(3):
+            steps += [*focus_session(), ['timer', 'skipBreak']]
+        result = play(steps + focus_session(), now=NOW)
+        self.assertEqual(result['state']['timer']['phase'], 'longBreak')
+        self.assertEqual(result['state']['timer']['duration'], 15 * 60)
+        after = play([['timer', 'skipBreak']], result['state'], NOW)
+        self.assertEqual((after['state']['timer']['phase'], after['state']['timer']['cycle']), ('focus', 0))
+
+    def test_breaks_pay_nothing(self):
+        result = play([['app', 'updatePomodoroSettings', {'enabled': True}], *focus_session(),
+                       ['timer', 'start'], ['wait', 5 * MINUTE], ['timer', 'tick']], now=NOW)
+        self.assertEqual(result['state']['coins'], 25)
+        self.assertEqual(ops(result), ['start_session', 'finish_session'])
+        self.assertEqual(result['state']['timer']['phase'], 'focus')
+
+    def test_auto_start_runs_the_next_phase(self):
+        result = play([['app', 'updatePomodoroSettings', {'enabled': True, 'autoStart': True}], *focus_session()], now=NOW)
+        self.assertEqual(result['state']['timer']['phase'], 'shortBreak')
+        self.assertTrue(result['state']['timer']['running'])
+
+    def test_lengths_must_be_whole_minutes(self):
+        result = play([['app', 'updatePomodoroSettings', {'enabled': True, 'focusMinutes': 0}]], now=NOW)
+        self.assertFalse(result['state']['settings']['pomodoro']['enabled'])
+        self.assertEqual(len(result['toasts']), 1)
+
+
+@needs_node
+class StreakTest(unittest.TestCase):
+    def streak_save(self, current, last_goal, **changes):
+        return fresh_save(streak={'current': current, 'best': current, 'lastGoalDate': date_key(last_goal)}, **changes)
+
+    def test_meeting_the_goal_starts_a_streak(self):
+        result = play([['app', 'setDailyGoal', 25], *focus_session()], now=NOW)
+        self.assertEqual(result['state']['streak']['current'], 1)
+        self.assertEqual(result['state']['daily'][date_key(NOW)], 25 * 60)
+        self.assertIn('🔥 1-day streak!', result['toasts'])
+
+    def test_goal_is_met_once_a_day(self):
+        result = play([['app', 'setDailyGoal', 25], *focus_session(), *focus_session()], now=NOW)
+        self.assertEqual(result['state']['streak']['current'], 1)
+
+    def test_streak_raises_the_reward(self):
+        result = play(focus_session(), self.streak_save(2, NOW - DAY), NOW)
+        self.assertEqual(result['state']['coins'], 30)
+
+    def test_reward_multiplier_is_capped(self):
+        result = play(focus_session(), self.streak_save(20, NOW - DAY), NOW)
+        self.assertEqual(result['state']['coins'], 50)
+
+    def test_missed_day_ends_the_streak(self):
+        result = play([['streaks', 'settle']], self.streak_save(4, NOW - 3 * DAY), NOW)
+        self.assertEqual(result['state']['streak'], {'current': 0, 'best': 4, 'lastGoalDate': date_key(NOW - 3 * DAY)})
+        self.assertEqual(ops(result), ['settle_streak'])
+
+    def test_freezes_cover_missed_days(self):
+        save = self.streak_save(4, NOW - 3 * DAY, supplies={'freeze': 3})
+        result = play([['streaks', 'settle']], save, NOW)
+        self.assertEqual(result['state']['streak']['current'], 4)
+        self.assertEqual(result['state']['streak']['lastGoalDate'], date_key(NOW - DAY))
+        self.assertEqual(result['state']['supplies']['freeze'], 1)
+
+
+def strict(**settings):
+    return ['app', 'updateStrictSettings', {'enabled': True, **settings}]
+
+
+@needs_node
+class StrictTest(unittest.TestCase):
+    def test_time_away_lowers_the_focus_score(self):
+        result = play([strict(), ['timer', 'start'], ['wait', MINUTE], ['timer', 'leavePage'], ['wait', 5 * MINUTE],
+                       ['timer', 'returnToPage'], ['wait', SESSION - 6 * MINUTE], ['timer', 'tick']], now=NOW)
+        session = result['state']['history']['sessions'][0]
+        # 100 less 20 for a fifth of the session away and 5 for leaving once
+        self.assertEqual((session['focusScore'], session['distractions'], session['awaySeconds']), (75, 1, 300))
+        self.assertEqual(result['state']['coins'], 19)
+        self.assertEqual(result['actions'][-1]['args']['focusScore'], 75)
+
+    def test_leaving_counts_once_until_the_return(self):
+        result = play([strict(), ['timer', 'start'], ['timer', 'leavePage'], ['timer', 'leavePage']], now=NOW)
+        self.assertEqual(result['state']['timer']['distractions'], 1)
+
+    def test_too_many_distractions_fail_the_session(self):
+        result = play([strict(maxDistractions=1), ['timer', 'start'], ['wait', 10 * MINUTE], ['timer', 'leavePage'],
+                       ['timer', 'returnToPage'], ['timer', 'leavePage']], now=NOW)
+        self.assertIn('Session failed: you left the page 2 times.', result['toasts'])
+        self.assertFalse(result['state']['timer']['running'])
+        self.assertEqual(result['state']['coins'], 0)
+        self.assertEqual(result['state']['history']['sessions'][0]['reason'], 'Too many distractions')
+        self.assertEqual(result['actions'][-1]['args']['minutes'], 0)
+
+    def test_sessions_without_strict_mode_are_not_watched(self):
+        result = play([['timer', 'start'], ['timer', 'leavePage'], ['wait', SESSION], ['timer', 'tick']], now=NOW)
+        self.assertEqual(result['state']['history']['sessions'][0]['focusScore'], None)
+        self.assertEqual(result['state']['coins'], 25)
+
+    def test_session_keeps_the_rules_it_started_with(self):
+        result = play([strict(maxDistractions=1), ['timer', 'start'], strict(maxDistractions=5), ['timer', 'leavePage'],
+                       ['timer', 'returnToPage'], ['timer', 'leavePage']], now=NOW)
+        self.assertFalse(result['state']['timer']['running'])
+
+    def test_distraction_limit_is_a_whole_number(self):
+        result = play([strict(maxDistractions=-1)], now=NOW)
+        self.assertFalse(result['state']['settings']['strict']['enabled'])
+        self.assertEqual(result['toasts'], ['Distraction limit must be a whole number (0 for no limit).'])
+
+
+@needs_node
+class AbandonTest(unittest.TestCase):
+    def test_abandoned_session_pays_its_focused_minutes(self):
+        result = play([['timer', 'start'], ['wait', 10 * MINUTE + 30 * 1000], ['timer', 'abandon', 'Meeting']], now=NOW)
+        self.assertEqual(result['state']['coins'], 10)
+        self.assertEqual(result['actions'][-1], {'op': 'abandon_session', 'args': {'session': NOW, 'minutes': 10, 'focused': 630},
+                                                 'at': NOW + 10 * MINUTE + 30 * 1000})
+        session = result['state']['history']['sessions'][0]
+        self.assertEqual((session['abandoned'], session['reason'], session['duration']), (True, 'Meeting', 630))
+
+    def test_same_session_is_lined_up_again(self):
+        timer = play([['timer', 'start'], ['wait', MINUTE], ['timer', 'abandon']], now=NOW)['state']['timer']
+        self.assertEqual((timer['running'], timer['duration'], timer['elapsedMs'], timer['lastRewardedId']), (False, 25 * 60, 0, NOW))
+
+    def test_short_session_pays_nothing(self):
+        result = play([['timer', 'start'], ['wait', 4 * MINUTE], ['timer', 'abandon']], now=NOW)
+        self.assertEqual(result['state']['coins'], 0)
+        self.assertEqual(result['actions'][-1]['args']['minutes'], 0)
+        self.assertTrue(result['state']['history']['sessions'][0]['abandoned'])
+
+    def test_strict_focus_score_scales_the_credit(self):
+        result = play([strict(), ['timer', 'start'], ['wait', 10 * MINUTE], ['timer', 'leavePage'], ['timer', 'abandon']], now=NOW)
+        self.assertEqual(result['state']['coins'], 10)  # 9.5 rounds up
+        self.assertEqual(result['actions'][-1]['args']['focusScore'], 95)
+
+    def test_breaks_cannot_be_abandoned(self):
+        result = play([['app', 'updatePomodoroSettings', {'enabled': True}], *focus_session(), ['timer', 'start'],
+                       ['wait', MINUTE], ['timer', 'abandon']], now=NOW)
+        self.assertEqual(result['state']['timer']['phase'], 'shortBreak')
+        self.assertEqual(len(result['state']['history']['sessions']), 1)
+
+
+if __name__ == '__main__':
+    unittest.main()
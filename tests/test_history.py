@@ -0,0 +1,111 @@
+"""Session history and the charts on the Stats dashboard, and the activity
+log. These run static/script.js under node."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+NOW = 1772618400000
+DAY = 24 * 3600 * 1000
+
+
+def fresh_save(**changes):
+    save, = run_client([['freshSave', NOW]])
+    save.update(changes)
+    return save
+
+
+def session(end, duration=1500, **changes):
+    return {'start': end - duration * 1000, 'end': end, 'duration': duration, 'taskId': None, 'project': None,
+            'coins': duration // 60, 'focusScore': None, 'abandoned': False, **changes}
+
+
+def date_key(ts):
+    return play([['Streaks', 'dateKey', ts]], now=NOW)['results'][0]
+
+
+@needs_node
+class HistoryTest(unittest.TestCase):
+    def test_finished_session_is_recorded(self):
+        result = play([['timer', 'start'], ['wait', 1500 * 1000], ['timer', 'tick']], now=NOW)
+        self.assertEqual(result['state']['history']['sessions'], [session(NOW + 1500 * 1000, start=NOW)])
+
+    def test_old_sessions_fold_into_daily_totals(self):
+        old = NOW - 100 * DAY
+        save = fresh_save(history={'sessions': [session(old), session(old, 600, taskId=3), session(NOW)], 'archive': {}})
+        result = play([['history', 'compact'], ['history', 'byDay']], save, NOW)
+        history = result['state']['history']
+        self.assertEqual(history['sessions'], [session(NOW)])
+        self.assertEqual(history['archive'], {date_key(old): {
+            'sessions': 2, 'abandoned': 0, 'seconds': 2100, 'coins': 35, 'tasks': {'none': 1500, '3': 600}, 'projects': {'none': 2100}}})
+        # The charts still see the archived days
+        by_day = result['results'][1]
+        self.assertEqual((by_day[date_key(old)]['seconds'], by_day[date_key(NOW)]['seconds']), (2100, 1500))
+
+    def test_last_days_are_oldest_first_with_empty_days(self):
+        save = fresh_save(history={'sessions': [session(NOW - 2 * DAY), session(NOW), session(NOW, 600)], 'archive': {}})
+        days, = play([['history', 'lastDays', 4]], save, NOW)['results']
+        self.assertEqual(days, [{'date': date_key(NOW - i * DAY), 'seconds': seconds} for i, seconds in [(3, 0), (2, 1500), (1, 0), (0, 2100)]])
+
+    def test_weeks_add_up_their_days(self):
+        save = fresh_save(history={'sessions': [session(NOW - 7 * DAY), session(NOW)], 'archive': {}})
+        weeks, = play([['history', 'lastWeeks', 3]], save, NOW)['results']
+        self.assertEqual([w['seconds'] for w in weeks], [0, 1500, 1500])
+
+    def test_task_breakdown_names_deleted_tasks(self):
+        save = fresh_save(history={'sessions': [session(NOW, taskId=9), session(NOW, 600, taskId=9), session(NOW, 300)], 'archive': {}})
+        rows, = play([['history', 'taskBreakdown']], save, NOW)['results']
+        self.assertEqual(rows, [{'taskKey': '9', 'name': 'Deleted task', 'seconds': 2100}, {'taskKey': 'none', 'name': 'No task', 'seconds': 300}])
+
+
+def entry(ts, msg, log_type='system', **meta):
+    return {'ts': ts, 'type': log_type, 'msg': msg, 'meta': meta}
+
+
+@needs_node
+class LogTest(unittest.TestCase):
+    def logs(self, entries, **log_filter):
+        result, = run_client([['logs', fresh_save(logs=entries), NOW, {'type': 'all', **log_filter}]])
+        return result
+
+    def test_entries_are_typed_and_timestamped(self):
+        result = play([['wait', 1000], ['app', 'log', 'Watered', 'farm', {'plot': 0}]], now=NOW)
+        self.assertEqual(result['state']['logs'][0], entry(NOW + 1000, 'Watered', 'farm', plot=0))
+
+    def test_only_the_newest_entries_are_kept(self):
+        result = play([['app', 'log', f'Entry {i}'] for i in range(1005)], now=NOW)
+        logs = result['state']['logs']
+        self.assertEqual((len(logs), logs[0]['msg'], logs[-1]['msg']), (1000, 'Entry 1004', 'Entry 5'))
+
+    def test_filter_by_type_and_date(self):
+        entries = [entry(NOW, 'today', 'farm'), entry(NOW, 'sold', 'sale'), entry(NOW - 3 * DAY, 'earlier', 'farm'), entry(None, 'undated', 'farm')]
+        self.assertEqual(self.logs(entries, type='farm')['shown'], ['today', 'earlier', 'undated'])
+        self.assertEqual(self.logs(entries, type='farm', **{'from': date_key(NOW - DAY)})['shown'], ['today'])
+        self.assertEqual(self.logs(entries, to=date_key(NOW - DAY))['shown'], ['earlier'])
+
+    def test_export_is_the_filtered_entries_as_csv(self):
+        result = self.logs([entry(NOW, 'Sold 2 "eggs"', 'sale', coins=30), entry(NOW, 'Planted', 'farm')], type='sale')
+        self.assertEqual(result['csv'].split('\n'), [
+            'timestamp,type,message,details', '"2026-03-04T10:00:00.000Z","sale","Sold 2 ""eggs""","{""coins"":30}"'])
+
+    def test_exported_cells_cannot_start_a_formula(self):
+        result = self.logs([entry(NOW, '=HYPERLINK("x")', 'task')])
+        self.assertIn(',"\'=HYPERLINK(""x"")",', result['csv'])
+
+    def test_nothing_to_export(self):
+        result = self.logs([entry(NOW, 'Planted', 'farm')], type='sale')
+        self.assertIsNone(result['csv'])
+        self.assertEqual(result['toasts'], ['No log entries to export.'])
+
+    def test_old_free_text_entries_become_system_entries(self):
+        save = fresh_save(schemaVersion=2, logs=[{'time': '10:00:00', 'msg': 'Harvested'}])
+        log = play([], save, NOW)['state']['logs'][0]
+        self.assertEqual((log['ts'], log['type'], log['msg'], log['time']), (None, 'system', 'Harvested', '10:00:00'))
+
+
+if __name__ == '__main__':
+    unittest.main()
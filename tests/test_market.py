@@ -0,0 +1,112 @@
+"""The market and the customer order board on the client. These run
+static/script.js under node."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+NOW = 1772618400000
+HOUR = 3600 * 1000
+
+
+def fresh_save(**changes):
+    save, = run_client([['freshSave', NOW]])
+    save.update(changes)
+    return save
+
+
+@needs_node
+class MarketTest(unittest.TestCase):
+    def test_sale_pays_its_quote_and_adds_pressure(self):
+        result = play([['market', 'quote', 'wheat', 5], ['market', 'sell', 'wheat', 5]], fresh_save(inventory={'wheat': 5}), NOW)
+        quote, paid = result['results']
+        self.assertEqual((quote['count'], paid, result['state']['coins']), (5, quote['total'], quote['total']))
+        self.assertEqual(result['state']['market']['pressure']['wheat'], {'units': 5, 'at': NOW})
+        self.assertEqual(result['actions'], [{'op': 'sell', 'args': {'good': 'wheat', 'count': 5}, 'at': NOW}])
+
+    def test_each_unit_sold_lowers_the_price(self):
+        result = play([['market', 'price', 'egg'], ['market', 'sell', 'egg', 50], ['market', 'price', 'egg']],
+                      fresh_save(inventory={'egg': 50}), NOW)
+        before, _, after = result['results']
+        self.assertLess(after, before)
+
+    def test_pressure_wears_off(self):
+        save = fresh_save(market={'pressure': {'wheat': {'units': 15, 'at': NOW - HOUR}}})
+        self.assertEqual(play([['market', 'pressure', 'wheat', NOW]], save, NOW)['results'], [5])
+        self.assertEqual(play([['market', 'pressure', 'wheat', NOW + HOUR]], save, NOW)['results'], [0])
+
+    def test_history_has_a_price_for_each_day(self):
+        history, = play([['market', 'history', 'wheat']], now=NOW)['results']
+        self.assertEqual(len(history), 14)
+        self.assertEqual(history[-1]['day'], NOW // (24 * HOUR))
+
+    def test_sell_order_waits_for_its_price(self):
+        result = play([['market', 'addOrder', 'wheat', 2, 1000]], fresh_save(inventory={'wheat': 2}), NOW)
+        self.assertEqual(result['state']['sellOrders'], [{'id': NOW, 'good': 'wheat', 'count': 2, 'minPrice': 1000}])
+        self.assertEqual(result['state']['inventory']['wheat'], 2)
+
+    def test_sell_order_at_the_price_sells_at_once(self):
+        result = play([['market', 'addOrder', 'wheat', 2, 1]], fresh_save(inventory={'wheat': 2}), NOW)
+        self.assertEqual((result['state']['sellOrders'], result['state']['inventory']['wheat']), ([], 0))
+        self.assertEqual(result['actions'][0]['args'], {'good': 'wheat', 'count': 2, 'minPrice': 1})
+
+    def test_sell_orders_have_a_limit(self):
+        result = play([['market', 'addOrder', 'wheat', 1, 1000]] * 6, now=NOW)
+        self.assertEqual(len(result['state']['sellOrders']), 5)
+        self.assertEqual(result['toasts'], ['You can have 5 sell orders at a time.'])
+
+
+WINDOW_MS = 240 * 60 * 1000  # orders.refreshMinutes
+WINDOW = NOW // WINDOW_MS
+
+
+def board(**changes):
+    """A save with this window's orders on the board."""
+    return play([['orders', 'refresh']], fresh_save(**changes), NOW)['state']
+
+
+@needs_node
+class OrderBoardTest(unittest.TestCase):
+    def test_board_is_dealt_from_unlocked_goods(self):
+        orders = board()['orderBoard']['orders']
+        self.assertEqual([o['id'] for o in orders], [f'{WINDOW}-{slot}' for slot in range(3)])
+        self.assertTrue(all(list(o['lines']) == ['wheat'] and o['pool'] == ['wheat'] for o in orders))
+
+    def test_delivery_pays_and_takes_the_order_off_the_board(self):
+        save = board(inventory={'wheat': 50})
+        order = save['orderBoard']['orders'][0]
+        result = play([['orders', 'deliver', order['id']]], save, NOW)
+        self.assertEqual((result['state']['coins'], result['state']['xp']), (order['coins'], order['xp']))
+        self.assertEqual(result['state']['inventory']['wheat'], 50 - order['lines']['wheat'])
+        self.assertEqual(len(result['state']['orderBoard']['orders']), 2)
+        self.assertEqual(result['actions'][-1]['args'], {'id': order['id']})
+
+    def test_order_needs_all_its_goods(self):
+        save = board()
+        result = play([['orders', 'deliver', save['orderBoard']['orders'][0]['id']]], save, NOW)
+        self.assertEqual(result['toasts'], ["You don't have everything for this order yet."])
+        self.assertEqual(len(result['state']['orderBoard']['orders']), 3)
+
+    def test_expired_order_cannot_be_delivered(self):
+        save = board(inventory={'wheat': 50})
+        order = save['orderBoard']['orders'][0]
+        result = play([['wait', order['expiresAt'] - NOW + 1], ['orders', 'deliver', order['id']]], save, NOW)
+        self.assertEqual(result['toasts'], ['This order has expired.'])
+        self.assertNotIn(order['id'], [o['id'] for o in result['state']['orderBoard']['orders']])
+        self.assertEqual(result['state']['coins'], 0)
+
+    def test_declined_slot_refills_in_the_next_window(self):
+        save = board()
+        declined = save['orderBoard']['orders'][1]
+        result = play([['orders', 'decline', declined['id']], ['orders', 'refresh']], save, NOW)
+        self.assertEqual([o['slot'] for o in result['state']['orderBoard']['orders']], [0, 2])
+        later = play([['orders', 'refresh']], result['state'], (WINDOW + 1) * WINDOW_MS)
+        self.assertEqual([o['id'] for o in later['state']['orderBoard']['orders']], [f'{WINDOW}-0', f'{WINDOW + 1}-1', f'{WINDOW}-2'])
+
+
+if __name__ == '__main__':
+    unittest.main()
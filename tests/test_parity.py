@@ -0,0 +1,169 @@
+"""The client and the server must draw the same seeded numbers and do the
+same farm sums, or the market, weather, orders and offline progress on screen
+would not be the ones the server checks. These run static/script.js under
+node and compare it with economy.py."""
+import json
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from economy import (apply_action, empty_plot, ensure_economy, generate_order, goods, hash_string, load_catalog,  # noqa: E402
+                     pick_weighted, ready_at, refresh_orders, seeded_random, starting_economy, unit_price, withered_at)
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+CATALOG = load_catalog(os.path.join(ROOT, 'static', 'catalog.json'))
+# The clock both sides are stopped at; any fixed time will do
+NOW = 20000 * 24 * 3600 * 1000
+
+
+def stored_farm(**changes):
+    """A server save for a new player, with `changes` made to it."""
+    data = {'plots': [empty_plot() for _ in range(CATALOG['land']['startingPlots'])], 'settings': {'autoCollect': True}}
+    data.update(starting_economy(CATALOG))
+    data.update(changes)
+    return ensure_economy(data, CATALOG)
+
+
+def planted(crop, at):
+    """A plot sown and watered at `at`."""
+    return {**empty_plot(), 'crop': crop, 'plantedAt': at, 'growthAt': at,
+            'wateredUntil': at + CATALOG['care']['waterLastsSeconds'] * 1000}
+
+
+def happy_chicken(ready_at):
+    return {'type': 'chicken', 'ready': False, 'readyAt': ready_at,
+            'happiness': 80, 'happinessAt': ready_at, 'fedUntil': ready_at + 3600 * 1000}
+
+
+EGG_MS = CATALOG['items']['chicken']['produceTime'] * 1000
+EGG_YIELD = CATALOG['barn']['moods'][0]['yield']  # a happy chicken's
+CLOUDY = {'type': 'cloudy', 'since': 0}
+
+
+@needs_node
+class SeedParityTest(unittest.TestCase):
+    def test_seeded_random(self):
+        seeds = [0, 1, CATALOG['market']['seed'], CATALOG['weather']['seed'], CATALOG['orders']['seed'], -7, 2 ** 31 + 5]
+        keys = [0, 1, 15, 20000, 490000, 2 ** 32 + 3]
+        cases = [(seed, key) for seed in seeds for key in keys]
+        client = run_client([['seededRandom', seed, key] for seed, key in cases])
+        self.assertEqual(client, [seeded_random(seed, key) for seed, key in cases])
+
+    def test_hash_string(self):
+        texts = ['', 'wheat', 'carrot', 'bread', '🥚', '🥛 milk', 'café']
+        client = run_client([['hashString', text] for text in texts])
+        self.assertEqual(client, [hash_string(text) for text in texts])
+
+    def test_pick_weighted(self):
+        options = CATALOG['weather']['types']
+        points = [i / 64 for i in range(64)]
+        client = run_client([['pickWeighted', options, r] for r in points])
+        self.assertEqual(client, [pick_weighted(options, r) for r in points])
+
+
+@needs_node
+class OrderParityTest(unittest.TestCase):
+    def test_generate_order(self):
+        pools = [['wheat'], ['wheat', 'carrot'], ['wheat', 'carrot', 'egg', 'milk', 'flour', 'cheese', 'bread']]
+        cases = [(window, slot, pool) for window in range(123000, 123040)
+                 for slot in range(CATALOG['orders']['slots']) for pool in pools]
+        client = run_client([['generateOrder', window, slot, pool] for window, slot, pool in cases])
+        # The server's board keeps the same window, slot and pool on each order
+        server = [{**generate_order(window, slot, pool, CATALOG), 'window': window, 'slot': slot, 'pool': pool}
+                  for window, slot, pool in cases]
+        self.assertEqual(client, server)
+
+    def test_board_is_dealt_alike(self):
+        farm = {'xp': 1000, 'animals': [happy_chicken(NOW)], 'buildings': [{'type': 'mill', 'queue': []}]}
+        save, = run_client([['freshSave', NOW]])
+        client = play([['orders', 'refresh']], {**save, **farm}, NOW)['state']['orderBoard']
+        server = stored_farm(**farm)
+        refresh_orders(server, NOW, CATALOG)
+        self.assertEqual(client, server['orderBoard'])
+        self.assertEqual(len(client['orders']), CATALOG['orders']['slots'])
+
+
+@needs_node
+class MarketParityTest(unittest.TestCase):
+    def test_unit_price(self):
+        day = NOW // (24 * 3600 * 1000)
+        cases = [(good, day + d, units) for good in goods(CATALOG) for d in range(-20, 20, 3) for units in (0, 1, 7.5, 80)]
+        client = play([['market', 'unitPrice', good, d, units] for good, d, units in cases], now=NOW)['results']
+        self.assertEqual(client, [unit_price(good, d, units, CATALOG) for good, d, units in cases])
+
+
+@needs_node
+class CatchUpParityTest(unittest.TestCase):
+    def catch_up(self, data, since, now):
+        """Catch the client up, send the server what it sent, and check the two agree."""
+        client, = run_client([['catchUp', json.loads(json.dumps(data)), since, now]])
+        for n, action in enumerate(client['actions']):
+            result = apply_action(data, {'id': f'c{n}', **action}, now, CATALOG)
+            self.assertTrue(result['ok'], result.get('error'))
+        self.assertEqual(client['state']['inventory'], data['inventory'])
+        self.assertEqual([a['readyAt'] for a in client['state']['animals']], [a['readyAt'] for a in data['animals']])
+        return client
+
+    def test_animals_produce_at_the_weather_pace(self):
+        for weather in CATALOG['weather']['types']:
+            with self.subTest(weather=weather):
+                data = stored_farm(weather={'type': weather, 'since': NOW}, animals=[happy_chicken(NOW)])
+                client = self.catch_up(data, NOW, NOW + 5 * 60 * 1000)
+                cycle_s = CATALOG['items']['chicken']['produceTime'] / CATALOG['weather']['types'][weather].get('animalOutput', 1)
+                self.assertEqual(client['actions'][0]['args']['count'], 1 + int(5 * 60 // cycle_s))
+
+    def test_crops_ripen_and_wither(self):
+        wheat, carrot = planted('wheat', NOW - 3600 * 1000), planted('carrot', NOW)
+        growing = planted('carrot', NOW + 60 * 1000)
+        data = stored_farm(weather=CLOUDY, plots=[wheat, carrot, growing, empty_plot()])
+        now = ready_at(carrot, CATALOG)
+        self.assertGreater(now, withered_at(wheat, CATALOG))
+        client = self.catch_up(data, NOW, now)
+        self.assertEqual(client['report']['crops'], {'carrot': 1})
+        self.assertEqual(client['report']['withered'], {'wheat': 1})
+        self.assertTrue(client['report']['eventful'])
+        plots = client['state']['plots']
+        self.assertEqual([(p['ready'], p['withered']) for p in plots], [(False, True), (True, False), (False, False), (False, False)])
+        self.assertEqual(client['actions'], [])
+
+    def test_catch_up_is_the_same_for_the_same_times(self):
+        data = stored_farm(weather=CLOUDY, plots=[planted('wheat', NOW)], animals=[happy_chicken(NOW)])
+        first, second = run_client([['catchUp', data, NOW, NOW + 3600 * 1000]] * 2)
+        self.assertEqual(first, second)
+
+    def test_animals_make_a_product_each_cycle(self):
+        data = stored_farm(weather=CLOUDY, animals=[happy_chicken(NOW)])
+        client = self.catch_up(data, NOW - EGG_MS, NOW + 3.5 * EGG_MS)
+        self.assertEqual(client['actions'], [{'op': 'auto_collect', 'args': {'animal': 0, 'count': 4}, 'at': NOW + 3.5 * EGG_MS}])
+        self.assertEqual(client['report']['collected'], {'egg': 4 * EGG_YIELD})
+        self.assertEqual(data['animals'][0]['readyAt'], NOW + 4 * EGG_MS)
+        self.assertFalse(client['state']['animals'][0]['ready'])
+
+    def test_collection_stops_when_storage_is_full(self):
+        capacity = CATALOG['economy']['storageCapacity']
+        data = stored_farm(weather=CLOUDY, animals=[happy_chicken(NOW)])
+        data['inventory']['wheat'] = capacity - 2 * EGG_YIELD - 1
+        client = self.catch_up(data, NOW, NOW + 10 * EGG_MS)
+        # Two products fit; the third waits in the barn and stops the chicken
+        self.assertEqual(client['report']['collected'], {'egg': 2 * EGG_YIELD})
+        self.assertEqual(client['report']['products'], {'egg': 3 * EGG_YIELD})
+        self.assertTrue(client['report']['storageFull'])
+        self.assertTrue(client['state']['animals'][0]['ready'])
+        self.assertEqual(data['animals'][0]['readyAt'], NOW + 2 * EGG_MS)
+
+    def test_without_auto_collect_products_wait_in_the_barn(self):
+        data = stored_farm(weather=CLOUDY, animals=[happy_chicken(NOW)], settings={'autoCollect': False})
+        client = self.catch_up(data, NOW, NOW + 10 * EGG_MS)
+        self.assertEqual(client['actions'], [])
+        self.assertEqual(client['report']['products'], {'egg': EGG_YIELD})
+        self.assertEqual(client['report']['collected'], {})
+        self.assertFalse(client['report']['storageFull'])
+        self.assertTrue(client['state']['animals'][0]['ready'])
+        self.assertEqual(client['state']['animals'][0]['readyAt'], NOW)
+
+
+if __name__ == '__main__':
+    unittest.main()
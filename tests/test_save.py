@@ -0,0 +1,220 @@
+"""Saving on the client: the save manager, the copy kept on this device and
+the save schema. These run static/script.js under node."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+# What browsers let sendBeacon take
+BEACON_LIMIT = 64 * 1024
+NOW = 1772618400000
+
+
+def fresh_save():
+    save, = run_client([['freshSave', NOW]])
+    return save
+
+
+def task(task_id, **changes):
+    return {'id': task_id, 'name': f'Task {task_id}', 'date': '2026-03-04', 'duration': 25, 'completed': False,
+            'repeat': None, 'estimate': 25, 'focusedSeconds': 0, 'project': None, 'tags': [], 'priority': 'medium', **changes}
+
+
+def urls(result):
+    return [r['url'] for r in result['requests']]
+
+
+# Two changes that each mark the save for writing
+CHANGES = [['app', 'setAutoCollect', False], ['app', 'setDailyGoal', 30]]
+
+
+@needs_node
+class SyncTest(unittest.TestCase):
+    def test_changes_are_batched_into_one_write(self):
+        result = play([*CHANGES, ['saves', 'flush']], now=NOW)
+        self.assertEqual(urls(result), ['/api/save'])
+        self.assertEqual(result['requests'][0]['body']['baseVersion'], 0)
+        self.assertEqual(result['state']['saveVersion'], 1)
+        self.assertEqual((result['status'], result['dirty'], result['mirror']['pending']), ('online', False, False))
+
+    def test_actions_go_before_the_save(self):
+        result = play([['app', 'addCoins', 10], ['shop', 'buy', 'wheat'], ['saves', 'flush']], now=NOW)
+        self.assertEqual(urls(result), ['/api/actions', '/api/save'])
+        self.assertEqual([a['op'] for a in result['requests'][0]['body']['actions']], ['buy'])
+        self.assertEqual(result['actions'], [])
+
+    def test_nothing_to_send(self):
+        self.assertEqual(urls(play([['saves', 'flush']], now=NOW)), [])
+
+    def test_failed_write_stays_pending_and_is_retried(self):
+        result = play([*CHANGES, ['reply', '/api/save', 0, None], ['saves', 'flush']], now=NOW)
+        self.assertEqual((result['status'], result['dirty'], result['mirror']['pending']), ('offline', True, True))
+        self.assertEqual(result['toasts'], ['Offline. Progress is kept on this device and will sync later.'])
+        result = play([*CHANGES, ['reply', '/api/save', 500, {}], ['saves', 'flush'], ['saves', 'flush']], now=NOW)
+        self.assertEqual(urls(result), ['/api/save', '/api/save'])
+        self.assertEqual((result['status'], result['dirty'], result['state']['saveVersion']), ('online', False, 1))
+
+    def test_refused_actions_take_the_server_economy(self):
+        economy = {**fresh_save(), 'coins': 3}
+        reply = {'success': True, 'results': [{'id': 'x', 'ok': False, 'error': 'not enough coins'}], 'economy': economy}
+        result = play([['app', 'addCoins', 10], ['shop', 'buy', 'wheat'], ['reply', '/api/actions', 200, reply], ['saves', 'flush']], now=NOW)
+        self.assertEqual((result['state']['coins'], result['state']['seeds']['wheat']), (3, 0))
+        self.assertIn('Some changes were refused by the server. Your farm was corrected.', result['toasts'])
+
+    def test_conflict_loads_the_other_save_when_asked_to(self):
+        other = {**fresh_save(), 'saveVersion': 5, 'avatar': '👩'}
+        result = play([*CHANGES, ['reply', '/api/save', 409, {}], ['reply', '/api/load', 200, {'success': True, 'data': other}],
+                       ['confirm', False], ['saves', 'flush']], now=NOW)
+        self.assertEqual((result['state']['avatar'], result['state']['saveVersion']), ('👩', 5))
+        self.assertTrue(result['state']['settings']['autoCollect'])
+        self.assertIn('Unsaved changes made here were lost', result['toasts'][0])
+
+    def test_conflict_keeps_these_changes_when_asked_to(self):
+        other = {**fresh_save(), 'saveVersion': 5, 'avatar': '👩'}
+        result = play([*CHANGES, ['reply', '/api/save', 409, {}], ['reply', '/api/load', 200, {'success': True, 'data': other}],
+                       ['saves', 'flush'], ['saves', 'flush']], now=NOW)
+        # The kept changes go out on top of the other save, on the next flush
+        self.assertEqual(urls(result), ['/api/save', '/api/load', '/api/save'])
+        self.assertEqual(result['requests'][2]['body']['baseVersion'], 5)
+        self.assertFalse(result['state']['settings']['autoCollect'])
+        self.assertEqual(result['state']['saveVersion'], 6)
+        self.assertIn('Kept the changes made here', result['toasts'][0])
+
+
+@needs_node
+class OfflineTest(unittest.TestCase):
+    def test_changes_made_offline_stay_on_this_device(self):
+        result = play([['online', False], *CHANGES, ['saves', 'flush']], now=NOW)
+        self.assertEqual(urls(result), [])
+        self.assertEqual((result['status'], result['mirror']['pending']), ('offline', True))
+        self.assertEqual(result['mirror']['state']['settings']['dailyGoalMinutes'], 30)
+
+    def test_queued_actions_go_out_once_back_online(self):
+        result = play([['online', False], ['app', 'addCoins', 10], ['shop', 'buy', 'wheat'], ['saves', 'flush'],
+                       ['online', True], ['saves', 'flush']], now=NOW)
+        self.assertEqual(urls(result), ['/api/actions', '/api/save'])
+        self.assertEqual(result['status'], 'online')
+
+    def test_unsynced_changes_win_on_reload(self):
+        server = fresh_save()
+        result = play([*CHANGES, ['saves', 'reconcile', server]], now=NOW)
+        self.assertEqual(result['results'][-1]['settings']['dailyGoalMinutes'], 30)
+        self.assertTrue(result['dirty'])
+
+    def test_synced_copy_gives_way_to_the_server(self):
+        server = {**fresh_save(), 'saveVersion': 2, 'avatar': '👩'}
+        result = play([*CHANGES, ['saves', 'flush'], ['saves', 'reconcile', server]], now=NOW)
+        self.assertEqual(result['results'][-1], server)
+
+    def test_unreachable_server_plays_from_the_local_copy(self):
+        result = play([*CHANGES, ['saves', 'reconcile', None]], now=NOW)
+        self.assertEqual(result['results'][-1]['settings']['dailyGoalMinutes'], 30)
+        self.assertEqual(result['status'], 'offline')
+        self.assertEqual(result['toasts'], ["Can't reach the server. Playing from this device's save."])
+
+
+@needs_node
+class UnloadTest(unittest.TestCase):
+    def test_pending_changes_go_out_on_unload(self):
+        result, = run_client([['unload', BEACON_LIMIT, 10]])
+        self.assertEqual(result['sent'], ['/api/actions', '/api/save'])
+
+    def test_save_too_large_to_send_stays_pending(self):
+        result, = run_client([['unload', BEACON_LIMIT, 1000]])
+        # The actions are small enough to go on their own
+        self.assertEqual(result['sent'], ['/api/actions'])
+        self.assertTrue(result['dirty'])
+        self.assertTrue(result['mirror'])
+
+
+
+@needs_node
+class MigrationTest(unittest.TestCase):
+    def test_unversioned_save_is_brought_up_to_date(self):
+        old = {'coins': 40, 'totalSeconds': 3000, 'inventory': {'wheat': 2, 'egg': 1}, 'animals': [],
+               'plots': [{'crop': None, 'plantedAt': 0, 'progress': 0, 'ready': False} for _ in range(6)],
+               'stats': {'planted': 1, 'harvested': 1, 'sessions': 2},
+               'tasks': [{'id': 1, 'name': 'Write', 'date': '2026-03-04', 'duration': 25, 'completed': False}]}
+        result = play([], old, NOW)
+        state = result['state']
+        self.assertEqual(state['schemaVersion'], fresh_save()['schemaVersion'])
+        self.assertEqual(state['tasks'], [task(1, name='Write')])
+        self.assertEqual((state['seeds']['wheat'], state['inventory']['egg']), (2, 1))
+        self.assertEqual(state['milestones'], {'sessions': 2, 'focusSeconds': 3000})
+        # Nothing was left for repair to do
+        self.assertEqual([log['msg'] for log in state['logs']], [])
+        self.assertEqual(result['toasts'], [])
+
+    def test_save_from_a_newer_version_is_flagged(self):
+        save = fresh_save()
+        save['schemaVersion'] += 1
+        result, = run_client([['repair', save, NOW]])
+        self.assertEqual(len(result['errors']), 1)
+        self.assertTrue(result['errors'][0].startswith('schemaVersion:'))
+
+
+@needs_node
+class RepairTest(unittest.TestCase):
+    def repair(self, save):
+        result, = run_client([['repair', save, NOW]])
+        self.assertNotEqual(result['errors'], [])
+        self.assertEqual(result['left'], [])
+        return result
+
+    def test_valid_save_needs_no_repair(self):
+        save = fresh_save()
+        result, = run_client([['repair', save, NOW]])
+        self.assertEqual((result['errors'], result['repaired']), ([], []))
+        self.assertEqual(result['state'], save)
+
+    def test_bad_list_entries_are_dropped(self):
+        save = fresh_save()
+        save['tasks'] = [task(1), task(2, name=''), task(3), task(4, estimate=0)]
+        save['logs'] = [{'ts': NOW, 'type': 'system', 'msg': 'ok'}, {'ts': NOW, 'type': 'system', 'msg': 7}]
+        result = self.repair(save)
+        self.assertEqual(sorted(result['repaired']), ['logs[1]', 'tasks[1]', 'tasks[3]'])
+        self.assertEqual([t['id'] for t in result['state']['tasks']], [1, 3])
+        self.assertEqual([log['msg'] for log in result['state']['logs']], ['ok'])
+
+    def test_nested_list_entries_are_dropped(self):
+        save = fresh_save()
+        session = {'start': NOW, 'end': NOW + 1500000, 'duration': 1500, 'coins': 25, 'focusScore': None, 'abandoned': False}
+        save['history']['sessions'] = [{**session, 'duration': -5}, session]
+        result = self.repair(save)
+        self.assertEqual(result['repaired'], ['history.sessions[0]'])
+        self.assertEqual(result['state']['history']['sessions'], [session])
+
+    def test_bad_plots_are_emptied_in_place(self):
+        save = fresh_save()
+        save['plots'][1] = {**save['plots'][1], 'crop': 'weed'}
+        result = self.repair(save)
+        self.assertEqual(result['repaired'], ['plots[1]'])
+        self.assertEqual(result['state']['plots'], fresh_save()['plots'])
+
+    def test_other_problems_reset_their_top_level_key(self):
+        save = fresh_save()
+        save['settings']['dailyGoalMinutes'] = 'a'
+        save['settings']['autoCollect'] = False
+        save['streak'] = None
+        save['coins'] = -1
+        result = self.repair(save)
+        self.assertEqual(sorted(result['repaired']), ['coins', 'settings', 'streak'])
+        fresh = fresh_save()
+        for key in ('settings', 'streak', 'coins'):
+            self.assertEqual(result['state'][key], fresh[key])
+
+    def test_problems_left_after_repair_are_shown(self):
+        save = fresh_save()
+        save['tasks'] = [task(1, name='')]
+        result, = run_client([['loadUnrepairable', save, NOW]])
+        self.assertEqual(len(result['toasts']), 1)
+        self.assertIn('tasks[0].name', result['toasts'][0])
+        self.assertIn('after repair', result['logs'][0])
+
+
+if __name__ == '__main__':
+    unittest.main()
@@ -0,0 +1,199 @@
+"""Tasks on the client: repeating and overdue tasks, estimates across
+sessions, and projects, tags and search. These run static/script.js under
+node."""
+import os
+import sys
+import unittest
+
+ROOT = os.path.dirname(os.path.dirname(os.path.abspath(__file__)))
+sys.path.insert(0, ROOT)
+
+from tests.client import needs_node, play, run_client  # noqa: E402
+
+NOW = 1772618400000  # 10:00 UTC on Wednesday 2026-03-04
+DAY = 24 * 3600 * 1000
+
+
+def date_key(ts):
+    return play([['Streaks', 'dateKey', ts]], now=NOW)['results'][0]
+
+
+TODAY = date_key(NOW)
+YESTERDAY = date_key(NOW - DAY)
+TOMORROW = date_key(NOW + DAY)
+
+
+def fresh_save(**changes):
+    save, = run_client([['freshSave', NOW]])
+    save.update(changes)
+    return save
+
+
+def task(task_id, **changes):
+    return {'id': task_id, 'name': f'Task {task_id}', 'date': TODAY, 'duration': 25, 'completed': False,
+            'repeat': None, 'estimate': 25, 'focusedSeconds': 0, 'project': None, 'tags': [], 'priority': 'medium', **changes}
+
+
+@needs_node
+class RecurrenceTest(unittest.TestCase):
+    def steps(self, date, rules):
+        return play([['Recurrence', 'step', date, rule] for rule in rules], now=NOW)['results']
+
+    def test_each_rule_steps_to_its_next_date(self):
+        rules = [{'rule': 'daily'}, {'rule': 'weekly'}, {'rule': 'days', 'interval': 3}, {'rule': 'weekdays'}]
+        self.assertEqual(self.steps('2026-03-04', rules), ['2026-03-05', '2026-03-11', '2026-03-07', '2026-03-05'])
+
+    def test_weekdays_skip_the_weekend(self):
+        self.assertEqual(self.steps('2026-03-06', [{'rule': 'weekdays'}]), ['2026-03-09'])
+
+    def test_next_date_is_after_today(self):
+        result = play([['Recurrence', 'next', '2026-02-20', {'rule': 'weekly'}, '2026-03-06']], now=NOW)
+        self.assertEqual(result['results'], ['2026-03-13'])
+
+    def test_day_intervals_are_limited(self):
+        rules = [{'rule': 'days', 'interval': n} for n in (0, 1, 365, 366)] + [{'rule': 'hourly'}, None]
+        result = play([['Recurrence', 'isValid', rule] for rule in rules], now=NOW)
+        self.assertEqual(result['results'], [False, True, True, False, False, False])
+
+
+@needs_node
+class RepeatingTaskTest(unittest.TestCase):
+    def test_finishing_a_repeating_task_adds_the_next_one(self):
+        save = fresh_save(tasks=[task(1, repeat={'rule': 'daily'}, focusedSeconds=600, project='Study', tags=['exam'])])
+        tasks = play([['app', 'finishTask', 1]], save, NOW)['state']['tasks']
+        self.assertEqual(len(tasks), 2)
+        self.assertTrue(tasks[0]['completed'])
+        del tasks[1]['id'], tasks[1]['createdAt']
+        expected = task(1, date=TOMORROW, repeat={'rule': 'daily'}, project='Study', tags=['exam'])
+        del expected['id']
+        self.assertEqual(tasks[1], expected)
+
+    def test_one_off_task_is_just_closed(self):
+        tasks = play([['app', 'finishTask', 1]], fresh_save(tasks=[task(1)]), NOW)['state']['tasks']
+        self.assertEqual(tasks, [task(1, completed=True)])
+
+    def test_past_due_tasks_are_overdue_and_still_workable(self):
+        save = fresh_save(tasks=[task(1, date=YESTERDAY), task(2), task(3, date=YESTERDAY, completed=True)])
+        result = play([['app', 'isTaskOverdue', t] for t in save['tasks']] + [['app', 'selectTask', 1]], save, NOW)
+        self.assertEqual(result['results'][:3], [True, False, False])
+        self.assertEqual(result['currentTaskId'], 1)
+
+    def test_overdue_tasks_move_to_today(self):
+        save = fresh_save(tasks=[task(1, date=YESTERDAY), task(2, date=TOMORROW), task(3, date=YESTERDAY, completed=True)])
+        tasks = play([['app', 'moveOverdueToToday']], save, NOW)['state']['tasks']
+        self.assertEqual([t['date'] for t in tasks], [TODAY, TOMORROW, YESTERDAY])
+
+    def test_tasks_cannot_be_moved_into_the_past(self):
+        save = fresh_save(tasks=[task(1)])
+        result = play([['app', 'saveTaskChanges', 1, 'Task 1', 25, {'date': YESTERDAY}]], save, NOW)
+        self.assertEqual(result['state']['tasks'][0]['date'], TODAY)
+        self.assertEqual(result['toasts'], ['Reschedule to today or a later date.'])
+
+
+MINUTE = 60 * 1000
+
+
+def session(minutes):
+    return [['timer', 'start'], ['wait', minutes * MINUTE], ['timer', 'tick']]
+
+
+@needs_node
+class EstimateTest(unittest.TestCase):
+    def test_task_is_worked_through_in_sessions(self):
+        save = fresh_save(tasks=[task(1, estimate=60)])
+        result = play([['app', 'selectTask', 1], *session(25), *session(25)], save, NOW)
+        self.assertEqual(result['state']['tasks'][0]['focusedSeconds'], 50 * 60)
+        self.assertFalse(result['state']['tasks'][0]['completed'])
+        # The last session is what is left of the estimate
+        self.assertEqual(result['state']['timer']['duration'], 10 * 60)
+        self.assertEqual(result['state']['coins'], 50)
+
+    def test_session_reaching_the_estimate_completes_the_task(self):
+        save = fresh_save(tasks=[task(1, estimate=60, focusedSeconds=50 * 60)])
+        result = play([['app', 'selectTask', 1], *session(10)], save, NOW)
+        self.assertTrue(result['state']['tasks'][0]['completed'])
+        self.assertEqual(result['state']['coins'], 10 + 20)  # economy.taskBonus
+        self.assertIsNone(result['currentTaskId'])
+
+    def test_abandoned_time_counts_towards_the_task(self):
+        save = fresh_save(tasks=[task(1, estimate=60)])
+        result = play([['app', 'selectTask', 1], ['timer', 'start'], ['wait', 7 * MINUTE], ['timer', 'abandon', 'Interrupted']], save, NOW)
+        self.assertEqual(result['state']['tasks'][0]['focusedSeconds'], 7 * 60)
+        self.assertEqual(result['state']['coins'], 7)
+
+    def test_estimate_is_at_least_one_session(self):
+        result = play([['app', 'addTask', 'Read', TODAY, 25, {'estimate': 20}], ['app', 'addTask', 'Read', TODAY, 10]], now=NOW)
+        self.assertEqual(result['state']['tasks'], [])
+        self.assertEqual(result['toasts'], ['The estimate must be at least one session long.',
+                                            'Please fill all fields. Duration must be at least 20 minutes.'])
+
+    def test_report_compares_estimates_with_time_taken(self):
+        tasks = [task(1, estimate=60, focusedSeconds=66 * 60, completed=True), task(2, estimate=30, focusedSeconds=60 * 60, completed=True),
+                 task(3, estimate=30, focusedSeconds=30 * 60)]
+        report, = play([['history', 'estimateReport']], fresh_save(tasks=tasks), NOW)['results']
+        self.assertEqual([(r['taskId'], r['actual'], r['ratio']) for r in report['rows']], [(2, 60, 2), (1, 66, 1.1)])
+        self.assertEqual((report['averageRatio'], report['onTarget']), (1.55, 1))
+
+    def test_old_tasks_add_up_their_focused_time_from_the_history(self):
+        old = {k: v for k, v in task(1).items() if k not in ('estimate', 'focusedSeconds', 'project', 'tags', 'priority')}
+        sessions = [{'start': NOW - 2000000, 'end': NOW - 500000, 'duration': 1500, 'taskId': 1, 'coins': 25}]
+        save = fresh_save(schemaVersion=12, tasks=[old], history={'sessions': sessions, 'archive': {'2026-01-01': {
+            'sessions': 1, 'seconds': 600, 'coins': 10, 'tasks': {'1': 600}}}})
+        tasks = play([], save, NOW)['state']['tasks']
+        self.assertEqual((tasks[0]['estimate'], tasks[0]['focusedSeconds']), (25, 2100))
+
+
+@needs_node
+class ProjectTest(unittest.TestCase):
+    def test_tags_are_trimmed_lowercase_and_listed_once(self):
+        result = play([['App', 'parseTags', 'exam, #Reading , exam,,'], ['App', 'parseProject', '  Thesis '],
+                       ['App', 'parseProject', '   ']], now=NOW)
+        self.assertEqual(result['results'], [['exam', 'reading'], 'Thesis', None])
+
+    def test_projects_are_listed_once_in_order(self):
+        save = fresh_save(tasks=[task(1, project='Thesis'), task(2), task(3, project='Chores'), task(4, project='Thesis')])
+        self.assertEqual(play([['app', 'projects']], save, NOW)['results'], [['Chores', 'Thesis']])
+
+    def test_search_matches_name_project_or_tag(self):
+        tasks = [task(1, name='Read chapter'), task(2, project='Reading group'), task(3, tags=['reading']), task(4, name='Tag #read')]
+        result = play([['ui', 'taskMatches', t, query] for query in ('read', '#read') for t in tasks], now=NOW)
+        self.assertEqual(result['results'], [True, True, True, True, False, False, True, False])
+
+    def test_tasks_sort_by_priority_then_date(self):
+        tasks = [task(1, priority='low'), task(2, priority='high', date=TOMORROW), task(3, priority='high')]
+        result = play([['set', 'ui', 'taskSort', 'priority'], ['ui', 'sortTasks', tasks]], now=NOW)
+        self.assertEqual([t['id'] for t in result['results'][1]], [3, 2, 1])
+
+    def test_groups_put_named_projects_first(self):
+        tasks = [task(1), task(2, project='Thesis'), task(3, project='Chores'), task(4, project='Thesis')]
+        groups, = play([['ui', 'groupByProject', tasks]], now=NOW)['results']
+        self.assertEqual([(g['name'], [t['id'] for t in g['tasks']]) for g in groups],
+                         [('Chores', [3]), ('Thesis', [2, 4]), ('No project', [1])])
+
+    def test_focus_time_adds_up_per_project(self):
+        save = fresh_save(tasks=[task(1, project='Thesis')], history={'sessions': [], 'archive': {}})
+        result = play([['app', 'selectTask', 1], *session(25), ['app', 'selectTask', None], *session(25),
+                       ['history', 'projectBreakdown']], save, NOW)
+        self.assertEqual(result['results'][-1], [{'projectKey': 'Thesis', 'name': 'Thesis', 'seconds': 1500},
+                                                 {'projectKey': 'none', 'name': 'No project', 'seconds': 1500}])
+
+    def test_old_sessions_take_the_project_of_their_task(self):
+        old = {k: v for k, v in task(1, project='Thesis').items() if k not in ('tags', 'priority')}
+        sessions = [{'start': NOW - 2000000, 'end': NOW - 500000, 'duration': 1500, 'taskId': 1, 'coins': 25}]
+        save = fresh_save(schemaVersion=13, tasks=[old], history={'sessions': sessions, 'archive': {'2026-01-01': {
+            'sessions': 2, 'seconds': 900, 'coins': 15, 'tasks': {'1': 600, '7': 300}}}})
+        state = play([], save, NOW)['state']
+        self.assertEqual((state['tasks'][0]['tags'], state['tasks'][0]['priority']), ([], 'medium'))
+        self.assertEqual(state['history']['sessions'][0]['project'], 'Thesis')
+        self.assertEqual(state['history']['archive']['2026-01-01']['projects'], {'Thesis': 600, 'none': 300})
+
+    def test_names_and_labels_are_shown_as_text(self):
+        name = '<img src=x onerror=alert(1)>'
+        item, = run_client([['taskItem', task(1, name=name, project='<b>Thesis</b>', tags=['<i>exam</i>']), NOW]])
+        self.assertNotIn('<img', item['html'])
+        self.assertEqual(item['name'], name)
+        self.assertEqual(item['labels'], ['📁 <b>Thesis</b>', '#<i>exam</i>'])
+
+
+if __name__ == '__main__':
+    unittest.main()
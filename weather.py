@@ -0,0 +1,88 @@
+"""Weather providers for /api/weather and for checking weather actions.
+
+Each provider answers current(now) with {type, city, source} and
+weather_at(ts) with the weather type for a time.
+"""
+import requests
+
+from economy import seeded_random, pick_weighted
+
+HOUR_MS = 3600 * 1000
+
+
+class MockWeatherProvider:
+    """Deterministic weather with no network: every hour gets a seeded pick
+    from the catalog weights. LocalWeatherProvider in script.js picks the same."""
+
+    def __init__(self, rules):
+        self.rules = rules
+
+    def weather_at(self, ts):
+        hour = int(ts // HOUR_MS)
+        return pick_weighted(self.rules['types'], seeded_random(self.rules['seed'], hour))
+
+    def current(self, now):
+        return {'type': self.weather_at(now), 'city': 'Local', 'source': 'mock'}
+
+
+class WttrWeatherProvider:
+    """Live weather from wttr.in for the server's location.
+
+    Readings are kept by hour so weather actions from that hour can be
+    checked; when wttr.in cannot be reached, or for an hour with no reading,
+    the mock provider answers instead.
+    """
+
+    CACHE_MS = 30 * 60 * 1000
+    READINGS_KEPT = 72
+
+    def __init__(self, rules):
+        self.fallback = MockWeatherProvider(rules)
+        self.readings = {}
+        self.last = None
+
+    def fetch(self):
+        loc_res = requests.get('https://ipapi.co/json/', timeout=5)
+        city = loc_res.json().get('city', 'London')
+        weather_res = requests.get(f'https://wttr.in/{city}?format=j1', timeout=5)
+        code = int(weather_res.json()['current_condition'][0]['weatherCode'])
+
+        # Map code to type
+        if code == 113:
+            weather_type = 'sunny'
+        elif code in [116, 119, 122]:
+            weather_type = 'cloudy'
+        elif code in [176, 263, 266, 293, 296, 299, 302, 305, 308, 353, 356, 359]:
+            weather_type = 'rainy'
+        elif code in [179, 182, 185, 227, 230, 281, 284, 311, 314, 317, 320, 323, 326, 329, 332, 335, 338, 350, 362, 365, 368, 371, 374, 377]:
+            weather_type = 'snowy'
+        else:
+            weather_type = 'sunny'
+        return weather_type, city
+
+    def current(self, now):
+        if self.last and now - self.last['at'] < self.CACHE_MS:
+            return self.last['reading']
+        try:
+            weather_type, city = self.fetch()
+        except Exception:
+            reading = self.fallback.current(now)
+        else:
+            reading = {'type': weather_type, 'city': city, 'source': 'wttr'}
+            self.last = {'at': now, 'reading': reading}
+        # Players saw this reading, fallback or not, so actions are checked against it
+        self.readings[int(now // HOUR_MS)] = reading['type']
+        for hour in sorted(self.readings)[:-self.READINGS_KEPT]:
+            del self.readings[hour]
+        return reading
+
+    def weather_at(self, ts):
+        reading = self.readings.get(int(ts // HOUR_MS))
+        return reading or self.fallback.weather_at(ts)
+
+
+PROVIDERS = {'mock': MockWeatherProvider, 'wttr': WttrWeatherProvider}
+
+
+def make_provider(name, rules):
+    return PROVIDERS.get(name, WttrWeatherProvider)(rules)